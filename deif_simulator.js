@@ -0,0 +1,528 @@
+#!/usr/bin/env node
+'use strict';
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const ModbusRTU = require('modbus-serial');
+
+/* =========================
+   CONFIG (from .env)
+   ========================= */
+// Same profile as the bridge: registers, status bits and command coils are taken from it
+const DEIF_PROFILE = process.env.DEIF_PROFILE || 'gc-1f2';
+const PROFILE_DIR = path.join(__dirname, 'profiles');
+
+// Modbus TCP listener (bridge: DEIF_TRANSPORT=tcp DEIF_HOST=127.0.0.1 DEIF_TCP_PORT=5020)
+const SIM_HOST = process.env.SIM_HOST || '127.0.0.1';
+const SIM_PORT = parseInt(process.env.SIM_PORT || '5020', 10);
+// Serve Modbus RTU on a serial device instead, e.g. one end of a socat pty pair
+const SIM_SERIAL_PORT = process.env.SIM_SERIAL_PORT || '';
+const SIM_BAUD = parseInt(process.env.SIM_BAUD || '9600', 10);
+
+// Simulated controllers (unit ids), e.g. "1,2"
+const SIM_SLAVES = (process.env.SIM_SLAVES || '1').split(',').map(s => parseInt(s.trim(), 10)).filter(Number.isInteger);
+// Optional timed scenario (JSON, see scenarios/)
+const SIM_SCENARIO = process.env.SIM_SCENARIO || '';
+// Simulated time runs SIM_SPEED times faster than wall time (delays and scenario times shrink)
+const SIM_SPEED = parseFloat(process.env.SIM_SPEED || '1');
+const SIM_TICK_MS = parseInt(process.env.SIM_TICK_MS || '200', 10);
+const SIM_INITIAL_MODE = process.env.SIM_MODE || 'Auto';
+// Generator load while the GB is closed (kW)
+const SIM_LOAD_KW = parseFloat(process.env.SIM_LOAD_KW || '20');
+
+// Plant timings (simulated ms)
+const START_DELAY_MS = 3000;        // crank until running feedback
+const RUNNING_DETECT_MS = 1000;     // running detection timer
+const HZ_V_OK_MS = 2000;            // generator Hz/V OK timer
+const COOLDOWN_MS = 5000;           // cool-down before the engine stops
+const MAINS_RETURN_MS = 5000;       // mains must be back this long before AMF hands back
+
+const NOMINAL_VOLTAGE = 230;
+const NOMINAL_FREQUENCY = 50;
+const NOMINAL_RPM = 1500;
+const POWER_FACTOR = 0.9;
+
+/* =========================
+   PROFILE
+   ========================= */
+function loadProfile(ref) {
+  const file = /[\\/]|\.json$/i.test(ref) ? path.resolve(ref) : path.join(PROFILE_DIR, `${ref}.json`);
+  const profile = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const bitOf = key => ({ register: parseInt(key, 10), bit: parseInt(key.split(/[:_]/)[1], 10) });
+
+  const roles = {};
+  for (const [key, def] of Object.entries(profile.status || {})) {
+    if (def.role) roles[def.role] = bitOf(key);
+  }
+  const modes = {};
+  for (const o of (profile.operatingMode || {}).options || []) modes[o.option] = { ...o, bit: bitOf(o.status) };
+
+  return {
+    id: profile.id,
+    version: profile.version,
+    areas: registerAreas(profile.blocks),
+    // The bridge derives negated copies itself; only encode the source values
+    measurements: new Map(profile.measurements.filter(m => !m.negate).map(m => [m.path, m])),
+    alarms: profile.alarms || {},
+    statusRegisters: Array.from(new Set(Object.keys(profile.status || {}).map(k => parseInt(k, 10)))),
+    roles,
+    modes,
+    commandsByCoil: new Map((profile.commands || []).map(c => [c.coil, c.key])),
+  };
+}
+
+// Address ranges the controller answers: profile blocks of one register table
+// (gaps shorter than a 125-register read, e.g. 501-503) merged, so 500-576 is
+// served whole even though the bridge reads it in tiers
+function registerAreas(blocks) {
+  const areas = [];
+  for (const b of blocks.slice().sort((x, y) => x.start - y.start)) {
+    const last = areas[areas.length - 1];
+    if (last && b.start - last.end <= 125) {
+      last.end = Math.max(last.end, b.end);
+    } else {
+      areas.push({ start: b.start, end: b.end });
+    }
+  }
+  return areas;
+}
+
+// Inverse of the bridge's measurement decoding: engineering value -> register words
+function encodeMeasurement(m, value, regs) {
+  let raw;
+  if (m.format === 'app_version') {
+    raw = parseInt(String(value).replace(/\./g, ''), 10);
+  } else {
+    raw = Math.round(value * (m.divisor || 1));
+  }
+  if ((m.type || 'u16').endsWith('32')) {
+    const u = raw >>> 0;
+    const [first, second] = m.wordOrder === 'lo_hi' ? [u & 0xffff, u >>> 16] : [u >>> 16, u & 0xffff];
+    regs[m.register] = first;
+    regs[m.register + 1] = second;
+  } else {
+    regs[m.register] = raw & 0xffff;
+  }
+}
+
+/* =========================
+   CONTROLLER MODEL
+   ========================= */
+function createSimController(slaveId, profile, clock) {
+  const regs = {};
+  for (const area of profile.areas) {
+    for (let a = area.start; a <= area.end; a++) regs[a] = 0;
+  }
+
+  const state = {
+    mode: profile.modes[SIM_INITIAL_MODE] ? SIM_INITIAL_MODE : Object.keys(profile.modes)[0],
+    amf: true,                // AMF application selected (auto mains failure start)
+    mainsOk: true,
+    mainsOkSinceMs: 0,
+    engine: 'stopped',        // stopped | starting | running | cooling
+    runningDetected: false,
+    genOk: false,
+    gb: false,
+    mb: true,
+    amfActive: false,
+    pendingGbOn: false,
+    loadKw: SIM_LOAD_KW,
+    energyKwh: 1234,
+    runSeconds: 42 * 3600,
+    gbOps: 0,
+    mbOps: 0,
+    startAttempts: 0,
+    alarms: new Map(),        // "<register>:<bit>" -> { acknowledged }
+    overrides: {},            // measurement path -> fixed value
+  };
+  const timers = [];
+
+  function log(msg) {
+    console.log(`[sim ${slaveId}] ${msg}`);
+  }
+
+  function after(ms, fn) {
+    timers.push({ due: clock.now + ms, fn });
+  }
+
+  function setBreaker(which, closed) {
+    if (state[which] === closed) return;
+    state[which] = closed;
+    if (closed) state[`${which}Ops`] += 1;
+    log(`${which.toUpperCase()} ${closed ? 'closed' : 'opened'}`);
+  }
+
+  function startEngine() {
+    if (state.engine === 'starting' || state.engine === 'running') return;
+    state.startAttempts += 1;
+    state.engine = 'starting';
+    log('engine cranking');
+    after(START_DELAY_MS, () => {
+      if (state.engine !== 'starting') return;
+      state.engine = 'running';
+      log('engine running');
+      after(RUNNING_DETECT_MS, () => { if (state.engine === 'running') state.runningDetected = true; });
+      after(HZ_V_OK_MS, () => { if (state.engine === 'running') state.genOk = true; });
+    });
+  }
+
+  function stopEngine() {
+    if (state.engine === 'stopped' || state.engine === 'cooling') return;
+    setBreaker('gb', false);
+    state.pendingGbOn = false;
+    if (state.engine === 'starting') {
+      state.engine = 'stopped';
+      log('start aborted');
+      return;
+    }
+    state.engine = 'cooling';
+    log('engine cooling down');
+    after(COOLDOWN_MS, () => {
+      if (state.engine !== 'cooling') return;
+      state.engine = 'stopped';
+      state.runningDetected = false;
+      state.genOk = false;
+      log('engine stopped');
+    });
+  }
+
+  function closeGb() {
+    if (!state.genOk) {
+      log('GB close ignored: generator Hz/V not OK');
+      return;
+    }
+    // No paralleling in the simulator: the mains breaker opens first
+    setBreaker('mb', false);
+    setBreaker('gb', true);
+  }
+
+  function closeMb() {
+    if (!state.mainsOk) {
+      log('MB close ignored: mains failure');
+      return;
+    }
+    setBreaker('gb', false);
+    setBreaker('mb', true);
+  }
+
+  function setMode(option) {
+    if (!profile.modes[option]) throw new Error(`unknown mode "${option}"`);
+    if (state.mode === option) return;
+    const previous = state.mode;
+    state.mode = option;
+    log(`mode ${previous} -> ${option}`);
+    // Test mode runs the engine without load; leaving it stops the test run
+    if (option === 'Test') startEngine();
+    if (previous === 'Test' && !state.amfActive) stopEngine();
+    if (option === 'OFF') stopEngine();
+  }
+
+  function setAlarm(key, active) {
+    if (!profile.alarms[key]) throw new Error(`unknown alarm "${key}"`);
+    if (active && !state.alarms.has(key)) {
+      state.alarms.set(key, { acknowledged: false });
+      log(`alarm ${key} (${profile.alarms[key].text}) set`);
+    } else if (!active && state.alarms.delete(key)) {
+      log(`alarm ${key} cleared`);
+    }
+  }
+
+  function setMains(ok) {
+    if (state.mainsOk === ok) return;
+    state.mainsOk = ok;
+    state.mainsOkSinceMs = clock.now;
+    log(ok ? 'mains restored' : 'mains failure');
+    if (!ok) setBreaker('mb', false);
+  }
+
+  const commandActions = {
+    start: () => startEngine(),
+    stop: () => stopEngine(),
+    gb_on: () => closeGb(),
+    gb_off: () => setBreaker('gb', false),
+    start_gb_on: () => { startEngine(); state.pendingGbOn = true; },
+    gb_off_stop: () => stopEngine(),
+    mb_on: () => closeMb(),
+    mb_off: () => setBreaker('mb', false),
+    alarm_ack: () => {
+      for (const a of state.alarms.values()) a.acknowledged = true;
+      log('alarms acknowledged');
+    },
+  };
+
+  function runCommand(key) {
+    const mode = Object.values(profile.modes).find(o => o.command === key);
+    if (mode) {
+      setMode(mode.option);
+    } else if (commandActions[key]) {
+      commandActions[key]();
+    } else {
+      throw new Error(`unknown command "${key}"`);
+    }
+  }
+
+  // FC0F: command flags are pulses, only "true" triggers the command
+  function writeCoil(coil, value) {
+    if (!value) return;
+    const key = profile.commandsByCoil.get(coil);
+    if (!key) {
+      log(`coil ${coil} has no command in profile ${profile.id}`);
+      return;
+    }
+    log(`command ${key} (coil ${coil})`);
+    runCommand(key);
+  }
+
+  // Automatic mains failure handling in Auto mode
+  function runAmf() {
+    if (!state.amf || state.mode !== 'Auto') return;
+    if (!state.mainsOk) {
+      if (!state.amfActive) {
+        state.amfActive = true;
+        log('AMF sequence started');
+        startEngine();
+      }
+      if (state.genOk && !state.gb) closeGb();
+    } else if (state.amfActive && clock.now - state.mainsOkSinceMs >= MAINS_RETURN_MS) {
+      log('mains stable, AMF hands back');
+      state.amfActive = false;
+      closeMb();
+      stopEngine();
+    }
+  }
+
+  function setBit(bit, on) {
+    if (bit && on) regs[bit.register] |= (1 << bit.bit);
+  }
+
+  function tick(dtMs) {
+    for (let i = timers.length - 1; i >= 0; i--) {
+      if (timers[i].due <= clock.now) timers.splice(i, 1)[0].fn();
+    }
+    if (state.pendingGbOn && state.genOk) {
+      state.pendingGbOn = false;
+      closeGb();
+    }
+    runAmf();
+
+    const running = state.engine === 'running' || state.engine === 'cooling';
+    const jitter = spread => (Math.random() - 0.5) * spread;
+    const genVoltage = running ? NOMINAL_VOLTAGE + jitter(2) : 0;
+    const loadKw = state.gb ? state.loadKw * (1 + jitter(0.04)) : 0;
+    const phaseCurrent = genVoltage > 0 ? (loadKw * 1000) / (3 * genVoltage * POWER_FACTOR) : 0;
+    const dtHours = dtMs / 3600000;
+
+    state.energyKwh += loadKw * dtHours;
+    if (running) state.runSeconds += dtMs / 1000;
+
+    const activeAlarms = Array.from(state.alarms.values());
+    const values = {
+      'device.app_version': '1.1.02',
+      'gen.voltage_l1n_v': genVoltage,
+      'gen.voltage_l2n_v': running ? NOMINAL_VOLTAGE + jitter(2) : 0,
+      'gen.voltage_l3n_v': running ? NOMINAL_VOLTAGE + jitter(2) : 0,
+      'gen.current_l1_a': phaseCurrent,
+      'gen.current_l2_a': phaseCurrent,
+      'gen.current_l3_a': phaseCurrent,
+      'gen.frequency_hz': running ? NOMINAL_FREQUENCY + jitter(0.2) : 0,
+      'gen.pgen_kw': loadKw,
+      'gen.qgen_kvar': loadKw * Math.tan(Math.acos(POWER_FACTOR)),
+      'gen.sgen_kva': loadKw / POWER_FACTOR,
+      'gen.cos_phi': state.gb ? POWER_FACTOR : 0,
+      'mains.voltage_l1n_v': state.mainsOk ? NOMINAL_VOLTAGE + jitter(4) : 0,
+      'mains.voltage_l2n_v': state.mainsOk ? NOMINAL_VOLTAGE + jitter(4) : 0,
+      'mains.voltage_l3n_v': state.mainsOk ? NOMINAL_VOLTAGE + jitter(4) : 0,
+      'mains.frequency_hz': state.mainsOk ? NOMINAL_FREQUENCY + jitter(0.1) : 0,
+      'counters.run_hours': Math.floor(state.runSeconds / 3600),
+      'counters.energy_kwh': Math.floor(state.energyKwh),
+      'counters.gen_breaker_ops': state.gbOps,
+      'counters.mains_breaker_ops': state.mbOps,
+      'counters.start_attempts': state.startAttempts,
+      'alarms.count': activeAlarms.length,
+      'alarms.unacknowledged': activeAlarms.filter(a => !a.acknowledged).length,
+      'alarms.ack_active': activeAlarms.filter(a => a.acknowledged).length,
+      'engine.battery': running ? 27.6 : 24.4 + jitter(0.2),
+      'engine.rpm': running ? NOMINAL_RPM + jitter(10) : 0,
+      ...state.overrides,
+    };
+    for (const [p, value] of Object.entries(values)) {
+      const m = profile.measurements.get(p);
+      if (m) encodeMeasurement(m, value, regs);
+    }
+
+    // Alarm and status bits are rebuilt from the model every tick
+    for (const key of Object.keys(profile.alarms)) regs[parseInt(key, 10)] = 0;
+    for (const r of profile.statusRegisters) regs[r] = 0;
+    for (const key of state.alarms.keys()) regs[parseInt(key, 10)] |= (1 << parseInt(key.split(':')[1], 10));
+
+    const { roles } = profile;
+    setBit(roles.mains_failure, !state.mainsOk);
+    setBit(roles.mb_on, state.mb);
+    setBit(roles.gb_on, state.gb);
+    setBit(roles.engine_running, running);
+    setBit(roles.running_detected, state.runningDetected);
+    setBit(roles.gen_ok, state.genOk);
+    setBit(roles.amf, state.amf);
+    setBit(roles.load_takeover, state.amfActive && state.gb);
+    setBit(roles.amf_active, state.amfActive);
+    setBit(profile.modes[state.mode].bit, true);
+  }
+
+  function summary() {
+    const alarms = Array.from(state.alarms.entries()).map(([k, a]) => `${k}${a.acknowledged ? '(ack)' : ''}`);
+    return `mode=${state.mode} engine=${state.engine} genOk=${state.genOk} gb=${state.gb} mb=${state.mb} `
+      + `mains=${state.mainsOk ? 'ok' : 'FAIL'} amfActive=${state.amfActive} alarms=[${alarms.join(',')}]`;
+  }
+
+  tick(0);
+
+  return {
+    slaveId,
+    regs,
+    state,
+    tick,
+    writeCoil,
+    runCommand,
+    setMode,
+    setAlarm,
+    setMains,
+    summary,
+  };
+}
+
+/* =========================
+   SCRIPTING
+   ========================= */
+// One action, from a scenario step or a console line:
+//   mains fail|restore, alarm <reg:bit> on|off, cmd <key>, mode <option>,
+//   amf on|off, load <kW>, set <path> <value>, unset <path>, state
+function applyAction(ctl, words) {
+  const [verb, arg, value] = words;
+  switch (verb) {
+    case 'mains': ctl.setMains(arg === 'restore' || arg === 'ok'); break;
+    case 'alarm': ctl.setAlarm(arg, value !== 'off'); break;
+    case 'cmd': ctl.runCommand(arg); break;
+    case 'mode': ctl.setMode(arg); break;
+    case 'amf': ctl.state.amf = arg !== 'off'; break;
+    case 'load': ctl.state.loadKw = parseFloat(arg); break;
+    case 'set': ctl.state.overrides[arg] = parseFloat(value); break;
+    case 'unset': delete ctl.state.overrides[arg]; break;
+    case 'state': console.log(`[sim ${ctl.slaveId}] ${ctl.summary()}`); break;
+    default: throw new Error(`unknown action "${words.join(' ')}"`);
+  }
+}
+
+// Scenario: { "loop": false, "steps": [{ "at": <seconds>, "do": "mains fail", "slave": 1 }] }
+// (`slave` is optional and defaults to every simulated controller)
+function loadScenario(file, clock, controllers) {
+  const scenario = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const steps = (scenario.steps || []).slice().sort((a, b) => a.at - b.at);
+  const duration = steps.length ? steps[steps.length - 1].at * 1000 : 0;
+  let start = clock.now;
+  let next = 0;
+  console.log(`Scenario ${file}: ${steps.length} steps${scenario.loop ? ' (looping)' : ''}`);
+
+  return function runDue() {
+    while (next < steps.length && clock.now - start >= steps[next].at * 1000) {
+      const step = steps[next++];
+      const targets = step.slave ? controllers.filter(c => c.slaveId === step.slave) : controllers;
+      console.log(`Scenario t=${step.at}s: ${step.do}`);
+      for (const ctl of targets) {
+        try {
+          applyAction(ctl, step.do.split(/\s+/));
+        } catch (err) {
+          console.error(`Scenario step failed: ${err.message}`);
+        }
+      }
+    }
+    if (scenario.loop && next >= steps.length && clock.now - start >= duration) {
+      start = clock.now;
+      next = 0;
+    }
+  };
+}
+
+/* =========================
+   MAIN
+   ========================= */
+(() => {
+  const profile = loadProfile(DEIF_PROFILE);
+  const clock = { now: 0 };
+  const controllers = SIM_SLAVES.map(id => createSimController(id, profile, clock));
+  const byUnit = new Map(controllers.map(c => [c.slaveId, c]));
+  const runScenario = SIM_SCENARIO ? loadScenario(SIM_SCENARIO, clock, controllers) : () => {};
+
+  const inAreas = (addr, length) => profile.areas.some(a => addr >= a.start && addr + length - 1 <= a.end);
+
+  function unit(unitID) {
+    const ctl = byUnit.get(unitID);
+    // 0x0B: gateway target device failed to respond (what a gateway reports for an absent slave)
+    if (!ctl) throw Object.assign(new Error(`no slave ${unitID}`), { modbusErrorCode: 0x0B });
+    return ctl;
+  }
+
+  const vector = {
+    getMultipleInputRegisters(addr, length, unitID) {
+      const ctl = unit(unitID);
+      if (!inAreas(addr, length)) throw Object.assign(new Error('illegal address'), { modbusErrorCode: 0x02 });
+      return Array.from({ length }, (_, i) => ctl.regs[addr + i]);
+    },
+    getInputRegister(addr, unitID) {
+      return vector.getMultipleInputRegisters(addr, 1, unitID)[0];
+    },
+    getHoldingRegister() {
+      throw Object.assign(new Error('illegal function'), { modbusErrorCode: 0x01 });
+    },
+    getCoil() {
+      return false;
+    },
+    setCoil(addr, value, unitID) {
+      unit(unitID).writeCoil(addr, value);
+    },
+  };
+
+  let server;
+  if (SIM_SERIAL_PORT) {
+    server = new ModbusRTU.ServerSerial(vector, { path: SIM_SERIAL_PORT, baudRate: SIM_BAUD, unitID: 255 });
+  } else {
+    server = new ModbusRTU.ServerTCP(vector, { host: SIM_HOST, port: SIM_PORT, unitID: 255 });
+  }
+  server.on('error', err => console.error('Modbus server error:', err && err.message ? err.message : err));
+  console.log(`DEIF simulator (${profile.id}@${profile.version}) slaves=${SIM_SLAVES.join(',')} `
+    + `on ${SIM_SERIAL_PORT ? `${SIM_SERIAL_PORT} @${SIM_BAUD}` : `tcp ${SIM_HOST}:${SIM_PORT}`} speed=${SIM_SPEED}x`);
+
+  const timer = setInterval(() => {
+    const dt = SIM_TICK_MS * SIM_SPEED;
+    clock.now += dt;
+    runScenario();
+    for (const ctl of controllers) ctl.tick(dt);
+  }, SIM_TICK_MS);
+
+  // Console: the scenario actions, prefixed with a slave id to target one controller ("2 mains fail")
+  if (process.stdin.isTTY || process.env.SIM_CONSOLE === 'true') {
+    const rl = readline.createInterface({ input: process.stdin });
+    rl.on('line', (line) => {
+      const words = line.trim().split(/\s+/).filter(Boolean);
+      if (words.length === 0) return;
+      const targets = /^\d+$/.test(words[0]) ? [byUnit.get(parseInt(words.shift(), 10))].filter(Boolean) : controllers;
+      for (const ctl of targets) {
+        try {
+          applyAction(ctl, words);
+        } catch (err) {
+          console.error(err.message);
+        }
+      }
+    });
+  }
+
+  function shutdown() {
+    clearInterval(timer);
+    server.close(() => process.exit(0));
+    setTimeout(() => process.exit(0), 1000).unref();
+  }
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+})();
@@ -3,544 +3,1880 @@
 
 require('dotenv').config();
 
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
 const ModbusRTU = require('modbus-serial');
 const mqtt = require('mqtt');
 
 /* =========================
    CONFIG (from .env)
    ========================= */
+// Transport: rtu (local serial), tcp (Modbus TCP) or rtu-over-tcp (raw RTU frames via serial gateway)
+const TRANSPORT = (process.env.DEIF_TRANSPORT || 'rtu').toLowerCase();
 const SERIAL_PORT = process.env.DEIF_PORT || '/dev/ttyUSB0';
 const BAUD = parseInt(process.env.DEIF_BAUD || '9600', 10);
+const PARITY = (process.env.DEIF_PARITY || 'none').toLowerCase();
+const DATA_BITS = parseInt(process.env.DEIF_DATA_BITS || '8', 10);
+const STOP_BITS = parseInt(process.env.DEIF_STOP_BITS || '1', 10);
+const TCP_HOST = process.env.DEIF_HOST || '';
+const TCP_PORT = parseInt(process.env.DEIF_TCP_PORT || '502', 10);
+const MODBUS_TIMEOUT_MS = parseInt(process.env.DEIF_TIMEOUT_MS || '1000', 10);
+// Reopen the Modbus link after this many consecutive failed transactions (0 disables)
+const MODBUS_RECONNECT_AFTER_FAILURES = parseInt(process.env.MODBUS_RECONNECT_AFTER_FAILURES || '3', 10);
+const MODBUS_RECONNECT_MIN_MS = parseInt(process.env.MODBUS_RECONNECT_MIN_MS || '1000', 10);
+const MODBUS_RECONNECT_MAX_MS = parseInt(process.env.MODBUS_RECONNECT_MAX_MS || '60000', 10);
 const SLAVE_ID = parseInt(process.env.DEIF_SLAVE || '1', 10);
 
+// Several controllers on one bus/gateway: JSON array, e.g.
+// [{"slave":1,"topicPrefix":"deif/gen1","nodeId":"deif-gen1","name":"Generator 1","commands":["alarm_ack"]},{"slave":2,"profile":"/data/profiles/gc-1f.json"}]
+// When unset, a single controller is built from DEIF_SLAVE/TOPIC_PREFIX/HASS_NODE_ID/DEVICE_NAME.
+const CONTROLLERS_JSON = process.env.DEIF_CONTROLLERS || '';
+
 const MQTT_URL = process.env.MQTT_URL || 'mqtt://localhost:1883';
 const MQTT_USER = process.env.MQTT_USER || '';
 const MQTT_PASS = process.env.MQTT_PASS || '';
+const MQTT_RECONNECT_MIN_MS = parseInt(process.env.MQTT_RECONNECT_MIN_MS || '1000', 10);
+const MQTT_RECONNECT_MAX_MS = parseInt(process.env.MQTT_RECONNECT_MAX_MS || '60000', 10);
 
 const TOPIC_PREFIX = (process.env.TOPIC_PREFIX || 'deif/gc1f2').replace(/\/+$/, '');
 const INTERVAL_MS = parseInt(process.env.INTERVAL_MS || '5000', 10);
+// Fast-tier interval while the engine runs or mains has failed (0 = always INTERVAL_MS)
+const POLL_ACTIVE_MS = parseInt(process.env.POLL_ACTIVE_MS || '1000', 10);
+// Interval of the profile's "slow" blocks (GC-1F/2: app version)
+const POLL_SLOW_MS = parseInt(process.env.POLL_SLOW_MS || '60000', 10);
 const RETAIN = (process.env.RETAIN || 'true').toLowerCase() === 'true';
+// Publish-on-change: polled values are only sent when they change (beyond their
+// deadband) or when PUBLISH_HEARTBEAT_MS has passed since they were last sent (0 = never)
+const PUBLISH_ON_CHANGE = (process.env.PUBLISH_ON_CHANGE || 'true').toLowerCase() === 'true';
+const PUBLISH_HEARTBEAT_MS = parseInt(process.env.PUBLISH_HEARTBEAT_MS || '300000', 10);
+// Deadbands: JSON { "<group>.<name>" | "<group>.*" | "*": <absolute> | "<percent>%" },
+// e.g. {"gen.frequency_hz":0.05,"gen.pgen_kw":"2%"}. Never applied to alarms/* and status/*.
+const PUBLISH_DEADBANDS_JSON = process.env.PUBLISH_DEADBANDS || '';
+// Default per-command cooldown; override one command with CMD_COOLDOWN_<KEY>_MS (e.g. CMD_COOLDOWN_STOP_MS=0)
 const CMD_COOLDOWN_MS = parseInt(process.env.CMD_COOLDOWN_MS || '5000', 10);
-
-// Static device metadata
-const DEVICE_MODEL = process.env.DEVICE_MODEL || 'DEIF GC-1F/2';
-const DEVICE_MANUFACTURER = process.env.DEVICE_MANUFACTURER || 'DEIF';
-const DEVICE_NAME = process.env.DEVICE_NAME || `DEIF GC-1F/2 (${SLAVE_ID})`;
+// Two-step commands: comma-separated keys that must be armed (cmd/<key>/arm) and
+// then confirmed (cmd/<key>) within CMD_CONFIRM_WINDOW_MS
+const CMD_CONFIRM = process.env.CMD_CONFIRM || '';
+const CMD_CONFIRM_WINDOW_MS = parseInt(process.env.CMD_CONFIRM_WINDOW_MS || '10000', 10);
+// Optional shared token: command/arm payloads must equal it. HA entities send it, so it sits in
+// the retained discovery configs: a guard against stray publishes, not access control (use broker ACLs)
+const CMD_TOKEN = process.env.CMD_TOKEN || '';
+// Append-only JSON-lines audit log of every command (empty disables the file; cmd/audit is always published)
+const CMD_AUDIT_FILE = process.env.CMD_AUDIT_FILE || '';
+// Command preconditions: JSON { "<command key>": [rules] } replacing the built-in
+// `requires` rules of those commands (an empty array removes them)
+const CMD_INTERLOCKS_JSON = process.env.CMD_INTERLOCKS || '';
+// How long to watch status bits for the expected effect of a command
+const CMD_VERIFY_TIMEOUT_MS = parseInt(process.env.CMD_VERIFY_TIMEOUT_MS || '60000', 10);
+
+// Alarm event log: number of events kept in the retained alarms/history topic
+const ALARM_HISTORY_SIZE = parseInt(process.env.ALARM_HISTORY_SIZE || '50', 10);
+
+// Persisted last-run/last-alarm history (JSON file, e.g. on a mounted volume). Empty disables.
+const STATE_FILE = process.env.STATE_FILE || '';
+
+// Availability: bridge topic is backed by the MQTT Last Will, controller topic
+// (<controller prefix>/controller/availability) follows poll success/failure.
+// HA entities require both to be "online".
+const AVAILABILITY_TOPIC = `${TOPIC_PREFIX}/availability`;
+const PAYLOAD_ONLINE = 'online';
+const PAYLOAD_OFFLINE = 'offline';
+
+// Controller profile (register map, alarm/status bits, command coils, HA metadata):
+// a name from profiles/ (e.g. gc-1f2) or a path to a profile JSON file
+const DEIF_PROFILE = process.env.DEIF_PROFILE || 'gc-1f2';
+const PROFILE_DIR = path.join(__dirname, 'profiles');
+
+// Static device metadata (model/manufacturer default to the profile)
+const DEVICE_MODEL = process.env.DEVICE_MODEL || '';
+const DEVICE_MANUFACTURER = process.env.DEVICE_MANUFACTURER || '';
+const DEVICE_NAME = process.env.DEVICE_NAME || '';
 
 // HA Discovery
 const HASS_DISCOVERY_PREFIX = (process.env.HASS_DISCOVERY_PREFIX || 'homeassistant').replace(/\/+$/, '');
-const HASS_NODE_ID = process.env.HASS_NODE_ID || `deif-gc1f2-${SLAVE_ID}`;
-const HASS_DEVICE_ID = process.env.HASS_DEVICE_ID || HASS_NODE_ID;
+// Default node id: deif-<profile id without separators>-<slave> (see defaultNodeId)
+const HASS_NODE_ID = process.env.HASS_NODE_ID || '';
+const HASS_DEVICE_ID = process.env.HASS_DEVICE_ID || '';
 
 function envFlag(name, defaultValue = 'false') {
   return (process.env[name] || defaultValue).toLowerCase() === 'true';
 }
 
-const ENABLE_COMMAND_ALARM_ACK = envFlag('ENABLE_COMMAND_ALARM_ACK');
-const ENABLE_COMMAND_MANUAL_MODE = envFlag('ENABLE_COMMAND_MANUAL_MODE');
-const ENABLE_COMMAND_AUTO_MODE = envFlag('ENABLE_COMMAND_AUTO_MODE');
-const ENABLE_COMMAND_START = envFlag('ENABLE_COMMAND_START');
-const ENABLE_COMMAND_GB_ON = envFlag('ENABLE_COMMAND_GB_ON');
-const ENABLE_COMMAND_GB_OFF = envFlag('ENABLE_COMMAND_GB_OFF');
-const ENABLE_COMMAND_STOP = envFlag('ENABLE_COMMAND_STOP');
-const ENABLE_COMMAND_START_GB_ON = envFlag('ENABLE_COMMAND_START_GB_ON');
-const ENABLE_COMMAND_GB_OFF_STOP = envFlag('ENABLE_COMMAND_GB_OFF_STOP');
-const ENABLE_COMMAND_MB_ON = envFlag('ENABLE_COMMAND_MB_ON');
-const ENABLE_COMMAND_MB_OFF = envFlag('ENABLE_COMMAND_MB_OFF');
-const ENABLE_COMMAND_TEST = envFlag('ENABLE_COMMAND_TEST');
 const PUBLISH_ALARM_BITFIELDS = envFlag('PUBLISH_ALARM_BITFIELDS');
+// One binary sensor + set/clear device triggers per profile alarm
+const PUBLISH_ALARM_ENTITIES = envFlag('PUBLISH_ALARM_ENTITIES', 'true');
 
-function describeAlarmKey(key) {
-  const [regStr, bitStr] = key.split(':');
-  const def = ALARM_MAP[key];
-  if (def) {
-    return `${regStr}:${bitStr} (${def.code} ${def.text})`;
+// Manual says Hz/100, but your device shows 500 for 50.0 Hz -> divisor 10.
+// The profile sets the scaling; when set, these override it for every Hz measurement.
+const FREQ_DIVISOR = process.env.FREQ_DIVISOR ? parseFloat(process.env.FREQ_DIVISOR) : null;
+const FREQ_DECIMALS = process.env.FREQ_DECIMALS ? parseInt(process.env.FREQ_DECIMALS, 10) : null;
+
+// Derived metrics (L-L voltage estimates, averages, imbalance, load %, deviations)
+const PUBLISH_DERIVED_METRICS = envFlag('PUBLISH_DERIVED_METRICS', 'true');
+// Generator rating for the load percentage sensors (no sensor while unset);
+// per controller via "ratedKw"/"ratedKva"/"nominalFrequency" in DEIF_CONTROLLERS
+const RATED_KW = process.env.RATED_KW ? parseFloat(process.env.RATED_KW) : null;
+const RATED_KVA = process.env.RATED_KVA ? parseFloat(process.env.RATED_KVA) : null;
+const NOMINAL_FREQUENCY_HZ = parseFloat(process.env.NOMINAL_FREQUENCY_HZ || '50');
+// Fuel estimate per engine run (engine/last_run fuel_l; none while FUEL_L_PER_KWH is unset):
+// litres per kWh produced plus litres per hour at no load; per controller via "fuelLPerKwh"/"fuelIdleLph"
+const FUEL_L_PER_KWH = process.env.FUEL_L_PER_KWH ? parseFloat(process.env.FUEL_L_PER_KWH) : null;
+const FUEL_IDLE_LPH = process.env.FUEL_IDLE_LPH ? parseFloat(process.env.FUEL_IDLE_LPH) : null;
+// Maintenance tasks: JSON [{ "key", "name", "hours", "days" | "months" }], e.g.
+// [{"key":"oil","name":"Oil change","hours":250,"months":12}]; per controller via "maintenance"
+const MAINTENANCE_TASKS_JSON = process.env.MAINTENANCE_TASKS || '';
+// Exercise runs: "every <N> days at HH:MM" or a 5-field cron expression in local time (empty = off);
+// Test mode for EXERCISE_DURATION_MIN, failed without Hz/V OK within EXERCISE_START_TIMEOUT_S.
+// Per controller via "exercise": { "schedule", "durationMin", "startTimeoutS" }
+const EXERCISE_SCHEDULE = process.env.EXERCISE_SCHEDULE || '';
+const EXERCISE_DURATION_MIN = parseFloat(process.env.EXERCISE_DURATION_MIN || '15');
+const EXERCISE_START_TIMEOUT_S = parseFloat(process.env.EXERCISE_START_TIMEOUT_S || '60');
+
+// Prometheus exporter: GET /metrics on METRICS_PORT (0 disables)
+const METRICS_PORT = parseInt(process.env.METRICS_PORT || '0', 10);
+const METRICS_HOST = process.env.METRICS_HOST || '0.0.0.0';
+// Local status API and dashboard on HTTP_PORT (0 disables); command endpoints need
+// HTTP_COMMANDS=true plus CMD_TOKEN and go through the same guards as MQTT (token, arm,
+// interlocks, cooldown)
+const HTTP_PORT = parseInt(process.env.HTTP_PORT || '0', 10);
+const HTTP_HOST = process.env.HTTP_HOST || '0.0.0.0';
+const HTTP_COMMANDS = envFlag('HTTP_COMMANDS');
+
+// Time-series sinks (each disabled while empty): InfluxDB line protocol posted to a
+// write endpoint and/or appended to a file, and daily CSV files per controller
+const INFLUX_URL = process.env.INFLUX_URL || '';
+const INFLUX_TOKEN = process.env.INFLUX_TOKEN || '';
+const INFLUX_FILE = process.env.INFLUX_FILE || '';
+// Lines kept while the InfluxDB endpoint is unreachable (oldest dropped first)
+const INFLUX_BUFFER_LINES = parseInt(process.env.INFLUX_BUFFER_LINES || '10000', 10);
+const CSV_DIR = process.env.CSV_DIR || '';
+// Delete CSV files older than this many days on rotation (0 keeps everything)
+const CSV_RETENTION_DAYS = parseInt(process.env.CSV_RETENTION_DAYS || '0', 10);
+
+/* =========================
+   PROFILES
+   One controller variant per JSON file (profiles/<name>.json): FC04 register
+   blocks, measurement scaling, alarm/status bits, command coils and HA metadata.
+   Supporting another firmware or model is a new profile, not a code change.
+   ========================= */
+const PROFILE_SCHEMA = 1;
+
+const MEASUREMENT_TYPES = new Set(['u16', 's16', 'u32', 's32']);
+const MEASUREMENT_FORMATS = { app_version: fmtAppVersion };
+// Top-level topic groups produced by the bridge itself
+const RESERVED_GROUPS = new Set(['status', 'controller', 'cmd', 'bridge', 'ts']);
+
+// Poll tiers of register blocks: "fast" every poll, "slow" every POLL_SLOW_MS
+const POLL_TIERS = new Set(['fast', 'slow']);
+
+const BIT_MASKS = Array.from({ length: 16 }, (_, bit) => 1 << bit);
+
+// Validates a profile and derives the lookups used by decoding, discovery and commands
+function compileProfile(source, raw) {
+  const fail = (msg) => { throw new Error(`Profile ${source}: ${msg}`); };
+  if (!raw || raw.schema !== PROFILE_SCHEMA) {
+    fail(`unsupported schema ${JSON.stringify(raw && raw.schema)} (expected ${PROFILE_SCHEMA})`);
+  }
+  if (!raw.id || !raw.version) fail('"id" and "version" are required');
+
+  const blocks = (raw.blocks || []).map((b) => {
+    // FC04 reads are limited to 125 registers
+    if (!Number.isInteger(b.start) || !Number.isInteger(b.end) || b.end < b.start || b.end - b.start >= 125) {
+      fail(`invalid block ${JSON.stringify(b)}`);
+    }
+    const tier = b.tier || 'fast';
+    if (!POLL_TIERS.has(tier)) fail(`block ${JSON.stringify(b)}: unknown tier "${tier}"`);
+    return { name: b.name || `${b.start}-${b.end}`, start: b.start, end: b.end, count: (b.end - b.start) + 1, tier };
+  });
+  if (blocks.length === 0) fail('"blocks" must list at least one register block');
+  const readable = addr => blocks.some(b => addr >= b.start && addr <= b.end);
+  const readEveryPoll = addr => blocks.some(b => b.tier === 'fast' && addr >= b.start && addr <= b.end);
+
+  function parseBitKey(section, key) {
+    const [regStr, bitStr] = key.split(':');
+    const register = parseInt(regStr, 10);
+    const bit = parseInt(bitStr, 10);
+    if (!/^\d+:\d+$/.test(key) || bit > 15) fail(`${section} key "${key}" must be "<register>:<bit 0-15>"`);
+    if (!readable(register)) fail(`${section} "${key}": register ${register} is outside the read blocks`);
+    // Alarm/status transitions must be seen on every poll
+    if (!readEveryPoll(register)) fail(`${section} "${key}": register ${register} is in a slow block`);
+    return register;
+  }
+
+  const measurements = (raw.measurements || []).map((m) => {
+    const type = m.type || 'u16';
+    if (typeof m.path !== 'string' || !/^\w+\.\w+$/.test(m.path)) fail(`measurement path ${JSON.stringify(m.path)} must be "<group>.<name>"`);
+    if (RESERVED_GROUPS.has(m.path.split('.')[0])) fail(`${m.path}: group "${m.path.split('.')[0]}" is reserved`);
+    if (!MEASUREMENT_TYPES.has(type)) fail(`${m.path}: unknown type "${type}"`);
+    if (m.format && !MEASUREMENT_FORMATS[m.format]) fail(`${m.path}: unknown format "${m.format}"`);
+    const words = type.endsWith('32') ? 2 : 1;
+    for (let i = 0; i < words; i++) {
+      if (!Number.isInteger(m.register) || !readable(m.register + i)) fail(`${m.path}: register ${m.register + i} is outside the read blocks`);
+    }
+    const hz = !!(m.ha && m.ha.unit === 'Hz');
+    return {
+      path: m.path,
+      register: m.register,
+      type,
+      // 32-bit values span register and register+1; "hi_lo" means the high word comes first
+      wordOrder: m.wordOrder || 'hi_lo',
+      divisor: (hz && FREQ_DIVISOR !== null) ? FREQ_DIVISOR : (m.divisor || 1),
+      decimals: (hz && FREQ_DECIMALS !== null) ? FREQ_DECIMALS : m.decimals,
+      negate: !!m.negate,
+      format: m.format || null,
+      ha: m.ha || null,
+    };
+  });
+
+  const categoryNames = {};
+  const categoryByRegister = {};
+  for (const c of raw.alarmCategories || []) {
+    categoryNames[c.id] = c.name || c.id;
+    for (const register of c.registers || []) categoryByRegister[register] = c.id;
+  }
+
+  const alarms = {};
+  for (const [key, def] of Object.entries(raw.alarms || {})) {
+    const register = parseBitKey('alarm', key);
+    const category = categoryByRegister[register] || 'other';
+    if (!categoryNames[category]) categoryNames[category] = 'Other';
+    alarms[key] = { code: def.code || 'no code', text: def.text || key, category };
+  }
+
+  const status = {};
+  const roles = {};
+  for (const [key, def] of Object.entries(raw.status || {})) {
+    parseBitKey('status', key);
+    status[key] = { text: def.text || key, ha: def.ha || null };
+    if (def.role) {
+      if (roles[def.role]) fail(`status role "${def.role}" is assigned twice`);
+      roles[def.role] = key.replace(':', '_');
+    }
+  }
+
+  // Per-controller topic is <controller prefix>/cmd/<key>; `enabled` is the default
+  // when a controller entry does not list its own commands. `coil` is the zero-based
+  // FC0F offset, `expect`/`verifyTimeoutMs` drive result verification and `requires`
+  // are interlock rules (see evaluateInterlocks).
+  const commands = (raw.commands || []).map((c) => {
+    if (!c.key || !Number.isInteger(c.coil)) fail(`command ${JSON.stringify(c.key)} needs "key" and an integer "coil"`);
+    return {
+      key: c.key,
+      name: c.name || c.key,
+      offset: c.coil,
+      // ENABLE_COMMAND_<KEY>=true, or the flag named in "enableFlag"
+      // (e.g. ENABLE_COMMAND_MANUAL_MODE for mode_manual)
+      enabled: envFlag(c.enableFlag || `ENABLE_COMMAND_${c.key.toUpperCase()}`),
+      icon: c.icon,
+      ...(c.expect ? { expect: c.expect } : {}),
+      ...(c.verifyTimeoutMs ? { verifyTimeoutMs: c.verifyTimeoutMs } : {}),
+      ...(c.requires ? { requires: c.requires } : {}),
+    };
+  });
+  const commandKeys = new Set(commands.map(c => c.key));
+  if (commandKeys.size !== commands.length) fail('command keys must be unique');
+  parseInterlocks(`Profile ${source} requires`, Object.fromEntries(commands.filter(c => c.requires).map(c => [c.key, c.requires])), commandKeys);
+
+  // Operating mode: options of the mode select, which status bit reports each one and
+  // which command selects it (options without a command, e.g. OFF, are display-only)
+  const om = raw.operatingMode || {};
+  const modeOptions = om.options || [];
+  const modeCommands = {};
+  for (const o of modeOptions) {
+    if (o.command && !commandKeys.has(o.command)) fail(`mode option "${o.option}": unknown command "${o.command}"`);
+    if (o.command) modeCommands[o.option] = o.command;
   }
-  return `${regStr}:${bitStr}`;
+
+  const registersOf = map => Array.from(new Set(Object.keys(map).map(k => parseInt(k.split(':')[0], 10)))).sort((a, b) => a - b);
+  const alarmRegisters = registersOf(alarms);
+
+  return {
+    source,
+    id: raw.id,
+    version: raw.version,
+    description: raw.description || '',
+    model: raw.model || raw.id,
+    manufacturer: raw.manufacturer || 'DEIF',
+    blocks,
+    measurements,
+    alarms,
+    alarmRegisters,
+    categoryNames,
+    // Every register of the blocks holding alarm bits (alarms/bitfield/<register>)
+    bitfieldRegisters: blocks
+      .filter(b => alarmRegisters.some(r => r >= b.start && r <= b.end))
+      .flatMap(b => Array.from({ length: b.count }, (_, i) => b.start + i)),
+    status,
+    statusRegisters: registersOf(status),
+    roles,
+    operatingMode: {
+      options: modeOptions.map(o => o.option),
+      status: Object.fromEntries(modeOptions.map(o => [o.option, o.status])),
+      priority: om.priority || modeOptions.map(o => o.option),
+      modifiers: om.modifiers || [],
+      commands: modeCommands,
+    },
+    commands,
+    commandKeys,
+  };
 }
 
-// Manual says Hz/100, but your device shows 500 for 50.0 Hz -> divisor 10.
-// Keep configurable.
-const FREQ_DIVISOR = parseFloat(process.env.FREQ_DIVISOR || '10');
-const FREQ_DECIMALS = parseInt(process.env.FREQ_DECIMALS || '1', 10);
+function resolveProfilePath(ref) {
+  return /[\\/]|\.json$/i.test(ref) ? path.resolve(ref) : path.join(PROFILE_DIR, `${ref}.json`);
+}
+
+// Profiles are shared by every controller that names them
+const profileCache = new Map();
+
+function loadProfile(ref) {
+  const file = resolveProfilePath(ref);
+  if (!profileCache.has(file)) {
+    let raw;
+    try {
+      raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      throw new Error(`Cannot load profile "${ref}" (${file}): ${err.message}`);
+    }
+    profileCache.set(file, compileProfile(ref, raw));
+  }
+  return profileCache.get(file);
+}
 
 /* =========================
-   REGISTER MAP (Measurement table, FC04, addresses 500+)
-   From DEIF Option H2 manual:
-   - App version: 500
-   - Gen U L1-N: 504, Gen I L1: 513, Gen f: 507
-   - PGEN/QGEN/SGEN totals: 519 / 523 / 527
-   - Cosphi: 538
-   - Mains U L1N/L2N/L3N: 542/543/544, fMains: 545
-   - EGEN total (32-bit): 536 [HI], 537 [LO]
-   - Running time (32-bit): 554 [HI], 555 [LO]
-   - USUPPLY: 567
+   DERIVED METRICS
+   Computed from the decoded measurements on every poll and published next to
+   them (gen/*, mains/*). A metric is only offered when the profile measures all
+   of its inputs and, for load percentages, when a rating is configured.
    ========================= */
-const R = {
-  APP_VERSION: 500,
-
-  GEN_U_L1N: 504,
-  GEN_U_L2N: 505,
-  GEN_U_L3N: 506,
-  
-  GEN_F: 507,
-
-  GEN_I_L1: 513,
-  GEN_I_L2: 514,
-  GEN_I_L3: 515,
-
-  PGEN: 519,
-  QGEN: 523,
-  SGEN: 527,
-  
-  EGEN_HI: 536, // Total energy counter. Measured in [kWh]. Max. 300000MWh
-  EGEN_LO: 537,
-
-  COS_PHI: 538, // cos f x 100, signed
-
-  MAINS_U_L1N: 542,
-  MAINS_U_L2N: 543,
-  MAINS_U_L3N: 544,
-  MAINS_F: 545,
-
-  RUN_HI: 554, // Absolute running hour counter 
-  RUN_LO: 555,
-
-  ALARM_COUNT: 558,           // Number of alarms
-  ALARM_UNACK: 559,           // Number of unacknowledged alarms
-  ALARM_ACK_ACTIVE: 560,      // Number of acknowledged active alarms
-
-  GB_OPERATIONS: 563,         // Generator/circuit breaker operations counter
-  MB_OPERATIONS: 564,         // Mains breaker operation counter
-  START_ATTEMPTS: 566,        // Number of start attempts
-  USUPPLY: 567,               // V/10 Supply voltage i.e. battery/PSU
-  RPM: 576,                   // Running feedback RPM
-};
-
-// We'll read one continuous block from 500 to 576 inclusive.
-const MEAS_START = 500;
-const MEAS_END = 576;
-const MEAS_COUNT = (MEAS_END - MEAS_START) + 1;
-
-// Alarm bitfield registers
-const ALARM_START = 1000;
-const ALARM_END = 1019;
-const ALARM_COUNT = (ALARM_END - ALARM_START) + 1;
-
-// Command flags (FC0F write-only) zero-based offsets
-const CMD_FLAG_START = 1;
-const CMD_FLAG_GB_ON = 2;
-const CMD_FLAG_GB_OFF = 3;
-const CMD_FLAG_STOP = 4;
-const CMD_FLAG_ALARM_ACK = 10;
-const CMD_FLAG_START_GB_ON = 15;
-const CMD_FLAG_GB_OFF_STOP = 16;
-const CMD_FLAG_MB_ON = 25;
-const CMD_FLAG_MB_OFF = 26;
-const CMD_FLAG_MANUAL_MODE = 28;
-const CMD_FLAG_AUTO_MODE = 30;
-const CMD_FLAG_TEST = 31;
-
-const COMMAND_DEFS = [
-  { key: 'alarm_ack', name: 'Alarm Acknowledge', topic: `${TOPIC_PREFIX}/cmd/alarm_ack`, offset: CMD_FLAG_ALARM_ACK, enabled: ENABLE_COMMAND_ALARM_ACK, icon: 'mdi:alarm-check' },
-  { key: 'start', name: 'Start', topic: `${TOPIC_PREFIX}/cmd/start`, offset: CMD_FLAG_START, enabled: ENABLE_COMMAND_START, icon: 'mdi:play-circle' },
-  { key: 'gb_on', name: 'GB ON', topic: `${TOPIC_PREFIX}/cmd/gb_on`, offset: CMD_FLAG_GB_ON, enabled: ENABLE_COMMAND_GB_ON, icon: 'mdi:flash' },
-  { key: 'gb_off', name: 'GB OFF', topic: `${TOPIC_PREFIX}/cmd/gb_off`, offset: CMD_FLAG_GB_OFF, enabled: ENABLE_COMMAND_GB_OFF, icon: 'mdi:flash-off' },
-  { key: 'stop', name: 'Stop', topic: `${TOPIC_PREFIX}/cmd/stop`, offset: CMD_FLAG_STOP, enabled: ENABLE_COMMAND_STOP, icon: 'mdi:stop-circle' },
-  { key: 'start_gb_on', name: 'Start + GB ON', topic: `${TOPIC_PREFIX}/cmd/start_gb_on`, offset: CMD_FLAG_START_GB_ON, enabled: ENABLE_COMMAND_START_GB_ON, icon: 'mdi:play-network' },
-  { key: 'gb_off_stop', name: 'GB OFF + Stop', topic: `${TOPIC_PREFIX}/cmd/gb_off_stop`, offset: CMD_FLAG_GB_OFF_STOP, enabled: ENABLE_COMMAND_GB_OFF_STOP, icon: 'mdi:power-plug-off' },
-  { key: 'mb_on', name: 'MB ON', topic: `${TOPIC_PREFIX}/cmd/mb_on`, offset: CMD_FLAG_MB_ON, enabled: ENABLE_COMMAND_MB_ON, icon: 'mdi:transmission-tower-import' },
-  { key: 'mb_off', name: 'MB OFF', topic: `${TOPIC_PREFIX}/cmd/mb_off`, offset: CMD_FLAG_MB_OFF, enabled: ENABLE_COMMAND_MB_OFF, icon: 'mdi:transmission-tower-off' },
-  { key: 'mode_manual', name: 'Mode: Manual', topic: `${TOPIC_PREFIX}/cmd/mode_manual`, offset: CMD_FLAG_MANUAL_MODE, enabled: ENABLE_COMMAND_MANUAL_MODE, icon: 'mdi:hand-back-right' },
-  { key: 'mode_auto', name: 'Mode: Auto', topic: `${TOPIC_PREFIX}/cmd/mode_auto`, offset: CMD_FLAG_AUTO_MODE, enabled: ENABLE_COMMAND_AUTO_MODE, icon: 'mdi:autorenew' },
-  { key: 'mode_test', name: 'Mode: Test', topic: `${TOPIC_PREFIX}/cmd/mode_test`, offset: CMD_FLAG_TEST, enabled: ENABLE_COMMAND_TEST, icon: 'mdi:beaker' },
-];
+// Line-to-line magnitude from two phase voltages 120° apart (exact for balanced angles)
+function lineToLine(a, b) {
+  return Math.sqrt(a * a + b * b + a * b);
+}
 
-const ENABLED_COMMANDS = COMMAND_DEFS.filter(c => c.enabled);
-
-// Alarm descriptions: key format is "register:bit"
-const ALARM_MAP = {
-  // 1000 Protection alarms
-  '1000:0':  { code: '1000', text: 'G -P> 1' },
-  '1000:3':  { code: '1030', text: 'G I> 1' },
-  '1000:4':  { code: '1040', text: 'G I> 2' },
-  '1000:9':  { code: '1130', text: 'G I>> 1' },
-  '1000:10': { code: '1140', text: 'G I>> 2' },
-  '1000:11': { code: '1150', text: 'G U> 1' },
-  '1000:12': { code: '1160', text: 'G U> 2' },
-  '1000:13': { code: '1170', text: 'G U< 1' },
-  '1000:14': { code: '1180', text: 'G U< 2' },
-
-  // 1001 Protection alarms
-  '1001:0':  { code: '1210', text: 'G f> 1' },
-  '1001:1':  { code: '1220', text: 'G f> 2' },
-  '1001:3':  { code: '1240', text: 'G f< 1' },
-  '1001:4':  { code: '1250', text: 'G f< 2' },
-  '1001:6':  { code: 'no code', text: 'BB U> 1' },
-  '1001:7':  { code: 'no code', text: 'BB U> 2' },
-  '1001:9':  { code: 'no code', text: 'BB U< 1' },
-  '1001:10': { code: 'no code', text: 'BB U< 2' },
-  '1001:13': { code: 'no code', text: 'BB f> 1' },
-  '1001:14': { code: 'no code', text: 'BB f> 2' },
-
-  // 1002 Protection alarms
-  '1002:0':  { code: 'no code', text: 'BB f< 1' },
-  '1002:1':  { code: 'no code', text: 'BB f< 2' },
-  '1002:7':  { code: '1450', text: 'G P> 1' },
-  '1002:8':  { code: '1460', text: 'G P> 2' },
-  '1002:14': { code: 'no code', text: '-Q>' },
-  '1002:15': { code: 'no code', text: 'Q>' },
-
-  // 1003 Protection alarms
-  '1003:7':  { code: '1620', text: 'Mains unbalanced voltage' },
-
-  // 1005 Synchronisation alarms
-  '1005:3':  { code: '2150', text: 'Phase seq error' },
-  '1005:4':  { code: '2160', text: 'GB open failure' },
-  '1005:5':  { code: '2170', text: 'GB close failure' },
-  '1005:6':  { code: 'no code', text: 'GB pos failure' },
-  '1005:7':  { code: '2200', text: 'MB open failure' },
-  '1005:8':  { code: '2210', text: 'MB close failure' },
-  '1005:9':  { code: 'no code', text: 'MB pos failure' },
-
-  // 1010 Protection alarms (multi-inputs)
-  '1010:0':  { code: '3400', text: 'Dig. multi-input 1' },
-  '1010:1':  { code: '3410', text: 'Dig. multi-input 2' },
-  '1010:2':  { code: '3420', text: 'Dig. multi-input 3' },
-  '1010:3':  { code: '3404', text: 'Wire failure, dig. multi-input 1' },
-  '1010:4':  { code: '3404', text: 'Wire failure, dig. multi-input 2' },
-  '1010:5':  { code: '3424', text: 'Wire failure, dig. multi-input 3' },
-  '1010:12': { code: '3490', text: 'Dig. input 19-20/Emergency STOP' },
-
-  // 1013 Analogue inputs
-  '1013:0':  { code: 'no code', text: 'Multi-input 1.1' },
-  '1013:1':  { code: 'no code', text: 'Multi-input 1.2' },
-  '1013:2':  { code: 'no code', text: 'W. failure, multi-input 1' },
-  '1013:3':  { code: 'no code', text: 'Multi-input 2.1' },
-  '1013:4':  { code: 'no code', text: 'Multi-input 2.2' },
-  '1013:5':  { code: 'no code', text: 'W. failure, multi-input 2' },
-  '1013:6':  { code: 'no code', text: 'Multi-input 3.1' },
-  '1013:7':  { code: 'no code', text: 'Multi-input 3.2' },
-  '1013:8':  { code: 'no code', text: 'W. failure, multi-input 3' },
-  '1013:9':  { code: '4510', text: 'Overspeed 1' },
-  '1013:10': { code: '4520', text: 'Overspeed 2' },
-  '1013:11': { code: '4620', text: 'VDO fuel level 1.3' },
-  '1013:12': { code: '4610', text: 'Charger gen' },
-  '1013:13': { code: '4600', text: 'V-Belt' },
-  '1013:14': { code: '4560', text: 'Generator Hz/V failure' },
-  '1013:15': { code: 'no code', text: 'Start failure' },
-
-  // 1014 Analogue inputs
-  '1014:0':  { code: '4580', text: 'Stop failure' },
-  '1014:1':  { code: '4960', text: 'U< aux. supply term. 1' },
-  '1014:2':  { code: '4970', text: 'U> aux. supply term. 1' },
-  '1014:5':  { code: '4610', text: 'Charger Gen' },
-
-  // 1015 System/general alarms
-  '1015:0':  { code: '6110', text: 'Service timer 1' },
-  '1015:1':  { code: '6120', text: 'Service timer 2' },
-  '1015:13': { code: 'no code', text: 'Fuel fill check' },
-};
+function average(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
 
-const STATUS_MAP = {
-  // 1018 Status
-  '1018:0':  { code: 'no code', text: 'Mains failure' },
-  '1018:1':  { code: 'no code', text: 'MB pos ON' },
-  '1018:4':  { code: 'no code', text: 'GB pos ON' },
-  '1018:6':  { code: 'no code', text: 'Engine running' },
-  '1018:7':  { code: 'no code', text: 'Running detection, timer expired' },
-  '1018:8':  { code: 'no code', text: 'DG Hz/V OK, timer expired' },
-
-  // 1019 Operating mode status
-  '1019:0':  { code: 'no code', text: 'OFF' },
-  '1019:1':  { code: 'no code', text: 'Manual' },
-  '1019:3':  { code: 'no code', text: 'Auto' },
-  '1019:4':  { code: 'no code', text: 'Test' },
-  '1019:5':  { code: 'no code', text: 'Island' },
-  '1019:6':  { code: 'no code', text: 'AMF' },
-  '1019:10': { code: 'no code', text: 'Load take over' },
-  '1019:15': { code: 'no code', text: 'AMF active' }
-};
+// Largest deviation from the average, in percent of the average (NEMA definition)
+function imbalancePct(values) {
+  const avg = average(values);
+  if (avg <= 0) return 0;
+  return (Math.max(...values.map(v => Math.abs(v - avg))) / avg) * 100;
+}
 
-const ALARM_REGISTERS = Array.from(new Set(Object.keys(ALARM_MAP)
-  .map(k => parseInt(k.split(':')[0], 10)))).sort((a, b) => a - b);
-const ALARM_REG_SET = new Set(ALARM_REGISTERS);
+function sourceMetrics(group, label) {
+  const phaseVoltages = [1, 2, 3].map(n => `${group}.voltage_l${n}n_v`);
+  const phaseCurrents = [1, 2, 3].map(n => `${group}.current_l${n}_a`);
+  const voltage = { deviceClass: 'voltage', unit: 'V', stateClass: 'measurement', icon: 'mdi:sine-wave' };
+  const current = { deviceClass: 'current', unit: 'A', stateClass: 'measurement', icon: 'mdi:current-ac' };
+  const percent = { unit: '%', stateClass: 'measurement', icon: 'mdi:scale-unbalanced' };
+
+  const lineVoltages = [[1, 2], [2, 3], [3, 1]].map(([a, b]) => ({
+    path: `${group}.voltage_l${a}l${b}_v`,
+    inputs: [phaseVoltages[a - 1], phaseVoltages[b - 1]],
+    compute: ([va, vb]) => lineToLine(va, vb),
+    decimals: 1,
+    ha: { key: `${group}_voltage_l${a}l${b}`, name: `${label} Voltage L${a}-L${b} (est.)`, ...voltage },
+  }));
+
+  return [
+    ...lineVoltages,
+    {
+      path: `${group}.voltage_avg_v`,
+      inputs: phaseVoltages,
+      compute: average,
+      decimals: 1,
+      ha: { key: `${group}_voltage_avg`, name: `${label} Voltage Average`, ...voltage },
+    },
+    {
+      path: `${group}.voltage_imbalance_pct`,
+      inputs: phaseVoltages,
+      compute: imbalancePct,
+      decimals: 1,
+      ha: { key: `${group}_voltage_imbalance`, name: `${label} Voltage Imbalance`, ...percent },
+    },
+    {
+      path: `${group}.current_avg_a`,
+      inputs: phaseCurrents,
+      compute: average,
+      decimals: 1,
+      ha: { key: `${group}_current_avg`, name: `${label} Current Average`, ...current },
+    },
+    {
+      path: `${group}.current_total_a`,
+      inputs: phaseCurrents,
+      compute: values => values.reduce((sum, v) => sum + v, 0),
+      decimals: 1,
+      ha: { key: `${group}_current_total`, name: `${label} Current Total`, ...current },
+    },
+    {
+      path: `${group}.current_imbalance_pct`,
+      inputs: phaseCurrents,
+      compute: imbalancePct,
+      decimals: 1,
+      ha: { key: `${group}_current_imbalance`, name: `${label} Current Imbalance`, ...percent },
+    },
+    {
+      // A dead source (0 Hz) has no meaningful deviation
+      path: `${group}.frequency_deviation_hz`,
+      inputs: [`${group}.frequency_hz`],
+      compute: ([f], ratings) => (f > 0 ? f - ratings.nominalFrequency : null),
+      decimals: 2,
+      ha: { key: `${group}_frequency_deviation`, name: `${label} Frequency Deviation`, deviceClass: 'frequency', unit: 'Hz', stateClass: 'measurement', icon: 'mdi:sine-wave' },
+    },
+  ];
+}
 
-const STATUS_REGISTERS = Array.from(new Set(Object.keys(STATUS_MAP)
-  .map(k => parseInt(k.split(':')[0], 10)))).sort((a, b) => a - b);
+const DERIVED_METRICS = [
+  ...sourceMetrics('gen', 'Generator'),
+  ...sourceMetrics('mains', 'Mains'),
+  {
+    path: 'gen.load_kw_pct',
+    inputs: ['gen.pgen_kw'],
+    rating: 'ratedKw',
+    compute: ([kw], ratings) => (kw / ratings.ratedKw) * 100,
+    decimals: 1,
+    ha: { key: 'gen_load_kw_pct', name: 'Generator Load (kW)', unit: '%', stateClass: 'measurement', icon: 'mdi:gauge' },
+  },
+  {
+    path: 'gen.load_kva_pct',
+    inputs: ['gen.sgen_kva'],
+    rating: 'ratedKva',
+    compute: ([kva], ratings) => (kva / ratings.ratedKva) * 100,
+    decimals: 1,
+    ha: { key: 'gen_load_kva_pct', name: 'Generator Load (kVA)', unit: '%', stateClass: 'measurement', icon: 'mdi:gauge' },
+  },
+  {
+    // Generator minus mains, only while both sides are live
+    path: 'gen.voltage_diff_mains_v',
+    inputs: ['gen.voltage_l1n_v', 'gen.voltage_l2n_v', 'gen.voltage_l3n_v', 'mains.voltage_l1n_v', 'mains.voltage_l2n_v', 'mains.voltage_l3n_v'],
+    compute: (values) => {
+      const gen = average(values.slice(0, 3));
+      const mains = average(values.slice(3));
+      return gen > 0 && mains > 0 ? gen - mains : null;
+    },
+    decimals: 1,
+    ha: { key: 'gen_voltage_diff_mains', name: 'Generator - Mains Voltage Difference', deviceClass: 'voltage', unit: 'V', stateClass: 'measurement', icon: 'mdi:compare-horizontal' },
+  },
+  {
+    path: 'gen.frequency_diff_mains_hz',
+    inputs: ['gen.frequency_hz', 'mains.frequency_hz'],
+    compute: ([gen, mains]) => (gen > 0 && mains > 0 ? gen - mains : null),
+    decimals: 2,
+    ha: { key: 'gen_frequency_diff_mains', name: 'Generator - Mains Frequency Difference', deviceClass: 'frequency', unit: 'Hz', stateClass: 'measurement', icon: 'mdi:compare-horizontal' },
+  },
+];
 
-const BIT_MASKS = Array.from({ length: 16 }, (_, bit) => 1 << bit);
+// Derived metrics a controller can publish: inputs measured by its profile, ratings configured
+function selectDerivedMetrics(profile, ratings) {
+  if (!PUBLISH_DERIVED_METRICS) return [];
+  const measured = new Set(profile.measurements.map(m => m.path));
+  return DERIVED_METRICS.filter(d => d.inputs.every(p => measured.has(p)) && (!d.rating || ratings[d.rating]));
+}
 
+// Adds the derived metrics to the decoded measurement groups; a metric whose
+// compute returns null (e.g. a deviation of a dead source) is left out
+function applyDerivedMetrics(metrics, values, ratings) {
+  for (const d of metrics) {
+    const result = d.compute(d.inputs.map(p => valueAtPath(values, p)), ratings);
+    if (result === null || !Number.isFinite(result)) continue;
+    const [group, name] = d.path.split('.');
+    if (!values[group]) values[group] = {};
+    values[group][name] = Number.parseFloat(result.toFixed(d.decimals));
+  }
+  return values;
+}
 
 /* =========================
-   HELPERS
+   RUN STATISTICS
+   One record per engine run (engine/last_run), built from the polls between the
+   engine_running rising and falling edges. Counter deltas compare the energy and
+   run-hour counters at the start with the poll after the stop, which lets the
+   controller update them and then publishes the record.
    ========================= */
-function u32(hi, lo) {
-  return ((hi & 0xffff) << 16) | (lo & 0xffff);
+const RUN_INPUTS = {
+  energy: 'counters.energy_kwh',
+  runHours: 'counters.run_hours',
+  power: 'gen.pgen_kw',
+  frequency: 'gen.frequency_hz',
+  voltages: ['gen.voltage_l1n_v', 'gen.voltage_l2n_v', 'gen.voltage_l3n_v'],
+  battery: 'engine.battery',
+  rpm: 'engine.rpm',
+};
+// Battery readings this long after the running edge still count as cranking
+const RUN_CRANK_WINDOW_MS = 10000;
+
+function numberAtPath(values, dottedPath) {
+  const value = valueAtPath(values, dottedPath);
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
 }
 
-function s16(x) {
-  const v = x & 0xffff;
-  return v > 0x7fff ? v - 0x10000 : v;
+const minOrNull = (a, b) => (a === null ? b : (b === null ? a : Math.min(a, b)));
+const maxOrNull = (a, b) => (a === null ? b : (b === null ? a : Math.max(a, b)));
+const roundOrNull = (value, decimals) => (value === null ? null : Number.parseFloat(value.toFixed(decimals)));
+
+// Why the engine is running, judged at the running edge: amf (mains failure or
+// AMF active), else the operating mode (test, manual, auto), else unknown
+function runReason(profile, status) {
+  if (statusRole(profile, status, 'mains_failure') || statusRole(profile, status, 'amf_active')) return 'amf';
+  const mode = getPrimaryMode(profile, status);
+  return { Test: 'test', Manual: 'manual', Auto: 'auto' }[mode] || 'unknown';
 }
 
-function fmtAppVersion(raw) {
-  const str = String(raw).padStart(4, '0');
-  const first = str.charAt(0);
-  const second = str.charAt(1);
-  const lastTwo = str.slice(2);
-  return `${first}.${second}.${lastTwo}`;
+// Run in progress, opened at the running edge. crankBatteryMin is the lowest
+// battery reading seen while cranking before it (null if no poll caught it).
+function startRun(profile, status, values, nowMs, crankBatteryMin = null) {
+  return {
+    startedMs: nowMs,
+    reason: runReason(profile, status),
+    energyStart: numberAtPath(values, RUN_INPUTS.energy),
+    runHoursStart: numberAtPath(values, RUN_INPUTS.runHours),
+    batteryMin: crankBatteryMin,
+    lastSampleMs: null,
+    lastPowerKw: null,
+    energyKwh: 0,
+    sampledMs: 0,
+    peakKw: null,
+    frequencyMin: null,
+    frequencyMax: null,
+    voltageMin: null,
+    voltageMax: null,
+    samples: 0,
+  };
 }
 
-function freqFloat(x) {
-  return Number.parseFloat(Number(x).toFixed(FREQ_DECIMALS));
+// Adds one poll to the run: power is integrated over time (previous reading held
+// until this one); frequency/voltage ranges only count once the generator
+// reports Hz/V OK (gen_ok), so run-up and coast-down do not show as dips
+function sampleRun(run, profile, status, values, nowMs) {
+  const power = numberAtPath(values, RUN_INPUTS.power);
+  if (run.lastSampleMs !== null && run.lastPowerKw !== null) {
+    const dt = nowMs - run.lastSampleMs;
+    run.energyKwh += run.lastPowerKw * dt / 3600000;
+    run.sampledMs += dt;
+  }
+  run.lastSampleMs = nowMs;
+  run.lastPowerKw = power;
+  run.samples += 1;
+  run.peakKw = maxOrNull(run.peakKw, power);
+  if (nowMs - run.startedMs <= RUN_CRANK_WINDOW_MS) run.batteryMin = minOrNull(run.batteryMin, numberAtPath(values, RUN_INPUTS.battery));
+
+  if (profile.roles.gen_ok && !statusRole(profile, status, 'gen_ok')) return run;
+  const frequency = numberAtPath(values, RUN_INPUTS.frequency);
+  run.frequencyMin = minOrNull(run.frequencyMin, frequency);
+  run.frequencyMax = maxOrNull(run.frequencyMax, frequency);
+  for (const voltage of RUN_INPUTS.voltages.map(p => numberAtPath(values, p))) {
+    run.voltageMin = minOrNull(run.voltageMin, voltage);
+    run.voltageMax = maxOrNull(run.voltageMax, voltage);
+  }
+  return run;
 }
 
-function toHex(x) {
-  return '0x' + (x & 0xffff).toString(16).toUpperCase().padStart(4, '0');
+// The engine/last_run record; `values` should hold counters read after the stop.
+// fuel_l = integrated kWh × fuelLPerKwh + run time × fuelIdleLph (null unless fuelLPerKwh is set).
+function finishRun(run, values, stoppedMs, ratings = {}) {
+  const delta = (dottedPath, start) => {
+    const end = numberAtPath(values, dottedPath);
+    return start !== null && end !== null ? roundOrNull(end - start, 2) : null;
+  };
+  const hours = (stoppedMs - run.startedMs) / 3600000;
+  const fuel = ratings.fuelLPerKwh ? (run.energyKwh * ratings.fuelLPerKwh) + (hours * (ratings.fuelIdleLph || 0)) : null;
+  return {
+    started: new Date(run.startedMs).toISOString(),
+    stopped: new Date(stoppedMs).toISOString(),
+    duration_s: Math.max(0, Math.round((stoppedMs - run.startedMs) / 1000)),
+    reason: run.reason,
+    energy_kwh: delta(RUN_INPUTS.energy, run.energyStart),
+    energy_integrated_kwh: roundOrNull(run.energyKwh, 2),
+    run_hours: delta(RUN_INPUTS.runHours, run.runHoursStart),
+    pgen_kw_peak: run.peakKw,
+    pgen_kw_avg: run.sampledMs > 0 ? roundOrNull(run.energyKwh / (run.sampledMs / 3600000), 1) : null,
+    frequency_hz_min: run.frequencyMin,
+    frequency_hz_max: run.frequencyMax,
+    voltage_v_min: run.voltageMin,
+    voltage_v_max: run.voltageMax,
+    battery_v_min_cranking: run.batteryMin,
+    fuel_l: roundOrNull(fuel, 1),
+    samples: run.samples,
+  };
 }
 
-function decodeAlarms(alarmRegs) {
-  const active = [];
-  for (let i = 0; i < alarmRegs.length; i++) {
-    const regAddr = ALARM_START + i;
+/* =========================
+   MAINS OUTAGES
+   One episode per mains failure: from the mains_failure rising edge (GC-1F/2:
+   1018_0) until the load is back on mains after it cleared (MB closed, GB open).
+   AMF transfer times are taken at poll resolution, i.e. POLL_ACTIVE_MS while
+   mains has failed.
+   ========================= */
 
-    if (!ALARM_REG_SET.has(regAddr)) continue;
+// Milestones reached while mains is down, by role, and their record field
+const OUTAGE_MILESTONES = {
+  engine_running: 'engine_running_s',
+  gen_ok: 'gen_ok_s',
+  gb_on: 'gb_closed_s',
+};
 
-    const regValue = alarmRegs[i];
+function startOutage(nowMs) {
+  return { startedMs: nowMs, restoredMs: null, endedMs: null, milestones: {}, amfActive: false };
+}
 
-    // Check each bit in the register
-    for (let bit = 0; bit < BIT_MASKS.length; bit++) {
-      if (regValue & BIT_MASKS[bit]) {
-        const key = `${regAddr}:${bit}`;
-        const alarm = ALARM_MAP[key];
-        if (alarm) {
-          active.push({
-            register: regAddr,
-            bit,
-            code: alarm.code,
-            text: alarm.text
-          });
-        }
+// Adds one poll to the outage; returns true when something changed. Sets endedMs
+// once mains is back and the load is on it again (profiles without mb_on/gb_on
+// roles end the outage when mains returns).
+function updateOutage(outage, profile, status, nowMs) {
+  let changed = false;
+  if (statusRole(profile, status, 'mains_failure')) {
+    // Mains failed again before the load was back on it: still the same outage
+    if (outage.restoredMs !== null) {
+      outage.restoredMs = null;
+      changed = true;
+    }
+    for (const role of Object.keys(OUTAGE_MILESTONES)) {
+      if (outage.milestones[role] === undefined && statusRole(profile, status, role)) {
+        outage.milestones[role] = nowMs;
+        changed = true;
       }
     }
+    if (!outage.amfActive && statusRole(profile, status, 'amf_active')) {
+      outage.amfActive = true;
+      changed = true;
+    }
+    return changed;
   }
-  return active;
+
+  if (outage.restoredMs === null) {
+    outage.restoredMs = nowMs;
+    changed = true;
+  }
+  const mbClosed = !profile.roles.mb_on || statusRole(profile, status, 'mb_on');
+  if (mbClosed && !statusRole(profile, status, 'gb_on')) {
+    outage.endedMs = nowMs;
+    changed = true;
+  }
+  return changed;
 }
 
-function formatActiveAlarms(activeAlarms) {
-  if (!activeAlarms || activeAlarms.length === 0) {
-    return 'No active alarms';
+// The outages/last record of an ended outage; times in whole seconds,
+// milestones from the mains failure (null when not reached before mains returned)
+function outageRecord(outage) {
+  const seconds = (fromMs, toMs) => (fromMs === null || toMs === undefined || toMs === null
+    ? null
+    : Math.max(0, Math.round((toMs - fromMs) / 1000)));
+  const record = {
+    started: new Date(outage.startedMs).toISOString(),
+    mains_restored: new Date(outage.restoredMs).toISOString(),
+    ended: new Date(outage.endedMs).toISOString(),
+    duration_s: seconds(outage.startedMs, outage.restoredMs),
+  };
+  for (const [role, field] of Object.entries(OUTAGE_MILESTONES)) {
+    record[field] = seconds(outage.startedMs, outage.milestones[role]);
   }
-  return activeAlarms.map(a => `${a.code} ${a.text}`).join('\n');
+  record.return_to_mains_s = seconds(outage.restoredMs, outage.endedMs);
+  record.amf_active = outage.amfActive;
+  return record;
 }
 
-function decodeStatus(alarmRegs) {
-  const status = {};
+// Outage counters; today/this_month restart at local midnight and month start
+function rollOutageCounters(counters, nowMs) {
+  const day = localDate(nowMs);
+  const month = day.slice(0, 7);
+  const c = counters || { day, today: 0, month, this_month: 0, total: 0, total_s: 0 };
+  if (c.day !== day) {
+    c.day = day;
+    c.today = 0;
+  }
+  if (c.month !== month) {
+    c.month = month;
+    c.this_month = 0;
+  }
+  return c;
+}
+
+/* =========================
+   MAINTENANCE
+   Service tasks fall due after `hours` of engine run time (counters.run_hours)
+   or `days`/`months` of calendar time, whichever comes first, counted from the
+   last completion (or from when the bridge started tracking the task). Per task
+   the controller keeps { done_at, since, run_hours } in the state store.
+   ========================= */
 
-  for (const regAddr of STATUS_REGISTERS) {
-    const regIdx = regAddr - ALARM_START;
-    if (regIdx < 0 || regIdx >= alarmRegs.length) continue;
+// Calendar due time counted from sinceMs (null for run-hour-only tasks); months
+// keep the day of month, clamped to the end of shorter months
+function maintenanceDueAt(task, sinceMs) {
+  if (task.days) return sinceMs + task.days * 86400000;
+  if (!task.months) return null;
+  const d = new Date(sinceMs);
+  const day = d.getDate();
+  d.setDate(1);
+  d.setMonth(d.getMonth() + task.months);
+  d.setDate(Math.min(day, new Date(d.getFullYear(), d.getMonth() + 1, 0).getDate()));
+  return d.getTime();
+}
 
-    const regValue = alarmRegs[regIdx];
+// Published state of one task; remaining values go negative once overdue
+function maintenanceStatus(task, record, runHours, nowMs) {
+  const hoursRemaining = task.hours && record.run_hours !== null && runHours !== null
+    ? roundOrNull(task.hours - (runHours - record.run_hours), 1)
+    : null;
+  const dueAt = maintenanceDueAt(task, Date.parse(record.since));
+  const daysRemaining = dueAt !== null ? roundOrNull((dueAt - nowMs) / 86400000, 1) : null;
+  return {
+    hours_remaining: hoursRemaining,
+    days_remaining: daysRemaining,
+    due: (hoursRemaining !== null && hoursRemaining <= 0) || (daysRemaining !== null && daysRemaining <= 0),
+    due_date: dueAt !== null ? new Date(dueAt).toISOString() : null,
+    last_done: record.done_at,
+  };
+}
 
-    // Check each bit in the register
-    for (let bit = 0; bit < BIT_MASKS.length; bit++) {
-      const key = `${regAddr}:${bit}`;
-      const statusDef = STATUS_MAP[key];
-      if (statusDef) {
-        const isActive = !!(regValue & BIT_MASKS[bit]);
-        const statusKey = key.replace(':', '_');
-        status[statusKey] = isActive;
-      }
-    }
+/* =========================
+   EXERCISE SCHEDULE
+   Scheduled test runs: at each slot the controller is switched to Test mode,
+   watched for engine running, Hz/V OK and new alarms, and returned to Auto
+   after the configured duration. Schedules are "every <N> days at HH:MM" or a
+   5-field cron expression (minute hour day-of-month month day-of-week), both
+   in local time.
+   ========================= */
+
+// A slot missed by more than this (bridge or controller down) is skipped, not run late
+const EXERCISE_LATE_MS = 15 * 60000;
+// Watchdog of a run the polls have not finished (controller unreachable): fires this
+// long after the planned end, sends Auto itself and retries before reporting a failure
+const EXERCISE_WATCHDOG_GRACE_MS = 60000;
+const EXERCISE_AUTO_RETRY_MS = 30000;
+const EXERCISE_AUTO_ATTEMPTS = 5;
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 },
+];
+
+// One cron field ("*", "5", "1-5", "*/15", "0-30/10", lists of those) -> sorted values
+function parseCronField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const m = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!m) throw new Error(`invalid ${name} "${part}"`);
+    const from = m[1] === '*' ? min : parseInt(m[2], 10);
+    const to = m[1] === '*' ? max : (m[3] !== undefined ? parseInt(m[3], 10) : (m[4] ? max : from));
+    const step = m[4] ? parseInt(m[4], 10) : 1;
+    if (from < min || to > max || from > to || step < 1) throw new Error(`${name} "${part}" is out of range ${min}-${max}`);
+    for (let v = from; v <= to; v += step) values.add(v);
   }
-  
-  return status;
+  return values;
 }
 
-function getOperatingModeText(status) {
-  // Determine primary mode (priority order: OFF > Manual > Test > Auto)
-  let primaryMode = null;
-  
-  if (status['1019_0']) primaryMode = 'OFF';
-  else if (status['1019_1']) primaryMode = 'Manual';
-  else if (status['1019_4']) primaryMode = 'Test';
-  else if (status['1019_3']) primaryMode = 'Auto';
-  
-  if (!primaryMode) primaryMode = 'Unknown';
-  
-  // Collect modifiers
-  const modifiers = [];
-  if (status['1019_6']) modifiers.push('AMF');
-  if (status['1019_10']) modifiers.push('Load Takeover');
-  if (status['1019_15']) modifiers.push('AMF Active');
-  
-  // Format: "Primary (Modifier1, Modifier2)"
-  if (modifiers.length > 0) {
-    return `${primaryMode} (${modifiers.join(', ')})`;
+// "every 7 days at 10:00" | "<cron>" -> { text, every: { days, hour, minute } } | { text, cron }
+function parseExerciseSchedule(source, text) {
+  const every = /^every\s+(\d+)\s+days?\s+at\s+(\d{1,2}):(\d{2})$/i.exec(text.trim());
+  if (every) {
+    const [days, hour, minute] = every.slice(1).map(v => parseInt(v, 10));
+    if (days < 1 || hour > 23 || minute > 59) throw new Error(`${source}: invalid schedule "${text}"`);
+    return { text, every: { days, hour, minute } };
+  }
+  const fields = text.trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`${source}: schedule "${text}" must be "every <N> days at HH:MM" or a 5-field cron expression`);
+  }
+  try {
+    const [minutes, hours, doms, months, dows] = fields.map((f, i) => parseCronField(f, CRON_FIELDS[i]));
+    if (dows.has(7)) dows.add(0);
+    // Cron semantics: when both day fields are restricted, either may match
+    return { text, cron: { minutes, hours, doms, months, dows, domAny: fields[2] === '*', dowAny: fields[4] === '*' } };
+  } catch (err) {
+    throw new Error(`${source}: ${err.message} in "${text}"`);
   }
-  
-  return primaryMode;
 }
 
-function publish(mq, key, value, retainOverride) {
-  const topic = `${TOPIC_PREFIX}/${key}`;
-  const retain = (typeof retainOverride === 'boolean') ? retainOverride : RETAIN;
-  const payload = (typeof value === 'object') ? JSON.stringify(value) : String(value);
-  mq.publish(topic, payload, { qos: 0, retain });
+function cronDayMatches(cron, d) {
+  if (!cron.months.has(d.getMonth() + 1)) return false;
+  const dom = cron.doms.has(d.getDate());
+  const dow = cron.dows.has(d.getDay());
+  if (cron.domAny || cron.dowAny) return (cron.domAny || dom) && (cron.dowAny || dow);
+  return dom || dow;
 }
 
-function publishFlat(mq, prefixKey, obj, retainOverride) {
-  const stack = [{ path: prefixKey, value: obj }];
-  while (stack.length) {
-    const { path, value } = stack.pop();
-    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
-      for (const [k, v] of Object.entries(value)) {
-        stack.push({ path: `${path}/${k}`, value: v });
+// First slot strictly after afterMs. "every" schedules count N days from the
+// previous slot (anchorMs) and start at the next HH:MM when there is none yet.
+function nextExerciseAt(schedule, afterMs, anchorMs = null) {
+  if (schedule.every) {
+    const { days, hour, minute } = schedule.every;
+    const d = new Date(anchorMs !== null ? anchorMs : afterMs);
+    d.setHours(hour, minute, 0, 0);
+    if (anchorMs !== null) d.setDate(d.getDate() + days);
+    while (d.getTime() <= afterMs) d.setDate(d.getDate() + (anchorMs !== null ? days : 1));
+    return d.getTime();
+  }
+  const { cron } = schedule;
+  const d = new Date(afterMs);
+  d.setSeconds(0, 0);
+  d.setMinutes(d.getMinutes() + 1);
+  // Day by day, then minute by minute within a matching day (at most ~5 years ahead)
+  for (let days = 0; days < 5 * 366; days++) {
+    if (cronDayMatches(cron, d)) {
+      const day = d.getDate();
+      while (d.getDate() === day) {
+        if (cron.hours.has(d.getHours()) && cron.minutes.has(d.getMinutes())) return d.getTime();
+        d.setMinutes(d.getMinutes() + 1);
       }
     } else {
-      publish(mq, path, value, retainOverride);
+      d.setDate(d.getDate() + 1);
+      d.setHours(0, 0, 0, 0);
     }
   }
+  return null;
 }
 
-async function readInputBlock(mb, start, count) {
-  const res = await mb.readInputRegisters(start, count);
-  return res.data; // array of 16-bit register values
+// Why an exercise must not start now (null when it may)
+function exerciseBlocker(profile, snapshot) {
+  if (!snapshot) return 'controller state unknown (no successful poll)';
+  const { status, alarms } = snapshot;
+  if (statusRole(profile, status, 'mains_failure')) return 'mains failure active';
+  if (alarms.active.length > 0) return `${alarms.active.length} alarm(s) active`;
+  if (statusRole(profile, status, 'engine_running')) return 'engine already running';
+  const mode = getPrimaryMode(profile, status);
+  if (mode !== 'Auto') return `controller in ${mode} mode, not Auto`;
+  return null;
 }
 
-async function writeCommandFlag(mb, offset) {
-  await mb.writeCoils(offset, [true]);
+const alarmKeyOf = a => `${a.register}:${a.bit}`;
+
+// Exercise in progress, opened right after the Test mode command was sent
+function startExercise(scheduled, snapshot, nowMs) {
+  return {
+    scheduled,
+    startedMs: nowMs,
+    testSeen: false,
+    engineRunningMs: null,
+    genOkMs: null,
+    batteryBefore: numberAtPath(snapshot.values, RUN_INPUTS.battery),
+    batteryMin: null,
+    alarmsBefore: snapshot.alarms.active.map(alarmKeyOf),
+    alarmsRaised: [],
+    result: null,
+    reason: null,
+    endedMs: null,
+    returnToAuto: true,
+    returnedToAuto: false,
+  };
 }
 
-function createCommandHandler(mb, commands) {
-  let lastRun = 0;
-  const commandByTopic = new Map(commands.map(c => [c.topic, c]));
+// Adds one poll to the exercise and decides its result once it ends: aborted on
+// mains failure (back to Auto) or when someone changed the mode (left alone),
+// fail on a new alarm or no Hz/V OK within startTimeoutMs, else pass after durationMs
+function sampleExercise(run, profile, snapshot, nowMs, exercise) {
+  const { values, status, alarms } = snapshot;
+  const mode = getPrimaryMode(profile, status);
+  if (mode === 'Test') run.testSeen = true;
+  const running = statusRole(profile, status, 'engine_running');
+  if (run.engineRunningMs === null && running) run.engineRunningMs = nowMs;
+  if (run.genOkMs === null && running && statusRole(profile, status, 'gen_ok')) run.genOkMs = nowMs;
+  // Battery dip: lowest reading from the Test command until Hz/V OK
+  if (run.genOkMs === null || run.genOkMs === nowMs) run.batteryMin = minOrNull(run.batteryMin, numberAtPath(values, RUN_INPUTS.battery));
+  for (const alarm of alarms.active) {
+    const key = alarmKeyOf(alarm);
+    if (!run.alarmsBefore.includes(key) && !run.alarmsRaised.some(a => a.key === key)) {
+      run.alarmsRaised.push({ key, code: alarm.code, text: alarm.text });
+    }
+  }
 
-  function withinCooldown() {
-    const now = Date.now();
-    if (now - lastRun < CMD_COOLDOWN_MS) return false;
-    lastRun = now;
-    return true;
+  const elapsedMs = nowMs - run.startedMs;
+  const end = (result, reason, returnToAuto = true) => {
+    Object.assign(run, { result, reason, endedMs: nowMs, returnToAuto });
+  };
+  if (statusRole(profile, status, 'mains_failure')) {
+    end('aborted', 'mains failure during the exercise');
+  } else if (run.alarmsRaised.length > 0) {
+    const [first] = run.alarmsRaised;
+    end('fail', `alarm raised: ${first.code} ${first.text}`);
+  } else if (run.testSeen && mode !== 'Test') {
+    end('aborted', `mode changed to ${mode}`, false);
+  } else if (run.genOkMs === null && elapsedMs >= exercise.startTimeoutMs) {
+    end('fail', `Hz/V OK not reached within ${Math.round(exercise.startTimeoutMs / 1000)}s`);
+  } else if (elapsedMs >= exercise.durationMs) {
+    if (run.genOkMs !== null) end('pass', null);
+    else end('fail', 'Hz/V OK not reached');
   }
+  return run;
+}
 
-  return async function handleCommand(topic) {
+// The exercise/last_report record of a finished exercise
+function exerciseReport(run) {
+  const seconds = ms => (ms === null ? null : Math.max(0, Math.round((ms - run.startedMs) / 1000)));
+  return {
+    scheduled: run.scheduled,
+    started: new Date(run.startedMs).toISOString(),
+    ended: new Date(run.endedMs).toISOString(),
+    result: run.result,
+    reason: run.reason,
+    duration_s: seconds(run.endedMs),
+    engine_running_s: seconds(run.engineRunningMs),
+    gen_ok_s: seconds(run.genOkMs),
+    battery_v_before: run.batteryBefore,
+    battery_v_min: run.batteryMin,
+    battery_dip_v: run.batteryBefore !== null && run.batteryMin !== null ? roundOrNull(run.batteryBefore - run.batteryMin, 1) : null,
+    alarms_raised: run.alarmsRaised,
+    returned_to_auto: run.returnedToAuto,
+  };
+}
+
+// Same shape for a slot that was not run
+function skippedExerciseReport(scheduled, reason) {
+  return {
+    scheduled,
+    started: null,
+    ended: null,
+    result: 'skipped',
+    reason,
+    duration_s: null,
+    engine_running_s: null,
+    gen_ok_s: null,
+    battery_v_before: null,
+    battery_v_min: null,
+    battery_dip_v: null,
+    alarms_raised: [],
+    returned_to_auto: null,
+  };
+}
+
+/* =========================
+   CONTROLLERS
+   ========================= */
+function parseInterlocks(source, raw, commandKeys) {
+  if (raw === undefined || raw === '') return {};
+  let map = raw;
+  if (typeof raw === 'string') {
     try {
-      const cmd = commandByTopic.get(topic);
-      if (!cmd) return;
-      console.log(`Command received: ${cmd.key} (topic=${topic}, offset=${cmd.offset})`);
-      if (!withinCooldown()) {
-        console.log('Command skipped (cooldown active)');
-        return;
+      map = JSON.parse(raw);
+    } catch (err) {
+      throw new Error(`${source} is not valid JSON: ${err.message}`);
+    }
+  }
+  if (map === null || typeof map !== 'object' || Array.isArray(map)) {
+    throw new Error(`${source} must be an object of { "<command>": [rules] }`);
+  }
+  for (const [key, rules] of Object.entries(map)) {
+    if (!commandKeys.has(key)) throw new Error(`${source}: unknown command "${key}"`);
+    if (!Array.isArray(rules)) throw new Error(`${source}: rules for "${key}" must be an array`);
+    for (const rule of rules) {
+      if (!rule || typeof rule.path !== 'string' || !('equals' in rule || 'min' in rule || 'max' in rule)) {
+        throw new Error(`${source}: rule ${JSON.stringify(rule)} for "${key}" needs "path" and one of equals/min/max`);
       }
-      await writeCommandFlag(mb, cmd.offset);
-      console.log(`Command sent: ${cmd.key}`);
+    }
+  }
+  return map;
+}
+
+// Deadbands: { "<group>.<name>" | "<group>.*" | "*": <absolute> | "<percent>%" } ->
+// { <key>: { abs } | { pct } }
+function parseDeadbands(source, raw) {
+  if (raw === undefined || raw === '') return {};
+  let map = raw;
+  if (typeof raw === 'string') {
+    try {
+      map = JSON.parse(raw);
     } catch (err) {
-      console.error('Command error', topic, err && err.message ? err.message : err);
+      throw new Error(`${source} is not valid JSON: ${err.message}`);
     }
-  };
+  }
+  if (map === null || typeof map !== 'object' || Array.isArray(map)) {
+    throw new Error(`${source} must be an object of { "<group>.<name>": <deadband> }`);
+  }
+  const deadbands = {};
+  for (const [key, value] of Object.entries(map)) {
+    const pct = typeof value === 'string' ? /^\s*(\d+(?:\.\d+)?)\s*%\s*$/.exec(value) : null;
+    if (pct) {
+      deadbands[key] = { pct: parseFloat(pct[1]) };
+    } else if (typeof value === 'number' && value >= 0) {
+      deadbands[key] = { abs: value };
+    } else {
+      throw new Error(`${source}: deadband for "${key}" must be a number or a percentage like "2%"`);
+    }
+  }
+  return deadbands;
 }
 
-function getReg(block, addr) {
-  const idx = addr - MEAS_START;
-  if (idx < 0 || idx >= block.length) return undefined;
-  return block[idx];
+// Maintenance tasks: [{ key, name, hours, days | months }] -> the same with a
+// resetTopic (<prefix>/cmd/maintenance/<key>/reset)
+function resolveMaintenanceTasks(source, raw, topicPrefix) {
+  if (raw === undefined || raw === '') return [];
+  let tasks = raw;
+  if (typeof raw === 'string') {
+    try {
+      tasks = JSON.parse(raw);
+    } catch (err) {
+      throw new Error(`${source} is not valid JSON: ${err.message}`);
+    }
+  }
+  if (!Array.isArray(tasks)) throw new Error(`${source} must be an array of { "key", "name", "hours", "days" | "months" }`);
+  const seen = new Set();
+  return tasks.map((task) => {
+    const key = task && task.key;
+    if (typeof key !== 'string' || !/^[a-z0-9_]+$/.test(key)) {
+      throw new Error(`${source}: task key ${JSON.stringify(key)} must be lower-case letters, digits or _`);
+    }
+    if (seen.has(key)) throw new Error(`${source}: duplicate task "${key}"`);
+    seen.add(key);
+    for (const field of ['hours', 'days', 'months']) {
+      if (task[field] !== undefined && !(typeof task[field] === 'number' && task[field] > 0)) {
+        throw new Error(`${source}: "${key}".${field} must be a positive number`);
+      }
+    }
+    if (!task.hours && !task.days && !task.months) throw new Error(`${source}: "${key}" needs hours, days or months`);
+    if (task.days && task.months) throw new Error(`${source}: "${key}" takes days or months, not both`);
+    return {
+      key,
+      name: task.name || key,
+      hours: task.hours || null,
+      days: task.days || null,
+      months: task.months || null,
+      resetTopic: `${topicPrefix}/cmd/maintenance/${key}/reset`,
+    };
+  });
 }
 
-function readGen(block) {
+// Exercise settings of a controller ("exercise" entry, else EXERCISE_*); null when no schedule
+function resolveExercise(source, entry, profile, topicPrefix) {
+  const cfg = entry !== undefined ? entry : { schedule: EXERCISE_SCHEDULE };
+  if (!cfg || !cfg.schedule) return null;
+  const name = entry !== undefined ? `${source}.exercise` : 'EXERCISE_SCHEDULE';
+  const number = (field, envValue) => {
+    const value = cfg[field] !== undefined ? Number(cfg[field]) : envValue;
+    if (!(Number.isFinite(value) && value > 0)) throw new Error(`${name}: ${field} must be a positive number`);
+    return value;
+  };
+  const { Test: testKey, Auto: autoKey } = profile.operatingMode.commands;
+  if (!testKey || !autoKey) throw new Error(`${name}: profile ${profile.id} has no Test/Auto mode commands`);
   return {
-    voltage_l1n_v: getReg(block, R.GEN_U_L1N),
-    voltage_l2n_v: getReg(block, R.GEN_U_L2N),
-    voltage_l3n_v: getReg(block, R.GEN_U_L3N),
-    current_l1_a: getReg(block, R.GEN_I_L1),
-    current_l2_a: getReg(block, R.GEN_I_L2),
-    current_l3_a: getReg(block, R.GEN_I_L3),
-    frequency_hz: freqFloat(getReg(block, R.GEN_F) / FREQ_DIVISOR),
-    pgen_kw: s16(getReg(block, R.PGEN)),
-    qgen_kvar: s16(getReg(block, R.QGEN)),
-    sgen_kva: s16(getReg(block, R.SGEN)),
-    cos_phi: s16(getReg(block, R.COS_PHI)) / 100.0,
+    schedule: parseExerciseSchedule(name, String(cfg.schedule)),
+    durationMs: number('durationMin', EXERCISE_DURATION_MIN) * 60000,
+    startTimeoutMs: number('startTimeoutS', EXERCISE_START_TIMEOUT_S) * 1000,
+    testKey,
+    autoKey,
+    enableTopic: `${topicPrefix}/cmd/exercise/enabled`,
   };
 }
 
-function readMains(block) {
-  return {
-    voltage_l1n_v: getReg(block, R.MAINS_U_L1N),
-    voltage_l2n_v: getReg(block, R.MAINS_U_L2N),
-    voltage_l3n_v: getReg(block, R.MAINS_U_L3N),
-    frequency_hz: freqFloat(getReg(block, R.MAINS_F) / FREQ_DIVISOR),
-  };
+function parseCommandList(source, value, commandKeys) {
+  const keys = Array.isArray(value) ? value : String(value || '').split(',').map(k => k.trim()).filter(Boolean);
+  for (const key of keys) {
+    if (!commandKeys.has(key)) throw new Error(`${source}: unknown command "${key}"`);
+  }
+  return keys;
+}
+
+function commandCooldownMs(key) {
+  const raw = process.env[`CMD_COOLDOWN_${key.toUpperCase()}_MS`];
+  return (raw !== undefined && raw !== '') ? parseInt(raw, 10) : CMD_COOLDOWN_MS;
+}
+
+function resolveCommands(profile, topicPrefix, keys, interlocks = {}, confirmKeys = []) {
+  if (keys !== undefined && !Array.isArray(keys)) {
+    throw new Error(`Controller ${topicPrefix}: "commands" must be an array of command keys`);
+  }
+  for (const key of keys || []) {
+    if (!profile.commandKeys.has(key)) throw new Error(`Controller ${topicPrefix}: unknown command "${key}" in profile ${profile.id}`);
+  }
+  return profile.commands
+    .filter(c => (keys ? keys.includes(c.key) : c.enabled))
+    .map(c => ({
+      ...c,
+      topic: `${topicPrefix}/cmd/${c.key}`,
+      requires: interlocks[c.key] || c.requires || [],
+      cooldownMs: commandCooldownMs(c.key),
+      confirm: confirmKeys.includes(c.key),
+    }));
 }
 
-function readRunHours(block) {
-  return u32(getReg(block, R.RUN_HI), getReg(block, R.RUN_LO));
+// Every MQTT topic a controller's command handler listens on
+function hasModeSelect(ctl) {
+  const modeKeys = Object.values(ctl.profile.operatingMode.commands);
+  return ctl.commands.some(c => modeKeys.includes(c.key));
 }
 
-function readEnergy(block) {
-  const energyKwh = u32(getReg(block, R.EGEN_HI), getReg(block, R.EGEN_LO));
-  return { energyKwh, energySignedKwh: -energyKwh };
+function commandTopics(ctl) {
+  const topics = [];
+  for (const cmd of ctl.commands) {
+    topics.push(cmd.topic);
+    if (cmd.confirm) topics.push(`${cmd.topic}/arm`);
+  }
+  if (hasModeSelect(ctl)) topics.push(`${ctl.topicPrefix}/cmd/mode`);
+  for (const task of ctl.maintenance) topics.push(task.resetTopic);
+  if (ctl.exercise) topics.push(ctl.exercise.enableTopic);
+  return topics;
 }
 
-function readCounters(block) {
+// Rating/nominal values for the derived metrics and run statistics; entry fields override the env defaults
+function resolveRatings(source = '', entry = {}) {
+  const pick = (field, envName, envValue) => {
+    const fromEntry = entry[field] !== undefined;
+    const value = fromEntry ? Number(entry[field]) : envValue;
+    if (value !== null && !(Number.isFinite(value) && value > 0)) {
+      const raw = fromEntry ? entry[field] : process.env[envName];
+      throw new Error(`${fromEntry ? `${source}.${field}` : envName} must be a positive number, got ${JSON.stringify(raw)}`);
+    }
+    return value;
+  };
   return {
-    gen_breaker_ops: getReg(block, R.GB_OPERATIONS),
-    mains_breaker_ops: getReg(block, R.MB_OPERATIONS),
-    start_attempts: getReg(block, R.START_ATTEMPTS),
+    ratedKw: pick('ratedKw', 'RATED_KW', RATED_KW),
+    ratedKva: pick('ratedKva', 'RATED_KVA', RATED_KVA),
+    nominalFrequency: pick('nominalFrequency', 'NOMINAL_FREQUENCY_HZ', NOMINAL_FREQUENCY_HZ),
+    fuelLPerKwh: pick('fuelLPerKwh', 'FUEL_L_PER_KWH', FUEL_L_PER_KWH),
+    fuelIdleLph: pick('fuelIdleLph', 'FUEL_IDLE_LPH', FUEL_IDLE_LPH),
   };
 }
 
-function readUsupply(block) {
-  return Number.parseFloat((getReg(block, R.USUPPLY) / 10.0).toFixed(1));
+// e.g. gc-1f2, slave 1 -> deif-gc1f2-1
+function defaultNodeId(profile, slaveId) {
+  return `deif-${profile.id.toLowerCase().replace(/[^a-z0-9]/g, '')}-${slaveId}`;
 }
 
-/* =========================
-   HOME ASSISTANT DISCOVERY
-   ========================= */
-function publishHassDiscovery(mq) {
-  const stateTopic = `${TOPIC_PREFIX}/state`;
+function loadControllers() {
+  const defaultProfile = loadProfile(DEIF_PROFILE);
+
+  if (!CONTROLLERS_JSON) {
+    const model = DEVICE_MODEL || defaultProfile.model;
+    const ratings = resolveRatings();
+    const nodeId = HASS_NODE_ID || defaultNodeId(defaultProfile, SLAVE_ID);
+    return [{
+      slaveId: SLAVE_ID,
+      topicPrefix: TOPIC_PREFIX,
+      nodeId,
+      deviceId: HASS_DEVICE_ID || nodeId,
+      deviceName: DEVICE_NAME || `${model} (${SLAVE_ID})`,
+      model,
+      manufacturer: DEVICE_MANUFACTURER || defaultProfile.manufacturer,
+      profile: defaultProfile,
+      ratings,
+      deadbands: parseDeadbands('PUBLISH_DEADBANDS', PUBLISH_DEADBANDS_JSON),
+      derived: selectDerivedMetrics(defaultProfile, ratings),
+      maintenance: resolveMaintenanceTasks('MAINTENANCE_TASKS', MAINTENANCE_TASKS_JSON, TOPIC_PREFIX),
+      exercise: resolveExercise('', undefined, defaultProfile, TOPIC_PREFIX),
+      commands: resolveCommands(defaultProfile, TOPIC_PREFIX, undefined,
+        parseInterlocks('CMD_INTERLOCKS', CMD_INTERLOCKS_JSON, defaultProfile.commandKeys),
+        parseCommandList('CMD_CONFIRM', CMD_CONFIRM, defaultProfile.commandKeys)),
+    }];
+  }
 
-  const device = {
-    identifiers: [HASS_DEVICE_ID],
-    name: DEVICE_NAME,
-    manufacturer: DEVICE_MANUFACTURER,
-    model: DEVICE_MODEL,
-  };
+  let entries;
+  try {
+    entries = JSON.parse(CONTROLLERS_JSON);
+  } catch (err) {
+    throw new Error(`DEIF_CONTROLLERS is not valid JSON: ${err.message}`);
+  }
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error('DEIF_CONTROLLERS must be a non-empty JSON array');
+  }
 
-  function dataTopicFromPath(jsonPath) {
-    return `${TOPIC_PREFIX}/${jsonPath.replace(/\./g, '/')}`;
+  const controllers = entries.map((entry) => {
+    const slaveId = parseInt(entry.slave, 10);
+    if (!Number.isInteger(slaveId) || slaveId < 1 || slaveId > 247) {
+      throw new Error(`DEIF_CONTROLLERS: invalid slave id ${JSON.stringify(entry.slave)}`);
+    }
+    const topicPrefix = (entry.topicPrefix || `${TOPIC_PREFIX}/${slaveId}`).replace(/\/+$/, '');
+    const profile = entry.profile ? loadProfile(entry.profile) : defaultProfile;
+    const nodeId = entry.nodeId || defaultNodeId(profile, slaveId);
+    const model = DEVICE_MODEL || profile.model;
+    const source = `DEIF_CONTROLLERS[${slaveId}]`;
+    const ratings = resolveRatings(source, entry);
+    return {
+      slaveId,
+      topicPrefix,
+      nodeId,
+      deviceId: entry.deviceId || nodeId,
+      deviceName: entry.name || `${model} (${slaveId})`,
+      model,
+      manufacturer: DEVICE_MANUFACTURER || profile.manufacturer,
+      profile,
+      ratings,
+      deadbands: {
+        ...parseDeadbands('PUBLISH_DEADBANDS', PUBLISH_DEADBANDS_JSON),
+        ...parseDeadbands(`${source}.deadbands`, entry.deadbands),
+      },
+      derived: selectDerivedMetrics(profile, ratings),
+      maintenance: entry.maintenance !== undefined
+        ? resolveMaintenanceTasks(`${source}.maintenance`, entry.maintenance, topicPrefix)
+        : resolveMaintenanceTasks('MAINTENANCE_TASKS', MAINTENANCE_TASKS_JSON, topicPrefix),
+      exercise: resolveExercise(source, entry.exercise, profile, topicPrefix),
+      commands: resolveCommands(profile, topicPrefix, entry.commands, {
+        ...parseInterlocks('CMD_INTERLOCKS', CMD_INTERLOCKS_JSON, profile.commandKeys),
+        ...parseInterlocks(`${source}.interlocks`, entry.interlocks, profile.commandKeys),
+      }, entry.confirm !== undefined
+        ? parseCommandList(`${source}.confirm`, entry.confirm, profile.commandKeys)
+        : parseCommandList('CMD_CONFIRM', CMD_CONFIRM, profile.commandKeys)),
+    };
+  });
+
+  for (const field of ['topicPrefix', 'nodeId']) {
+    const seen = new Set();
+    for (const c of controllers) {
+      if (seen.has(c[field])) throw new Error(`DEIF_CONTROLLERS: duplicate ${field} "${c[field]}"`);
+      seen.add(c[field]);
+    }
   }
+  return controllers;
+}
 
-  function pubSensor(key, cfg) {
-    const objectId = `${HASS_NODE_ID}-${key}`;
-    const topic = `${HASS_DISCOVERY_PREFIX}/sensor/${HASS_NODE_ID}/${key}/config`;
 
-    const statTopic = dataTopicFromPath(cfg.jsonPath);
+/* =========================
+   HELPERS
+   ========================= */
+function u32(hi, lo) {
+  return (((hi & 0xffff) << 16) | (lo & 0xffff)) >>> 0;
+}
 
-    const valueTemplate = '{{ value }}';
+function s16(x) {
+  const v = x & 0xffff;
+  return v > 0x7fff ? v - 0x10000 : v;
+}
 
-    const payload = {
-      name: cfg.name,
-      uniq_id: objectId,
-      obj_id: objectId,
-      stat_t: statTopic,
+function fmtAppVersion(raw) {
+  const str = String(raw).padStart(4, '0');
+  const first = str.charAt(0);
+  const second = str.charAt(1);
+  const lastTwo = str.slice(2);
+  return `${first}.${second}.${lastTwo}`;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function nextBackoff(currentMs, maxMs) {
+  return Math.min(currentMs * 2, maxMs);
+}
+
+function toHex(x) {
+  return '0x' + (x & 0xffff).toString(16).toUpperCase().padStart(4, '0');
+}
+
+// One profile measurement from the register values (regs: { <address>: <value> })
+function decodeMeasurement(m, regs) {
+  let value;
+  if (m.type === 'u32' || m.type === 's32') {
+    const first = regs[m.register];
+    const second = regs[m.register + 1];
+    value = m.wordOrder === 'lo_hi' ? u32(second, first) : u32(first, second);
+    if (m.type === 's32') value |= 0;
+  } else {
+    value = m.type === 's16' ? s16(regs[m.register]) : regs[m.register];
+  }
+  if (m.format) return MEASUREMENT_FORMATS[m.format](value);
+  if (m.divisor !== 1) value /= m.divisor;
+  if (m.decimals !== undefined) value = Number.parseFloat(value.toFixed(m.decimals));
+  return m.negate ? -value : value;
+}
+
+// All profile measurements as { <group>: { <name>: value } }, e.g. { gen: { voltage_l1n_v: 230 } }
+function decodeMeasurements(profile, regs) {
+  const values = {};
+  for (const m of profile.measurements) {
+    const [group, name] = m.path.split('.');
+    if (!values[group]) values[group] = {};
+    values[group][name] = decodeMeasurement(m, regs);
+  }
+  return values;
+}
+
+function describeAlarmKey(profile, key) {
+  const def = profile.alarms[key];
+  return def ? `${key} (${def.code} ${def.text})` : key;
+}
+
+function decodeAlarms(profile, regs) {
+  const active = [];
+  for (const regAddr of profile.alarmRegisters) {
+    const regValue = regs[regAddr] || 0;
+
+    // Check each bit in the register
+    for (let bit = 0; bit < BIT_MASKS.length; bit++) {
+      if (regValue & BIT_MASKS[bit]) {
+        const alarm = profile.alarms[`${regAddr}:${bit}`];
+        if (alarm) {
+          active.push({
+            register: regAddr,
+            bit,
+            code: alarm.code,
+            text: alarm.text,
+            category: alarm.category,
+          });
+        }
+      }
+    }
+  }
+  return active;
+}
+
+// State of every profile alarm keyed "<register>_<bit>" (alarms/bits/<register>_<bit>)
+function decodeAlarmBits(profile, regs) {
+  const bits = {};
+  for (const key of Object.keys(profile.alarms)) {
+    const [regStr, bitStr] = key.split(':');
+    bits[`${regStr}_${bitStr}`] = !!((regs[regStr] || 0) & BIT_MASKS[parseInt(bitStr, 10)]);
+  }
+  return bits;
+}
+
+// One alarm transition for alarms/events and alarms/history.
+// `since` is the activation time (ms) for clear events, when known.
+function buildAlarmEvent(profile, event, key, nowMs, since) {
+  const [regStr, bitStr] = key.split(':');
+  const def = profile.alarms[key] || {};
+  const entry = {
+    event,
+    key,
+    register: parseInt(regStr, 10),
+    bit: parseInt(bitStr, 10),
+    code: def.code || null,
+    text: def.text || null,
+    category: def.category || null,
+    ts: new Date(nowMs).toISOString(),
+  };
+  if (event === 'clear') {
+    entry.active_since = since ? new Date(since).toISOString() : null;
+    entry.active_s = since ? Math.max(0, Math.round((nowMs - since) / 1000)) : null;
+  }
+  return entry;
+}
+
+function formatActiveAlarms(activeAlarms) {
+  if (!activeAlarms || activeAlarms.length === 0) {
+    return 'No active alarms';
+  }
+  return activeAlarms.map(a => `${a.code} ${a.text}`).join('\n');
+}
+
+function decodeStatus(profile, regs) {
+  const status = {};
+
+  for (const regAddr of profile.statusRegisters) {
+    const regValue = regs[regAddr] || 0;
+
+    // Check each bit in the register
+    for (let bit = 0; bit < BIT_MASKS.length; bit++) {
+      const key = `${regAddr}:${bit}`;
+      if (profile.status[key]) {
+        status[key.replace(':', '_')] = !!(regValue & BIT_MASKS[bit]);
+      }
+    }
+  }
+
+  return status;
+}
+
+// Status bit (e.g. "1018_6") of a profile role such as engine_running; false when the profile has no such bit
+function statusRole(profile, status, role) {
+  const key = profile.roles[role];
+  return key ? !!status[key] : false;
+}
+
+function getPrimaryMode(profile, status) {
+  // First option in profile priority order whose status bit is set (GC-1F/2: OFF > Manual > Test > Auto)
+  const { priority, status: bits } = profile.operatingMode;
+  return priority.find(option => status[bits[option]]) || 'Unknown';
+}
+
+function getOperatingModeText(profile, status) {
+  const primaryMode = getPrimaryMode(profile, status);
+
+  // Collect modifiers
+  const modifiers = profile.operatingMode.modifiers.filter(m => status[m.status]).map(m => m.text);
+
+  // Format: "Primary (Modifier1, Modifier2)"
+  if (modifiers.length > 0) {
+    return `${primaryMode} (${modifiers.join(', ')})`;
+  }
+
+  return primaryMode;
+}
+
+function publish(mq, prefix, key, value, retainOverride) {
+  const topic = `${prefix}/${key}`;
+  const retain = (typeof retainOverride === 'boolean') ? retainOverride : RETAIN;
+  const payload = (typeof value === 'object') ? JSON.stringify(value) : String(value);
+  mq.publish(topic, payload, { qos: 0, retain });
+}
+
+function publishFlat(mq, prefix, prefixKey, obj, retainOverride) {
+  const stack = [{ path: prefixKey, value: obj }];
+  while (stack.length) {
+    const { path, value } = stack.pop();
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+      for (const [k, v] of Object.entries(value)) {
+        stack.push({ path: `${path}/${k}`, value: v });
+      }
+    } else {
+      publish(mq, prefix, path, value, retainOverride);
+    }
+  }
+}
+
+function describeTransport() {
+  if (TRANSPORT === 'rtu') {
+    return `rtu port=${SERIAL_PORT} ${BAUD} ${DATA_BITS}${PARITY.charAt(0).toUpperCase()}${STOP_BITS}`;
+  }
+  return `${TRANSPORT} host=${TCP_HOST}:${TCP_PORT}`;
+}
+
+// Serial line settings, checked up front: serialport only reports them as an opaque open error
+function validateSerialSettings({ baud, parity, dataBits, stopBits }) {
+  if (!Number.isInteger(baud) || baud <= 0) {
+    throw new Error(`Invalid DEIF_BAUD "${baud}" (expected a positive integer)`);
+  }
+  if (!['none', 'even', 'odd', 'mark', 'space'].includes(parity)) {
+    throw new Error(`Invalid DEIF_PARITY "${parity}" (expected none, even, odd, mark or space)`);
+  }
+  if (![7, 8].includes(dataBits)) {
+    throw new Error(`Invalid DEIF_DATA_BITS "${dataBits}" (expected 7 or 8)`);
+  }
+  if (![1, 2].includes(stopBits)) {
+    throw new Error(`Invalid DEIF_STOP_BITS "${stopBits}" (expected 1 or 2)`);
+  }
+}
+
+// Configuration errors are fatal; connection errors are retried by the bus
+function validateTransport() {
+  if (!['rtu', 'tcp', 'rtu-over-tcp'].includes(TRANSPORT)) {
+    throw new Error(`Unsupported DEIF_TRANSPORT "${TRANSPORT}" (expected rtu, tcp or rtu-over-tcp)`);
+  }
+  if (TRANSPORT !== 'rtu' && !TCP_HOST) {
+    throw new Error(`DEIF_HOST is required for DEIF_TRANSPORT=${TRANSPORT}`);
+  }
+  if (TRANSPORT === 'rtu') {
+    validateSerialSettings({ baud: BAUD, parity: PARITY, dataBits: DATA_BITS, stopBits: STOP_BITS });
+  }
+}
+
+async function connectModbus(mb) {
+  // Timeout must be set before connecting: TCP ports pick it up at creation
+  mb.setTimeout(MODBUS_TIMEOUT_MS);
+
+  switch (TRANSPORT) {
+    case 'rtu':
+      await mb.connectRTUBuffered(SERIAL_PORT, {
+        baudRate: BAUD,
+        parity: PARITY,
+        dataBits: DATA_BITS,
+        stopBits: STOP_BITS,
+      });
+      break;
+    case 'tcp':
+      await mb.connectTCP(TCP_HOST, { port: TCP_PORT });
+      break;
+    case 'rtu-over-tcp':
+      await mb.connectTcpRTUBuffered(TCP_HOST, { port: TCP_PORT });
+      break;
+    default:
+      validateTransport();
+  }
+}
+
+async function readInputBlock(mb, start, count) {
+  const res = await mb.readInputRegisters(start, count);
+  return res.data; // array of 16-bit register values
+}
+
+// Reads every profile block; returns { <register address>: <value> }
+async function readRegisterBlocks(mb, blocks) {
+  const regs = {};
+  for (const block of blocks) {
+    const data = await readInputBlock(mb, block.start, block.count);
+    data.forEach((value, i) => { regs[block.start + i] = value; });
+  }
+  return regs;
+}
+
+// Joins blocks that follow each other without a gap into one read (at most 125
+// registers), e.g. slow blocks between fast ones on the polls that read both
+function mergeAdjacentBlocks(blocks) {
+  const merged = [];
+  for (const block of [...blocks].sort((a, b) => a.start - b.start)) {
+    const last = merged[merged.length - 1];
+    if (last && block.start === last.end + 1 && block.end - last.start < 125) {
+      merged[merged.length - 1] = { ...last, name: `${last.name}+${block.name}`, end: block.end, count: block.end - last.start + 1 };
+    } else {
+      merged.push(block);
+    }
+  }
+  return merged;
+}
+
+async function writeCommandFlag(mb, offset) {
+  await mb.writeCoils(offset, [true]);
+}
+
+function closeModbus(mb) {
+  // Port close callbacks are not guaranteed on a dead link, so don't wait forever
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, 2000);
+    try {
+      mb.close(() => {
+        clearTimeout(timer);
+        resolve();
+      });
+    } catch (err) {
+      clearTimeout(timer);
+      resolve();
+    }
+  });
+}
+
+// One Modbus client shared by all controllers: requests are queued so that
+// setID() and the transaction that follows it never interleave. The bus also
+// supervises the link: it reopens the port (with exponential backoff) after
+// MODBUS_RECONNECT_AFTER_FAILURES consecutive failures or when the port closes.
+// onStateChange(state, reconnects) sees 'connecting' | 'connected' | 'reconnecting' | 'disconnected'.
+function createModbusBus(onStateChange = () => {}) {
+  let mb = null;
+  let state = 'disconnected';
+  let queue = Promise.resolve();
+  let failures = 0;
+  let reconnects = 0;
+  let connecting = null;
+
+  function setState(next) {
+    if (next === state) return;
+    state = next;
+    onStateChange(state, reconnects);
+  }
+
+  async function connectLoop(onFirstAttempt) {
+    let delayMs = MODBUS_RECONNECT_MIN_MS;
+    for (;;) {
+      const client = new ModbusRTU();
+      try {
+        await connectModbus(client);
+        mb = client;
+        failures = 0;
+        setState('connected');
+        console.log(`Modbus connected (${describeTransport()})`);
+        if (onFirstAttempt) onFirstAttempt();
+        return;
+      } catch (err) {
+        closeModbus(client);
+        setState('disconnected');
+        console.error(`Modbus connect failed (${describeTransport()}): ${err && err.message ? err.message : err}; retrying in ${delayMs}ms`);
+        if (onFirstAttempt) onFirstAttempt();
+        onFirstAttempt = null;
+        await sleep(delayMs);
+        delayMs = nextBackoff(delayMs, MODBUS_RECONNECT_MAX_MS);
+      }
+    }
+  }
+
+  function reconnect(reason) {
+    if (connecting) return;
+    reconnects += 1;
+    console.warn(`Modbus link reconnecting: ${reason}`);
+    const old = mb;
+    mb = null;
+    setState('reconnecting');
+    connecting = (async () => {
+      if (old) await closeModbus(old);
+      await connectLoop();
+    })().finally(() => {
+      connecting = null;
+    });
+  }
+
+  return {
+    // Resolves after the first connection attempt, successful or not; retries continue in background
+    start() {
+      return new Promise((resolve) => {
+        setState('connecting');
+        connecting = connectLoop(resolve).finally(() => {
+          connecting = null;
+        });
+      });
+    },
+
+    get state() {
+      return state;
+    },
+
+    get reconnects() {
+      return reconnects;
+    },
+
+    run(slaveId, fn) {
+      const task = queue.then(async () => {
+        if (mb && !mb.isOpen) reconnect('port closed');
+        if (!mb) throw new Error(`Modbus link ${state}`);
+        mb.setID(slaveId);
+        try {
+          const result = await fn(mb);
+          failures = 0;
+          return result;
+        } catch (err) {
+          failures += 1;
+          if (MODBUS_RECONNECT_AFTER_FAILURES > 0 && failures >= MODBUS_RECONNECT_AFTER_FAILURES) {
+            reconnect(`${failures} consecutive failures`);
+          }
+          throw err;
+        }
+      });
+      queue = task.catch(() => {});
+      return task;
+    },
+  };
+}
+
+function valueAtPath(obj, dottedPath) {
+  return dottedPath.split('.').reduce((acc, part) => (acc == null ? undefined : acc[part]), obj);
+}
+
+// Rules: { path: 'status.1018_6', equals: true } or { path: 'alarms.unacknowledged', max: 0 }
+// (min/max are inclusive), each with an optional human-readable `reason`.
+// Returns the reason of the first failing rule, or null when all pass.
+function evaluateInterlocks(rules, snapshot) {
+  if (!rules || rules.length === 0) return null;
+  if (!snapshot) return 'controller state unknown (no successful poll)';
+  for (const rule of rules) {
+    const value = valueAtPath(snapshot, rule.path);
+    let ok = true;
+    if ('equals' in rule) ok = ok && (typeof rule.equals === 'boolean' ? !!value === rule.equals : value === rule.equals);
+    if ('min' in rule) ok = ok && typeof value === 'number' && value >= rule.min;
+    if ('max' in rule) ok = ok && typeof value === 'number' && value <= rule.max;
+    if (!ok) return rule.reason || `${rule.path} is ${JSON.stringify(value)}`;
+  }
+  return null;
+}
+
+// hooks.report(cmd, result, reason) is called once per command with
+// 'accepted' | 'rejected' | 'failed' (or 'armed' | 'disarmed' for two-step
+// commands); the same outcome is returned to the caller.
+// hooks.getSnapshot() returns the latest decoded { status, alarms } (null if unknown).
+// hooks.onArmed(cmd, armed) reports arm state changes of two-step commands.
+// hooks.audit(entry) receives one record per handled message (see auditEntry).
+function createCommandHandler(bus, ctl, hooks = {}) {
+  const report = hooks.report || (() => {});
+  const getSnapshot = hooks.getSnapshot || (() => null);
+  const onArmed = hooks.onArmed || (() => {});
+  const audit = hooks.audit || (() => {});
+  const lastRunByKey = new Map();
+  const armTimers = new Map();
+  const routes = new Map();
+  for (const cmd of ctl.commands) {
+    routes.set(cmd.topic, { cmd, action: 'execute' });
+    if (cmd.confirm) routes.set(`${cmd.topic}/arm`, { cmd, action: 'arm' });
+  }
+  if (hasModeSelect(ctl)) {
+    const selectTopic = `${ctl.topicPrefix}/cmd/mode`;
+    routes.set(selectTopic, { cmd: { key: 'mode', name: 'Operating Mode', topic: selectTopic }, action: 'select' });
+  }
+
+  function withinCooldown(cmd) {
+    const now = Date.now();
+    if (now - (lastRunByKey.get(cmd.key) || 0) < cmd.cooldownMs) return false;
+    lastRunByKey.set(cmd.key, now);
+    return true;
+  }
+
+  function outcome(cmd, result, reason) {
+    report(cmd, result, reason);
+    return { key: cmd.key, result, reason };
+  }
+
+  function disarm(cmd) {
+    const timer = armTimers.get(cmd.key);
+    if (!timer) return false;
+    clearTimeout(timer);
+    armTimers.delete(cmd.key);
+    onArmed(cmd, false);
+    return true;
+  }
+
+  function handleArm(cmd, payload) {
+    if (payload.toUpperCase() === 'OFF') {
+      disarm(cmd);
+      return outcome(cmd, 'disarmed', 'disarmed by request');
+    }
+    disarm(cmd);
+    armTimers.set(cmd.key, setTimeout(() => {
+      armTimers.delete(cmd.key);
+      onArmed(cmd, false);
+      console.log(`Command ${cmd.key} disarmed (not confirmed within ${CMD_CONFIRM_WINDOW_MS}ms)`);
+      report(cmd, 'disarmed', 'confirmation window expired');
+    }, CMD_CONFIRM_WINDOW_MS));
+    onArmed(cmd, true);
+    console.log(`Command armed: ${cmd.key} (confirm within ${CMD_CONFIRM_WINDOW_MS}ms)`);
+    return outcome(cmd, 'armed', null);
+  }
+
+  // Never write the token itself into the audit trail
+  function auditPayload(text) {
+    const masked = CMD_TOKEN ? text.split(CMD_TOKEN).join('<token>') : text;
+    return masked.length > 64 ? `${masked.slice(0, 64)}…` : masked;
+  }
+
+  // Mode select payload: an option name, or {"option":"Auto","token":"…"} when CMD_TOKEN is set.
+  // Resolves to the matching mode command so it runs through the same guards.
+  function resolveModeSelect(text) {
+    let option = text;
+    let token = '';
+    if (text.startsWith('{')) {
+      try {
+        const parsed = JSON.parse(text);
+        option = String(parsed.option || '');
+        token = String(parsed.token || '');
+      } catch (err) {
+        return { reason: 'malformed mode payload' };
+      }
+    }
+    const key = ctl.profile.operatingMode.commands[option];
+    if (!key) return { reason: `mode "${option}" cannot be selected` };
+    const cmd = ctl.commands.find(c => c.key === key);
+    if (!cmd) return { reason: `command ${key} not enabled` };
+    return { cmd, token };
+  }
+
+  // meta: where the message came from, e.g. { source: 'mqtt', qos, user_properties }
+  return async function handleCommand(topic, payload = '', meta = {}) {
+    let route = routes.get(topic);
+    if (!route) return undefined;
+    const receivedAt = new Date().toISOString();
+    const snapshot = getSnapshot();
+    const text = String(payload).trim();
+    let result;
+    if (route.action === 'select') {
+      const selected = resolveModeSelect(text);
+      if (selected.cmd) {
+        route = { cmd: selected.cmd, action: 'select' };
+        result = await execute(route, topic, selected.token);
+      } else {
+        console.log(`Mode select rejected: ${selected.reason}`);
+        result = outcome(route.cmd, 'rejected', selected.reason);
+      }
+    } else {
+      result = await execute(route, topic, text);
+    }
+    audit({
+      ts: receivedAt,
+      slave: ctl.slaveId,
+      key: route.cmd.key,
+      action: route.action,
+      topic,
+      payload: auditPayload(text),
+      ...meta,
+      result: result.result,
+      reason: result.reason,
+      status_before: snapshot ? auditStatus(snapshot) : null,
+    });
+    return result;
+  };
+
+  async function execute(route, topic, text) {
+    const { cmd, action } = route;
+    try {
+      console.log(`Command received: ${cmd.key}${action !== 'execute' ? ` (${action})` : ''} (slave=${ctl.slaveId}, topic=${topic}, offset=${cmd.offset})`);
+      // Arm switch sends OFF to disarm; that needs no token
+      if (CMD_TOKEN && text !== CMD_TOKEN && !(action === 'arm' && text.toUpperCase() === 'OFF')) {
+        console.log('Command rejected (invalid token)');
+        return outcome(cmd, 'rejected', 'invalid token');
+      }
+      if (action === 'arm') return handleArm(cmd, text);
+      if (cmd.confirm && !disarm(cmd)) {
+        console.log('Command rejected (not armed)');
+        return outcome(cmd, 'rejected', `not armed (publish to ${cmd.topic}/arm first)`);
+      }
+      const blocked = evaluateInterlocks(cmd.requires, getSnapshot());
+      if (blocked) {
+        console.log(`Command rejected (interlock): ${blocked}`);
+        return outcome(cmd, 'rejected', `interlock: ${blocked}`);
+      }
+      if (!withinCooldown(cmd)) {
+        console.log('Command skipped (cooldown active)');
+        return outcome(cmd, 'rejected', 'cooldown active');
+      }
+      await bus.run(ctl.slaveId, mb => writeCommandFlag(mb, cmd.offset));
+      console.log(`Command sent: ${cmd.key}`);
+      return outcome(cmd, 'accepted', null);
+    } catch (err) {
+      const reason = err && err.message ? err.message : String(err);
+      console.error('Command error', topic, reason);
+      return outcome(cmd, 'failed', reason);
+    }
+  }
+}
+
+// Status bits and alarm counters recorded around a command in the audit trail
+function auditStatus(snapshot) {
+  const bits = {};
+  for (const [k, v] of Object.entries(snapshot.status || {})) {
+    if (typeof v === 'boolean') bits[k] = v;
+  }
+  return {
+    ...bits,
+    operating_mode: snapshot.status ? snapshot.status.operating_mode : null,
+    alarms_unacknowledged: snapshot.alarms ? snapshot.alarms.unacknowledged : null,
+    alarms_active: snapshot.alarms && snapshot.alarms.active ? snapshot.alarms.active.length : null,
+  };
+}
+
+function statusMatches(status, expect) {
+  return Object.entries(expect).every(([bit, value]) => !!status[bit] === value);
+}
+
+/* =========================
+   HOME ASSISTANT DISCOVERY
+   ========================= */
+function publishHassDiscovery(mq, ctl) {
+  const nodeId = ctl.nodeId;
+  const profile = ctl.profile;
+
+  const device = {
+    identifiers: [ctl.deviceId],
+    name: ctl.deviceName,
+    manufacturer: ctl.manufacturer,
+    model: ctl.model,
+  };
+
+  const availability = [
+    { t: AVAILABILITY_TOPIC },
+    { t: `${ctl.topicPrefix}/controller/availability` },
+  ];
+
+  function dataTopicFromPath(jsonPath) {
+    return `${ctl.topicPrefix}/${jsonPath.replace(/\./g, '/')}`;
+  }
+
+  function pubSensor(key, cfg) {
+    const objectId = `${nodeId}-${key}`;
+    const topic = `${HASS_DISCOVERY_PREFIX}/sensor/${nodeId}/${key}/config`;
+
+    const statTopic = cfg.topic || dataTopicFromPath(cfg.jsonPath);
+
+    const valueTemplate = cfg.valueTemplateFlat || '{{ value }}';
+
+    const payload = {
+      name: cfg.name,
+      uniq_id: objectId,
+      obj_id: objectId,
+      stat_t: statTopic,
       val_tpl: valueTemplate,
       en: true,
       force_update: true,
+      avty: cfg.availability || availability,
+      avty_mode: 'all',
       device,
       ...(cfg.icon ? { ic: cfg.icon } : {}),
       ...(cfg.deviceClass ? { dev_cla: cfg.deviceClass } : {}),
       ...(cfg.stateClass ? { stat_cla: cfg.stateClass } : {}),
       ...(cfg.unit ? { unit_of_meas: cfg.unit } : {}),
       ...(cfg.entityCategory ? { ent_cat: cfg.entityCategory } : {}),
+      ...(cfg.jsonAttributesTemplate ? { json_attr_t: statTopic, json_attr_tpl: cfg.jsonAttributesTemplate } : {}),
     };
 
     mq.publish(topic, JSON.stringify(payload), { qos: 0, retain: true });
   }
 
   function pubBinarySensor(key, cfg) {
-    const objectId = `${HASS_NODE_ID}-${key}`;
-    const topic = `${HASS_DISCOVERY_PREFIX}/binary_sensor/${HASS_NODE_ID}/${key}/config`;
+    const objectId = `${nodeId}-${key}`;
+    const topic = `${HASS_DISCOVERY_PREFIX}/binary_sensor/${nodeId}/${key}/config`;
 
     const statTopic = dataTopicFromPath(cfg.jsonPath || '');
 
@@ -554,6 +1890,8 @@ function publishHassDiscovery(mq) {
       stat_t: statTopic,
       val_tpl: valueTemplate,
       en: true,
+      avty: cfg.availability || availability,
+      avty_mode: 'all',
       device,
       ...(cfg.icon ? { ic: cfg.icon } : {}),
       ...(cfg.deviceClass ? { dev_cla: cfg.deviceClass } : {}),
@@ -564,16 +1902,18 @@ function publishHassDiscovery(mq) {
   }
 
   function pubButton(key, cfg) {
-    const objectId = `${HASS_NODE_ID}-${key}`;
-    const topic = `${HASS_DISCOVERY_PREFIX}/button/${HASS_NODE_ID}/${key}/config`;
+    const objectId = `${nodeId}-${key}`;
+    const topic = `${HASS_DISCOVERY_PREFIX}/button/${nodeId}/${key}/config`;
 
     const payload = {
       name: cfg.name,
       uniq_id: objectId,
       obj_id: objectId,
       cmd_t: cfg.commandTopic,
-      pl_prs: cfg.payloadPress || '1',
+      pl_prs: cfg.payloadPress || CMD_TOKEN || '1',
       en: true,
+      avty: cfg.availability || availability,
+      avty_mode: 'all',
       device,
       ...(cfg.icon ? { ic: cfg.icon } : {}),
       ...(cfg.entityCategory ? { ent_cat: cfg.entityCategory } : {}),
@@ -582,324 +1922,1115 @@ function publishHassDiscovery(mq) {
     mq.publish(topic, JSON.stringify(payload), { qos: 0, retain: true });
   }
 
-  const sensors = [
-    // Metadata / diagnostics
-    { key: 'app_version', name: 'App Version', jsonPath: 'device.app_version', entityCategory: 'diagnostic', icon: 'mdi:information' },
-    { key: 'device_model', name: 'Device Model', jsonPath: 'device.model', entityCategory: 'diagnostic', icon: 'mdi:chip' },
-    { key: 'timestamp', name: 'Last Seen', jsonPath: 'ts', deviceClass: 'timestamp', entityCategory: 'diagnostic', icon: 'mdi:clock' },
+  function pubSwitch(key, cfg) {
+    const objectId = `${nodeId}-${key}`;
+    const topic = `${HASS_DISCOVERY_PREFIX}/switch/${nodeId}/${key}/config`;
 
-    // Generator
-    { key: 'gen_voltage_l1n', name: 'Generator Voltage L1-N', jsonPath: 'gen.voltage_l1n_v', deviceClass: 'voltage', unit: 'V', stateClass: 'measurement', icon: 'mdi:sine-wave' },
-    { key: 'gen_voltage_l2n', name: 'Generator Voltage L2-N', jsonPath: 'gen.voltage_l2n_v', deviceClass: 'voltage', unit: 'V', stateClass: 'measurement', icon: 'mdi:sine-wave' },
-    { key: 'gen_voltage_l3n', name: 'Generator Voltage L3-N', jsonPath: 'gen.voltage_l3n_v', deviceClass: 'voltage', unit: 'V', stateClass: 'measurement', icon: 'mdi:sine-wave' },
-    { key: 'gen_current_l1', name: 'Generator Current L1', jsonPath: 'gen.current_l1_a', deviceClass: 'current', unit: 'A', stateClass: 'measurement', icon: 'mdi:current-ac' },
-    { key: 'gen_current_l2', name: 'Generator Current L2', jsonPath: 'gen.current_l2_a', deviceClass: 'current', unit: 'A', stateClass: 'measurement', icon: 'mdi:current-ac' },
-    { key: 'gen_current_l3', name: 'Generator Current L3', jsonPath: 'gen.current_l3_a', deviceClass: 'current', unit: 'A', stateClass: 'measurement', icon: 'mdi:current-ac' },
-    { key: 'gen_frequency', name: 'Generator Frequency', jsonPath: 'gen.frequency_hz', deviceClass: 'frequency', unit: 'Hz', stateClass: 'measurement', icon: 'mdi:waveform' },
-    { key: 'gen_pgen', name: 'Generator Active Power', jsonPath: 'gen.pgen_kw', deviceClass: 'power', unit: 'kW', stateClass: 'measurement', icon: 'mdi:flash' },
-    { key: 'gen_qgen', name: 'Generator Reactive Power', jsonPath: 'gen.qgen_kvar', unit: 'kVAr', stateClass: 'measurement', icon: 'mdi:flash-outline' },
-    { key: 'gen_sgen', name: 'Generator Apparent Power', jsonPath: 'gen.sgen_kva', unit: 'kVA', stateClass: 'measurement', icon: 'mdi:flash-triangle' },
-    { key: 'gen_cos_phi', name: 'Generator Power Factor', jsonPath: 'gen.cos_phi', stateClass: 'measurement', icon: 'mdi:cosine-wave' },
-
-    // Mains
-    { key: 'mains_voltage_l1n', name: 'Mains Voltage L1-N', jsonPath: 'mains.voltage_l1n_v', deviceClass: 'voltage', unit: 'V', stateClass: 'measurement', icon: 'mdi:transmission-tower' },
-    { key: 'mains_voltage_l2n', name: 'Mains Voltage L2-N', jsonPath: 'mains.voltage_l2n_v', deviceClass: 'voltage', unit: 'V', stateClass: 'measurement', icon: 'mdi:transmission-tower' },
-    { key: 'mains_voltage_l3n', name: 'Mains Voltage L3-N', jsonPath: 'mains.voltage_l3n_v', deviceClass: 'voltage', unit: 'V', stateClass: 'measurement', icon: 'mdi:transmission-tower' },
-    { key: 'mains_frequency', name: 'Mains Frequency', jsonPath: 'mains.frequency_hz', deviceClass: 'frequency', unit: 'Hz', stateClass: 'measurement', icon: 'mdi:waveform' },
-
-    // Counters
-    { key: 'run_hours', name: 'Generator Run Hours', jsonPath: 'counters.run_hours', unit: 'h', stateClass: 'total_increasing', icon: 'mdi:timer-outline' },
-    { key: 'energy_kwh', name: 'Energy Produced', jsonPath: 'counters.energy_kwh', deviceClass: 'energy', unit: 'kWh', stateClass: 'total_increasing', icon: 'mdi:lightning-bolt' },
+    const payload = {
+      name: cfg.name,
+      uniq_id: objectId,
+      obj_id: objectId,
+      cmd_t: cfg.commandTopic,
+      stat_t: cfg.stateTopic,
+      pl_on: cfg.payloadOn || 'ON',
+      pl_off: 'OFF',
+      stat_on: 'ON',
+      stat_off: 'OFF',
+      en: true,
+      avty: cfg.availability || availability,
+      avty_mode: 'all',
+      device,
+      ...(cfg.icon ? { ic: cfg.icon } : {}),
+      ...(cfg.entityCategory ? { ent_cat: cfg.entityCategory } : {}),
+    };
 
-    // Alarms (primary)
-    { key: 'active_alarms_text', name: 'Active Alarms', jsonPath: 'alarms.active_text', icon: 'mdi:alarm-light' },
+    mq.publish(topic, JSON.stringify(payload), { qos: 0, retain: true });
+  }
+
+  function pubSelect(key, cfg) {
+    const objectId = `${nodeId}-${key}`;
+    const topic = `${HASS_DISCOVERY_PREFIX}/select/${nodeId}/${key}/config`;
+
+    const payload = {
+      name: cfg.name,
+      uniq_id: objectId,
+      obj_id: objectId,
+      cmd_t: cfg.commandTopic,
+      stat_t: dataTopicFromPath(cfg.jsonPath),
+      options: cfg.options,
+      en: true,
+      avty: cfg.availability || availability,
+      avty_mode: 'all',
+      device,
+      ...(cfg.commandTemplate ? { cmd_tpl: cfg.commandTemplate } : {}),
+      ...(cfg.icon ? { ic: cfg.icon } : {}),
+      ...(cfg.entityCategory ? { ent_cat: cfg.entityCategory } : {}),
+    };
 
-    // Battery/supply
-    { key: 'engine_battery', name: 'Battery Voltage', jsonPath: 'engine.battery', deviceClass: 'voltage', unit: 'V', stateClass: 'measurement', icon: 'mdi:car-battery' },
+    mq.publish(topic, JSON.stringify(payload), { qos: 0, retain: true });
+  }
 
-    // Alarms (diagnostic)
-    { key: 'alarm_count', name: 'Alarms Total', jsonPath: 'alarms.count', stateClass: 'measurement', entityCategory: 'diagnostic', icon: 'mdi:counter' },
-    { key: 'alarm_unacknowledged', name: 'Alarms Unacknowledged', jsonPath: 'alarms.unacknowledged', stateClass: 'measurement', entityCategory: 'diagnostic', icon: 'mdi:alert-circle' },
-    { key: 'alarm_ack_active', name: 'Alarms Acknowledged Active', jsonPath: 'alarms.ack_active', stateClass: 'measurement', entityCategory: 'diagnostic', icon: 'mdi:alert-circle-check' },
+  // Register values: one sensor per profile measurement with HA metadata
+  const sensors = profile.measurements
+    .filter(m => m.ha)
+    .map(m => ({ ...m.ha, jsonPath: m.path }));
 
-    // Energy/counters (diagnostic)
-    { key: 'energy_signed_kwh', name: 'Energy Produced (Signed)', jsonPath: 'counters.energy_signed_kwh', unit: 'kWh', entityCategory: 'diagnostic', icon: 'mdi:swap-horizontal' },
-    { key: 'gen_breaker_ops', name: 'Generator Breaker Operations', jsonPath: 'counters.gen_breaker_ops', stateClass: 'total_increasing', entityCategory: 'diagnostic', icon: 'mdi:electric-switch' },
-    { key: 'mains_breaker_ops', name: 'Mains Breaker Operations', jsonPath: 'counters.mains_breaker_ops', stateClass: 'total_increasing', entityCategory: 'diagnostic', icon: 'mdi:electric-switch' },
-    { key: 'start_attempts', name: 'Start Attempts', jsonPath: 'counters.start_attempts', stateClass: 'total_increasing', entityCategory: 'diagnostic', icon: 'mdi:restart' },
+  // Derived metrics offered for this controller (see DERIVED METRICS)
+  for (const d of ctl.derived) sensors.push({ ...d.ha, jsonPath: d.path });
+
+  sensors.push(
+    // Metadata / diagnostics
+    { key: 'device_model', name: 'Device Model', jsonPath: 'device.model', entityCategory: 'diagnostic', icon: 'mdi:chip' },
+    { key: 'device_profile', name: 'Device Profile', jsonPath: 'device.profile', entityCategory: 'diagnostic', icon: 'mdi:file-cog' },
+    { key: 'timestamp', name: 'Last Seen', jsonPath: 'ts', deviceClass: 'timestamp', entityCategory: 'diagnostic', icon: 'mdi:clock' },
 
+    // Alarms (primary)
+    { key: 'active_alarms_text', name: 'Active Alarms', jsonPath: 'alarms.active_text', icon: 'mdi:alarm-light' },
 
     // Technical (diagnostic)
-    { key: 'rpm', name: 'Engine RPM', jsonPath: 'engine.rpm', unit: 'RPM', stateClass: 'measurement', entityCategory: 'diagnostic', icon: 'mdi:engine' },
     { key: 'last_run_started', name: 'Last Run Started', jsonPath: 'engine.last_run_started', deviceClass: 'timestamp', entityCategory: 'diagnostic', icon: 'mdi:clock-start' },
     { key: 'last_run_stopped', name: 'Last Run Stopped', jsonPath: 'engine.last_run_stopped', deviceClass: 'timestamp', entityCategory: 'diagnostic', icon: 'mdi:clock-end' },
     { key: 'last_run_duration_s', name: 'Last Run Duration', jsonPath: 'engine.last_run_duration_s', unit: 's', stateClass: 'measurement', entityCategory: 'diagnostic', icon: 'mdi:timer-outline' },
+    // Per-run statistics (engine/last_run JSON; the reason sensor carries the whole record as attributes)
+    { key: 'last_run_reason', name: 'Last Run Reason', jsonPath: 'engine.last_run', valueTemplateFlat: '{{ value_json.reason }}', jsonAttributesTemplate: '{{ value_json | tojson }}', icon: 'mdi:engine-outline' },
+    { key: 'last_run_energy', name: 'Last Run Energy', jsonPath: 'engine.last_run', valueTemplateFlat: '{{ value_json.energy_kwh }}', deviceClass: 'energy', unit: 'kWh', icon: 'mdi:lightning-bolt' },
+    { key: 'last_run_run_hours', name: 'Last Run Hours', jsonPath: 'engine.last_run', valueTemplateFlat: '{{ value_json.run_hours }}', unit: 'h', entityCategory: 'diagnostic', icon: 'mdi:timer-outline' },
+    { key: 'last_run_peak_kw', name: 'Last Run Peak Load', jsonPath: 'engine.last_run', valueTemplateFlat: '{{ value_json.pgen_kw_peak }}', deviceClass: 'power', unit: 'kW', icon: 'mdi:chart-bell-curve' },
+    { key: 'last_run_avg_kw', name: 'Last Run Average Load', jsonPath: 'engine.last_run', valueTemplateFlat: '{{ value_json.pgen_kw_avg }}', deviceClass: 'power', unit: 'kW', icon: 'mdi:chart-line' },
+    { key: 'last_run_crank_battery', name: 'Last Run Cranking Battery Minimum', jsonPath: 'engine.last_run', valueTemplateFlat: '{{ value_json.battery_v_min_cranking }}', deviceClass: 'voltage', unit: 'V', entityCategory: 'diagnostic', icon: 'mdi:car-battery' },
+    ...(ctl.ratings.fuelLPerKwh
+      ? [{ key: 'last_run_fuel', name: 'Last Run Fuel (est.)', jsonPath: 'engine.last_run', valueTemplateFlat: '{{ value_json.fuel_l }}', deviceClass: 'volume', unit: 'L', icon: 'mdi:gas-station' }]
+      : []),
+    // Mains outages and AMF transfer times (outages/last JSON as attributes)
+    ...(profile.roles.mains_failure ? [
+      { key: 'outages_today', name: 'Mains Outages Today', jsonPath: 'outages.today', stateClass: 'total_increasing', icon: 'mdi:transmission-tower-off' },
+      { key: 'outages_this_month', name: 'Mains Outages This Month', jsonPath: 'outages.this_month', stateClass: 'total_increasing', icon: 'mdi:transmission-tower-off' },
+      { key: 'outages_total', name: 'Mains Outages Total', jsonPath: 'outages.total', stateClass: 'total_increasing', entityCategory: 'diagnostic', icon: 'mdi:counter' },
+      { key: 'outage_time_total', name: 'Mains Outage Time Total', jsonPath: 'outages.time_total_s', deviceClass: 'duration', unit: 's', stateClass: 'total_increasing', icon: 'mdi:timer-alert-outline' },
+      { key: 'last_outage', name: 'Last Mains Outage', jsonPath: 'outages.last', valueTemplateFlat: '{{ value_json.duration_s }}', jsonAttributesTemplate: '{{ value_json | tojson }}', deviceClass: 'duration', unit: 's', icon: 'mdi:transmission-tower-off' },
+      { key: 'last_outage_transfer', name: 'Last Outage Transfer Time', jsonPath: 'outages.last', valueTemplateFlat: '{{ value_json.gb_closed_s }}', deviceClass: 'duration', unit: 's', icon: 'mdi:timer-sync-outline' },
+    ] : []),
     { key: 'last_alarm_text', name: 'Last Alarm', jsonPath: 'alarms.last_text', entityCategory: 'diagnostic', icon: 'mdi:alert-decagram' },
-    
+    { key: 'alarm_history', name: 'Alarm Log', jsonPath: 'alarms.history', valueTemplateFlat: '{{ value_json | length }}', jsonAttributesTemplate: '{{ {"events": value_json} | tojson }}', entityCategory: 'diagnostic', icon: 'mdi:format-list-bulleted' },
+
     // Operating mode (primary status)
     { key: 'operating_mode', name: 'Operating Mode', jsonPath: 'status.operating_mode', icon: 'mdi:state-machine' },
-  ];
+
+    // Bridge connection supervisor (bridge-wide topics, only need the bridge to be online)
+    { key: 'bridge_modbus_state', name: 'Modbus Link', topic: `${TOPIC_PREFIX}/bridge/modbus`, availability: [{ t: AVAILABILITY_TOPIC }], entityCategory: 'diagnostic', icon: 'mdi:serial-port' },
+    { key: 'bridge_modbus_reconnects', name: 'Modbus Reconnects', topic: `${TOPIC_PREFIX}/bridge/modbus_reconnects`, availability: [{ t: AVAILABILITY_TOPIC }], stateClass: 'total_increasing', entityCategory: 'diagnostic', icon: 'mdi:restart' },
+    { key: 'bridge_mqtt_reconnects', name: 'MQTT Reconnects', topic: `${TOPIC_PREFIX}/bridge/mqtt_reconnects`, availability: [{ t: AVAILABILITY_TOPIC }], stateClass: 'total_increasing', entityCategory: 'diagnostic', icon: 'mdi:restart' },
+  );
 
   for (const s of sensors) pubSensor(s.key, s);
 
   if (PUBLISH_ALARM_BITFIELDS) {
-    const bitfieldSensors = [
-      { key: 'alarm_bitfield_1000', name: 'Alarm Bitfield 1000', valueTemplate: "{{ value_json.alarms.bitfield['1000'] | is_defined }}", entityCategory: 'diagnostic', icon: 'mdi:code-brackets' },
-      { key: 'alarm_bitfield_1001', name: 'Alarm Bitfield 1001', valueTemplate: "{{ value_json.alarms.bitfield['1001'] | is_defined }}", entityCategory: 'diagnostic', icon: 'mdi:code-brackets' },
-      { key: 'alarm_bitfield_1002', name: 'Alarm Bitfield 1002', valueTemplate: "{{ value_json.alarms.bitfield['1002'] | is_defined }}", entityCategory: 'diagnostic', icon: 'mdi:code-brackets' },
-      { key: 'alarm_bitfield_1003', name: 'Alarm Bitfield 1003', valueTemplate: "{{ value_json.alarms.bitfield['1003'] | is_defined }}", entityCategory: 'diagnostic', icon: 'mdi:code-brackets' },
-      { key: 'alarm_bitfield_1004', name: 'Alarm Bitfield 1004', valueTemplate: "{{ value_json.alarms.bitfield['1004'] | is_defined }}", entityCategory: 'diagnostic', icon: 'mdi:code-brackets' },
-      { key: 'alarm_bitfield_1005', name: 'Alarm Bitfield 1005', valueTemplate: "{{ value_json.alarms.bitfield['1005'] | is_defined }}", entityCategory: 'diagnostic', icon: 'mdi:code-brackets' },
-      { key: 'alarm_bitfield_1006', name: 'Alarm Bitfield 1006', valueTemplate: "{{ value_json.alarms.bitfield['1006'] | is_defined }}", entityCategory: 'diagnostic', icon: 'mdi:code-brackets' },
-      { key: 'alarm_bitfield_1007', name: 'Alarm Bitfield 1007', valueTemplate: "{{ value_json.alarms.bitfield['1007'] | is_defined }}", entityCategory: 'diagnostic', icon: 'mdi:code-brackets' },
-      { key: 'alarm_bitfield_1008', name: 'Alarm Bitfield 1008', valueTemplate: "{{ value_json.alarms.bitfield['1008'] | is_defined }}", entityCategory: 'diagnostic', icon: 'mdi:code-brackets' },
-      { key: 'alarm_bitfield_1009', name: 'Alarm Bitfield 1009', valueTemplate: "{{ value_json.alarms.bitfield['1009'] | is_defined }}", entityCategory: 'diagnostic', icon: 'mdi:code-brackets' },
-      { key: 'alarm_bitfield_1010', name: 'Alarm Bitfield 1010', valueTemplate: "{{ value_json.alarms.bitfield['1010'] | is_defined }}", entityCategory: 'diagnostic', icon: 'mdi:code-brackets' },
-      { key: 'alarm_bitfield_1011', name: 'Alarm Bitfield 1011', valueTemplate: "{{ value_json.alarms.bitfield['1011'] | is_defined }}", entityCategory: 'diagnostic', icon: 'mdi:code-brackets' },
-      { key: 'alarm_bitfield_1012', name: 'Alarm Bitfield 1012', valueTemplate: "{{ value_json.alarms.bitfield['1012'] | is_defined }}", entityCategory: 'diagnostic', icon: 'mdi:code-brackets' },
-      { key: 'alarm_bitfield_1013', name: 'Alarm Bitfield 1013', valueTemplate: "{{ value_json.alarms.bitfield['1013'] | is_defined }}", entityCategory: 'diagnostic', icon: 'mdi:code-brackets' },
-      { key: 'alarm_bitfield_1014', name: 'Alarm Bitfield 1014', valueTemplate: "{{ value_json.alarms.bitfield['1014'] | is_defined }}", entityCategory: 'diagnostic', icon: 'mdi:code-brackets' },
-      { key: 'alarm_bitfield_1015', name: 'Alarm Bitfield 1015', valueTemplate: "{{ value_json.alarms.bitfield['1015'] | is_defined }}", entityCategory: 'diagnostic', icon: 'mdi:code-brackets' },
-    ];
+    const bitfieldSensors = profile.bitfieldRegisters.map(register => ({
+      key: `alarm_bitfield_${register}`,
+      name: `Alarm Bitfield ${register}`,
+      jsonPath: `alarms.bitfield.${register}`,
+      entityCategory: 'diagnostic',
+      icon: 'mdi:code-brackets',
+    }));
 
     for (const s of bitfieldSensors) pubSensor(s.key, s);
   }
 
-  // Binary sensors
-  const binarySensors = [
-    // Critical alerts (primary)
-    { 
-      key: 'has_unack_alarms', 
-      name: 'Unacknowledged Alarms Active', 
+  // Binary sensors: alarm summary, profile status bits, bridge diagnostics
+  const binarySensors = [];
+  if (profile.measurements.some(m => m.path === 'alarms.unacknowledged')) {
+    binarySensors.push({
+      key: 'has_unack_alarms',
+      name: 'Unacknowledged Alarms Active',
       jsonPath: 'alarms.unacknowledged',
-      valueTemplate: '{{ "ON" if value_json.alarms.unacknowledged > 0 else "OFF" }}',
       valueTemplateFlat: '{{ "ON" if (value | int(0)) > 0 else "OFF" }}',
       deviceClass: 'problem',
       icon: 'mdi:alert'
+    });
+  }
+  for (const [statusKey, def] of Object.entries(profile.status)) {
+    if (def.ha) binarySensors.push({ ...def.ha, jsonPath: `status.${statusKey.replace(':', '_')}` });
+  }
+  // Bridge diagnostics: only depends on the bridge itself being online
+  binarySensors.push({
+    key: 'controller_connected',
+    name: 'Controller Connected',
+    jsonPath: 'controller.availability',
+    valueTemplateFlat: `{{ "ON" if value == "${PAYLOAD_ONLINE}" else "OFF" }}`,
+    availability: [{ t: AVAILABILITY_TOPIC }],
+    deviceClass: 'connectivity',
+    entityCategory: 'diagnostic',
+    icon: 'mdi:lan-connect'
+  });
+
+  for (const bs of binarySensors) pubBinarySensor(bs.key, bs);
+
+  // Per-alarm entities: a problem binary sensor on alarms/bits/<reg>_<bit> and
+  // device triggers fed by the alarms/events stream, named by category
+  function pubAlarmTrigger(key, cfg) {
+    const topic = `${HASS_DISCOVERY_PREFIX}/device_automation/${nodeId}/${key}/config`;
+
+    const payload = {
+      atype: 'trigger',
+      t: dataTopicFromPath('alarms.events'),
+      val_tpl: '{{ value_json.key }}:{{ value_json.event }}',
+      pl: cfg.payload,
+      type: cfg.type,
+      stype: cfg.subtype,
+      device,
+    };
+
+    mq.publish(topic, JSON.stringify(payload), { qos: 0, retain: true });
+  }
+
+  if (PUBLISH_ALARM_ENTITIES) {
+    for (const [alarmKey, def] of Object.entries(profile.alarms)) {
+      const [regStr, bitStr] = alarmKey.split(':');
+      const label = def.code === 'no code' ? def.text : `${def.code} ${def.text}`;
+      const id = `alarm_${def.category}_${regStr}_${bitStr}`;
+      const subtype = `${profile.categoryNames[def.category]}: ${label}`;
+      pubBinarySensor(id, {
+        name: subtype,
+        jsonPath: `alarms.bits.${regStr}_${bitStr}`,
+        deviceClass: 'problem',
+        icon: 'mdi:alert-outline',
+      });
+      pubAlarmTrigger(`${id}_set`, { type: 'alarm_activated', subtype, payload: `${alarmKey}:set` });
+      pubAlarmTrigger(`${id}_clear`, { type: 'alarm_cleared', subtype, payload: `${alarmKey}:clear` });
+    }
+  }
+
+  if (hasModeSelect(ctl)) {
+    pubSelect('mode_select', {
+      name: 'Operating Mode Select',
+      commandTopic: `${ctl.topicPrefix}/cmd/mode`,
+      jsonPath: 'status.mode',
+      options: profile.operatingMode.options,
+      ...(CMD_TOKEN ? { commandTemplate: `{"option": "{{ value }}", "token": ${JSON.stringify(CMD_TOKEN)}}` } : {}),
+      icon: 'mdi:state-machine',
+    });
+  }
+
+  // Maintenance tasks: remaining hours/days, due flag, last completion and a "done" button.
+  // Calendar values and the button only need the bridge; run hours need the controller.
+  const bridgeOnly = [{ t: AVAILABILITY_TOPIC }];
+  for (const task of ctl.maintenance) {
+    const base = `maintenance.${task.key}`;
+    if (task.hours) {
+      pubSensor(`maintenance_${task.key}_hours_remaining`, { name: `${task.name} Hours Remaining`, jsonPath: `${base}.hours_remaining`, unit: 'h', stateClass: 'measurement', icon: 'mdi:timer-cog-outline' });
+    }
+    if (task.days || task.months) {
+      pubSensor(`maintenance_${task.key}_days_remaining`, { name: `${task.name} Days Remaining`, jsonPath: `${base}.days_remaining`, unit: 'd', stateClass: 'measurement', availability: bridgeOnly, icon: 'mdi:calendar-clock' });
+    }
+    pubSensor(`maintenance_${task.key}_last_done`, { name: `${task.name} Last Done`, jsonPath: `${base}.last_done`, deviceClass: 'timestamp', availability: bridgeOnly, entityCategory: 'diagnostic', icon: 'mdi:calendar-check' });
+    pubBinarySensor(`maintenance_${task.key}_due`, { name: `${task.name} Due`, jsonPath: `${base}.due`, deviceClass: 'problem', availability: bridgeOnly, icon: 'mdi:wrench-clock' });
+    pubButton(`maintenance_${task.key}_reset`, { name: `${task.name} Done`, commandTopic: task.resetTopic, availability: bridgeOnly, icon: 'mdi:wrench-check' });
+  }
+
+  // Exercise runs: schedule switch, next slot, state and the last report
+  if (ctl.exercise) {
+    pubSwitch('exercise_enabled', { name: 'Exercise Schedule', commandTopic: ctl.exercise.enableTopic, stateTopic: dataTopicFromPath('exercise.enabled'), payloadOn: CMD_TOKEN || 'ON', availability: bridgeOnly, icon: 'mdi:calendar-sync' });
+    pubSensor('exercise_next', { name: 'Next Exercise', jsonPath: 'exercise.next', deviceClass: 'timestamp', availability: bridgeOnly, icon: 'mdi:calendar-clock' });
+    pubBinarySensor('exercise_running', { name: 'Exercise Running', jsonPath: 'exercise.running', deviceClass: 'running', icon: 'mdi:engine' });
+    pubSensor('exercise_result', { name: 'Last Exercise Result', jsonPath: 'exercise.last_report', valueTemplateFlat: '{{ value_json.result }}', jsonAttributesTemplate: '{{ value_json | tojson }}', availability: bridgeOnly, icon: 'mdi:clipboard-pulse-outline' });
+    pubSensor('exercise_gen_ok', { name: 'Last Exercise Time to Hz/V OK', jsonPath: 'exercise.last_report', valueTemplateFlat: '{{ value_json.gen_ok_s }}', deviceClass: 'duration', unit: 's', availability: bridgeOnly, icon: 'mdi:timer-play-outline' });
+    pubSensor('exercise_battery_dip', { name: 'Last Exercise Battery Dip', jsonPath: 'exercise.last_report', valueTemplateFlat: '{{ value_json.battery_dip_v }}', deviceClass: 'voltage', unit: 'V', availability: bridgeOnly, icon: 'mdi:car-battery' });
+  }
+
+  if (ctl.commands.length > 0) {
+    for (const cmd of ctl.commands) {
+      pubButton(`cmd_${cmd.key}`, {
+        name: cmd.confirm ? `${cmd.name} (Confirm)` : cmd.name,
+        commandTopic: cmd.topic,
+        icon: cmd.icon,
+      });
+      if (cmd.confirm) {
+        pubSwitch(`cmd_${cmd.key}_arm`, {
+          name: `${cmd.name} Armed`,
+          commandTopic: `${cmd.topic}/arm`,
+          stateTopic: `${cmd.topic}/armed`,
+          payloadOn: CMD_TOKEN || 'ON',
+          icon: 'mdi:shield-alert',
+        });
+      }
+      pubSensor(`cmd_${cmd.key}_result`, {
+        name: `${cmd.name} Result`,
+        topic: `${cmd.topic}/result`,
+        valueTemplateFlat: '{{ value_json.result }}',
+        jsonAttributesTemplate: '{{ value_json | tojson }}',
+        availability: [{ t: AVAILABILITY_TOPIC }],
+        entityCategory: 'diagnostic',
+        icon: 'mdi:clipboard-check-outline',
+      });
+    }
+  }
+}
+
+/* =========================
+   STATE STORE
+   ========================= */
+// Small JSON store: { version, controllers: { <nodeId>: { ...state } } }.
+// Loaded once at startup; every update rewrites the file atomically (tmp + rename),
+// serialized so that writes never overlap.
+function createStateStore(file) {
+  let data = { version: 1, controllers: {} };
+  let writing = Promise.resolve();
+
+  if (file) {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (parsed && typeof parsed.controllers === 'object' && parsed.controllers !== null) {
+        data = { version: 1, controllers: parsed.controllers };
+      }
+      console.log(`State restored from ${file}`);
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error(`State file ${file} unreadable, starting fresh:`, err.message);
+    }
+  }
+
+  function save() {
+    if (!file) return writing;
+    const json = JSON.stringify(data, null, 2);
+    writing = writing.then(async () => {
+      const tmp = `${file}.tmp`;
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(tmp, json);
+      await fs.promises.rename(tmp, file);
+    }).catch((err) => {
+      console.error(`State file ${file} write failed:`, err.message);
+    });
+    return writing;
+  }
+
+  return {
+    get(id) {
+      return { ...(data.controllers[id] || {}) };
     },
-    // Status binary sensors (primary)
-    {
-      key: 'status_mains_failure',
-      name: 'Mains Failure',
-      jsonPath: 'status.1018_0',
-      valueTemplate: '{{ "ON" if value_json.status["1018_0"] else "OFF" }}',
-      deviceClass: 'problem',
-      icon: 'mdi:transmission-tower-off'
-    },
-    {
-      key: 'status_mb_on',
-      name: 'Mains Breaker ON',
-      jsonPath: 'status.1018_1',
-      valueTemplate: '{{ "ON" if value_json.status["1018_1"] else "OFF" }}',
-      icon: 'mdi:electric-switch'
-    },
-    {
-      key: 'status_gb_on',
-      name: 'Generator Breaker ON',
-      jsonPath: 'status.1018_4',
-      valueTemplate: '{{ "ON" if value_json.status["1018_4"] else "OFF" }}',
-      icon: 'mdi:electric-switch'
-    },
-    {
-      key: 'status_engine_running',
-      name: 'Engine Running',
-      jsonPath: 'status.1018_6',
-      valueTemplate: '{{ "ON" if value_json.status["1018_6"] else "OFF" }}',
-      deviceClass: 'running',
-      icon: 'mdi:engine'
-    },
-    {
-      key: 'status_gen_ok',
-      name: 'Generator Hz/V OK',
-      jsonPath: 'status.1018_8',
-      valueTemplate: '{{ "ON" if value_json.status["1018_8"] else "OFF" }}',
-      icon: 'mdi:check-circle'
-    },
-    // Operating mode status (diagnostic)
-    {
-      key: 'status_running_timer',
-      name: 'Running Detection Timer Expired',
-      jsonPath: 'status.1018_7',
-      valueTemplate: '{{ "ON" if value_json.status["1018_7"] else "OFF" }}',
-      entityCategory: 'diagnostic',
-      icon: 'mdi:timer-check'
-    },
-    {
-      key: 'mode_off',
-      name: 'Mode: OFF',
-      jsonPath: 'status.1019_0',
-      valueTemplate: '{{ "ON" if value_json.status["1019_0"] else "OFF" }}',
-      entityCategory: 'diagnostic',
-      icon: 'mdi:power-off'
+
+    update(id, patch) {
+      data.controllers[id] = { ...(data.controllers[id] || {}), ...patch };
+      return save();
     },
-    {
-      key: 'mode_manual',
-      name: 'Mode: Manual',
-      jsonPath: 'status.1019_1',
-      valueTemplate: '{{ "ON" if value_json.status["1019_1"] else "OFF" }}',
-      entityCategory: 'diagnostic',
-      icon: 'mdi:hand-back-right'
+  };
+}
+
+// Append-only JSON-lines file; appends are serialized to keep lines whole
+function createAuditLog(file) {
+  let writing = Promise.resolve();
+  return {
+    append(entry) {
+      if (!file) return writing;
+      const line = `${JSON.stringify(entry)}\n`;
+      writing = writing.then(async () => {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.appendFile(file, line);
+      }).catch((err) => {
+        console.error(`Audit log ${file} write failed:`, err.message);
+      });
+      return writing;
     },
-    {
-      key: 'mode_auto',
-      name: 'Mode: Auto',
-      jsonPath: 'status.1019_3',
-      valueTemplate: '{{ "ON" if value_json.status["1019_3"] else "OFF" }}',
-      entityCategory: 'diagnostic',
-      icon: 'mdi:autorenew'
+  };
+}
+
+/* =========================
+   PUBLISH CACHE
+   ========================= */
+// Stands in for the MQTT client when publishing polled values: a topic is only
+// sent when its payload changed or heartbeatMs passed since it was last sent.
+// Numeric payloads may have a deadband (absolute or percent of the last sent
+// value); alarms/* and status/* never do, so their transitions go out at once.
+// reset() forgets everything, so the next poll sends every value again.
+function createPublishCache(mq, prefix, { heartbeatMs = 0, deadbands = {} } = {}) {
+  const sent = new Map(); // topic -> { payload, number, at }
+
+  function deadbandFor(topic) {
+    const relPath = topic.slice(prefix.length + 1).replace(/\//g, '.');
+    const group = relPath.split('.')[0];
+    if (group === 'alarms' || group === 'status') return null;
+    return deadbands[relPath] || deadbands[`${group}.*`] || deadbands['*'] || null;
+  }
+
+  function withinDeadband(topic, number, last) {
+    if (number === null || last.number === null) return false;
+    const band = deadbandFor(topic);
+    if (!band) return false;
+    // Tolerance keeps decimal steps such as 50.0 -> 50.1 on the band edge inside it
+    const delta = Math.abs(number - last.number) - 1e-9;
+    if (band.abs !== undefined) return delta <= band.abs;
+    return last.number !== 0 && delta <= Math.abs(last.number) * band.pct / 100;
+  }
+
+  return {
+    publish(topic, payload, opts) {
+      const text = String(payload);
+      const number = text.trim() !== '' && Number.isFinite(Number(text)) ? Number(text) : null;
+      const now = Date.now();
+      const last = sent.get(topic);
+      const due = !last || (heartbeatMs > 0 && now - last.at >= heartbeatMs);
+      if (!due && (last.payload === text || withinDeadband(topic, number, last))) return;
+      sent.set(topic, { payload: text, number, at: now });
+      mq.publish(topic, text, opts);
     },
-    {
-      key: 'mode_test',
-      name: 'Mode: Test',
-      jsonPath: 'status.1019_4',
-      valueTemplate: '{{ "ON" if value_json.status["1019_4"] else "OFF" }}',
-      entityCategory: 'diagnostic',
-      icon: 'mdi:test-tube'
+
+    reset() {
+      sent.clear();
     },
-    {
-      key: 'mode_island',
-      name: 'Mode: Island',
-      jsonPath: 'status.1019_5',
-      valueTemplate: '{{ "ON" if value_json.status["1019_5"] else "OFF" }}',
-      entityCategory: 'diagnostic',
-      icon: 'mdi:island'
+  };
+}
+
+/* =========================
+   OUTPUT SINKS
+   Long-term records next to MQTT: a sink receives every successful poll
+   (sink.poll(ctl, { ts, values, status, alarms }), ts in ms) and every alarm or
+   engine-run or mains outage transition (sink.event(ctl, annotation)). Writes
+   are queued per sink and errors are logged, so a slow disk or database never
+   stalls polling. Annotations carry `type` ('alarm' | 'engine' | 'mains'),
+   `event` and an ISO `ts`: alarm annotations are the alarms/events entries,
+   engine ones are { event: 'start' | 'stop', running, started, duration_s },
+   mains ones { event: 'failure' | 'restored', mains_failure, started, duration_s }.
+   ========================= */
+function createSinks() {
+  const sinks = [];
+  if (INFLUX_URL) sinks.push(createInfluxSink(`influx ${INFLUX_URL.replace(/\?.*$/, '')}`, createInfluxHttpWriter(INFLUX_URL, INFLUX_TOKEN, INFLUX_BUFFER_LINES)));
+  if (INFLUX_FILE) sinks.push(createInfluxSink(`influx file ${INFLUX_FILE}`, createFileWriter(INFLUX_FILE)));
+  if (CSV_DIR) sinks.push(createCsvSink(CSV_DIR, { retentionDays: CSV_RETENTION_DAYS }));
+  return sinks;
+}
+
+// Appends text to a file; appends are serialized so lines stay whole
+function createFileWriter(file) {
+  let writing = Promise.resolve();
+  return function write(lines) {
+    if (lines.length === 0) return writing;
+    const text = `${lines.join('\n')}\n`;
+    writing = writing.then(async () => {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.appendFile(file, text);
+    }).catch((err) => {
+      console.error(`Sink file ${file} write failed:`, err.message);
+    });
+    return writing;
+  };
+}
+
+// POSTs line protocol to an InfluxDB write endpoint (v1 /write?db=… or v2
+// /api/v2/write?org=…&bucket=…). Lines that could not be delivered are kept
+// (at most maxLines, oldest dropped) and sent with the next write; batches the
+// server refuses as invalid (4xx other than 429) are dropped.
+function createInfluxHttpWriter(url, token, maxLines) {
+  const headers = { 'Content-Type': 'text/plain; charset=utf-8', ...(token ? { Authorization: `Token ${token}` } : {}) };
+  let pending = [];
+  let writing = Promise.resolve();
+  let failing = false;
+
+  async function flush() {
+    if (pending.length === 0) return;
+    const batch = pending;
+    pending = [];
+    try {
+      const res = await fetch(url, { method: 'POST', headers, body: batch.join('\n'), signal: AbortSignal.timeout(10000) });
+      if (res.ok) {
+        if (failing) console.log(`InfluxDB writes recovered (${batch.length} lines sent)`);
+        failing = false;
+        return;
+      }
+      const detail = `HTTP ${res.status} ${(await res.text()).slice(0, 200)}`.trim();
+      if (res.status >= 400 && res.status < 500 && res.status !== 429) {
+        console.error(`InfluxDB rejected ${batch.length} lines, dropping them: ${detail}`);
+        return;
+      }
+      throw new Error(detail);
+    } catch (err) {
+      pending = batch.concat(pending).slice(-maxLines);
+      if (!failing) console.error(`InfluxDB write failed, buffering (${pending.length} lines):`, err.message);
+      failing = true;
+    }
+  }
+
+  return function write(lines) {
+    pending = pending.concat(lines).slice(-maxLines);
+    writing = writing.then(flush);
+    return writing;
+  };
+}
+
+const influxEscapeKey = text => String(text).replace(/[,= \\]/g, c => `\\${c}`);
+
+function influxFieldValue(value) {
+  if (typeof value === 'boolean') return value ? 'true' : 'false';
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : null;
+  if (value === null || value === undefined) return null;
+  return `"${String(value).replace(/["\\]/g, c => `\\${c}`).replace(/\n/g, '\\n')}"`;
+}
+
+// One line of InfluxDB line protocol (nanosecond timestamp); null when no field has a value.
+// Numbers are always written as floats so a field keeps one type.
+function influxLine(measurement, tags, fields, tsMs) {
+  const fieldText = Object.entries(fields)
+    .map(([k, v]) => [k, influxFieldValue(v)])
+    .filter(([, v]) => v !== null)
+    .map(([k, v]) => `${influxEscapeKey(k)}=${v}`)
+    .join(',');
+  if (!fieldText) return null;
+  const tagText = Object.entries(tags)
+    .filter(([, v]) => v !== null && v !== undefined && v !== '')
+    .map(([k, v]) => `,${influxEscapeKey(k)}=${influxEscapeKey(v)}`)
+    .join('');
+  return `${String(measurement).replace(/[, \\]/g, c => `\\${c}`)}${tagText} ${fieldText} ${Math.round(tsMs)}000000`;
+}
+
+// deif_<group> per measurement group, deif_status and deif_alarms per poll;
+// deif_events (tagged type/event) per annotation
+function createInfluxSink(name, write) {
+  const tagsOf = ctl => ({ controller: ctl.nodeId, slave: ctl.slaveId });
+  return {
+    name,
+    poll(ctl, { ts, values, status, alarms }) {
+      const tags = tagsOf(ctl);
+      const lines = Object.entries(values)
+        .filter(([group]) => group !== 'alarms')
+        .map(([group, fields]) => influxLine(`deif_${group}`, tags, fields, ts));
+      lines.push(influxLine('deif_alarms', tags, { ...values.alarms, active: alarms.active.length }, ts));
+      lines.push(influxLine('deif_status', tags, status, ts));
+      return write(lines.filter(Boolean));
     },
-    {
-      key: 'mode_amf',
-      name: 'Mode: AMF',
-      jsonPath: 'status.1019_6',
-      valueTemplate: '{{ "ON" if value_json.status["1019_6"] else "OFF" }}',
-      entityCategory: 'diagnostic',
-      icon: 'mdi:auto-mode'
+    event(ctl, { type, event, ts, ...fields }) {
+      const line = influxLine('deif_events', { ...tagsOf(ctl), type, event }, fields, Date.parse(ts));
+      return write(line ? [line] : []);
     },
-    {
-      key: 'load_takeover',
-      name: 'Load Take Over',
-      jsonPath: 'status.1019_10',
-      valueTemplate: '{{ "ON" if value_json.status["1019_10"] else "OFF" }}',
-      entityCategory: 'diagnostic',
-      icon: 'mdi:transfer'
+  };
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'boolean') return value ? '1' : '0';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function localDate(ms) {
+  const d = new Date(ms);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+// Poll file columns in register map order: profile measurements, derived
+// metrics, status bits, then the operating mode and the active alarm keys
+function csvPollColumns(ctl) {
+  const statusBits = Object.keys(ctl.profile.status).map(key => key.replace(':', '_'));
+  return [
+    { name: 'ts', get: r => new Date(r.ts).toISOString() },
+    ...[...ctl.profile.measurements, ...ctl.derived].map(m => ({ name: m.path, get: r => valueAtPath(r.values, m.path) })),
+    ...statusBits.map(bit => ({ name: `status.${bit}`, get: r => r.status[bit] })),
+    { name: 'status.operating_mode', get: r => r.status.operating_mode },
+    { name: 'alarms.active', get: r => r.alarms.active.map(a => `${a.register}:${a.bit}`).join(' ') },
+  ];
+}
+
+const CSV_EVENT_COLUMNS = ['ts', 'type', 'event', 'key', 'code', 'text', 'category', 'active_since', 'active_s', 'started', 'duration_s'];
+
+// Daily files per controller in `dir` (local date): <nodeId>_<YYYY-MM-DD>.csv with
+// one row per poll and <nodeId>_events_<YYYY-MM-DD>.csv with the annotations.
+// A file whose header no longer matches (profile changed) is left alone and the
+// rows go to <name>_2.csv, _3.csv, … Files older than retentionDays are deleted
+// on rotation (0 keeps everything).
+function createCsvSink(dir, { retentionDays = 0 } = {}) {
+  const open = new Map(); // "<nodeId> <kind>" -> { day, file }
+  let writing = Promise.resolve();
+
+  async function openFile(base, header) {
+    for (let n = 1; ; n++) {
+      const file = path.join(dir, `${base}${n > 1 ? `_${n}` : ''}.csv`);
+      let firstLine;
+      try {
+        firstLine = (await fs.promises.readFile(file, 'utf8')).split('\n')[0];
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+        await fs.promises.writeFile(file, `${header}\n`);
+        return file;
+      }
+      if (firstLine === header) return file;
+    }
+  }
+
+  async function prune(nodeId, today) {
+    const cutoff = new Date(`${today}T00:00:00`);
+    cutoff.setDate(cutoff.getDate() - retentionDays);
+    const oldest = localDate(cutoff.getTime());
+    const prefix = `${nodeId}_`;
+    for (const name of await fs.promises.readdir(dir)) {
+      const match = name.startsWith(prefix) && /^(?:events_)?(\d{4}-\d{2}-\d{2})(?:_\d+)?\.csv$/.exec(name.slice(prefix.length));
+      if (match && match[1] < oldest) {
+        await fs.promises.unlink(path.join(dir, name));
+        console.log(`CSV ${name} removed (older than ${retentionDays} days)`);
+      }
+    }
+  }
+
+  function append(ctl, kind, tsMs, columns, row) {
+    writing = writing.then(async () => {
+      const day = localDate(tsMs);
+      const key = `${ctl.nodeId} ${kind}`;
+      let current = open.get(key);
+      if (!current || current.day !== day) {
+        await fs.promises.mkdir(dir, { recursive: true });
+        const base = kind === 'events' ? `${ctl.nodeId}_events_${day}` : `${ctl.nodeId}_${day}`;
+        current = { day, file: await openFile(base, columns.join(',')) };
+        open.set(key, current);
+        if (retentionDays > 0) await prune(ctl.nodeId, day);
+      }
+      await fs.promises.appendFile(current.file, `${row.map(csvCell).join(',')}\n`);
+    }).catch((err) => {
+      console.error(`CSV write to ${dir} failed:`, err.message);
+    });
+    return writing;
+  }
+
+  return {
+    name: `csv ${dir}`,
+    poll(ctl, record) {
+      const columns = csvPollColumns(ctl);
+      return append(ctl, 'poll', record.ts, columns.map(c => c.name), columns.map(c => c.get(record)));
     },
-    {
-      key: 'amf_active',
-      name: 'AMF Active',
-      jsonPath: 'status.1019_15',
-      valueTemplate: '{{ "ON" if value_json.status["1019_15"] else "OFF" }}',
-      entityCategory: 'diagnostic',
-      icon: 'mdi:lightning-bolt'
+    event(ctl, annotation) {
+      return append(ctl, 'events', Date.parse(annotation.ts), CSV_EVENT_COLUMNS, CSV_EVENT_COLUMNS.map(column => annotation[column]));
     },
-  ];
+  };
+}
+
+/* =========================
+   CONTROLLER RUNTIME
+   ========================= */
+function createController(ctl, mq, bus, store, auditLog, sinks = []) {
+  const prefix = ctl.topicPrefix;
+  const profile = ctl.profile;
+  const availabilityTopic = `${prefix}/controller/availability`;
+
+  // Polled values go out through the publish cache; transitions, events and
+  // command feedback are published directly
+  const cache = PUBLISH_ON_CHANGE
+    ? createPublishCache(mq, prefix, { heartbeatMs: PUBLISH_HEARTBEAT_MS, deadbands: ctl.deadbands })
+    : null;
+  const dataMq = cache || mq;
+
+  // Command feedback: retained JSON on cmd/<key>/result. Accepted commands with
+  // an `expect` map stay pending until the status bits match (verified) or
+  // their timeout expires (timeout).
+  const pendingVerifications = new Map();
+
+  function publishCommandResult(cmd, result, reason, extra = {}) {
+    countCommand(cmd.key, result);
+    publish(mq, prefix, `cmd/${cmd.key}/result`, {
+      key: cmd.key,
+      result,
+      reason: reason || null,
+      ts: new Date().toISOString(),
+      ...extra,
+    }, true);
+  }
+
+  function reportCommand(cmd, result, reason) {
+    publishCommandResult(cmd, result, reason);
+    if (result !== 'accepted' || !cmd.expect) return;
+
+    const previous = pendingVerifications.get(cmd.key);
+    if (previous) clearTimeout(previous.timer);
+    const timeoutMs = cmd.verifyTimeoutMs || CMD_VERIFY_TIMEOUT_MS;
+    const pending = {
+      cmd,
+      sentAt: Date.now(),
+      timer: setTimeout(() => {
+        pendingVerifications.delete(cmd.key);
+        console.warn(`[${ctl.slaveId}] Command ${cmd.key} not confirmed within ${timeoutMs}ms`);
+        publishCommandResult(cmd, 'timeout', `status did not reach ${JSON.stringify(cmd.expect)} within ${timeoutMs}ms`);
+      }, timeoutMs),
+    };
+    pendingVerifications.set(cmd.key, pending);
+  }
+
+  function checkPendingVerifications(status) {
+    for (const [key, pending] of pendingVerifications) {
+      if (!statusMatches(status, pending.cmd.expect)) continue;
+      clearTimeout(pending.timer);
+      pendingVerifications.delete(key);
+      const elapsedMs = Date.now() - pending.sentAt;
+      console.log(`[${ctl.slaveId}] Command ${key} verified after ${elapsedMs}ms`);
+      publishCommandResult(pending.cmd, 'verified', null, { elapsed_ms: elapsedMs });
+    }
+  }
+
+  // Latest decoded data for interlocks; cleared when a poll fails so that
+  // commands are never checked against stale status
+  let latestSnapshot = null;
+
+  // Bridge self-metrics (see renderPrometheusMetrics)
+  const stats = {
+    polls: 0,
+    modbusErrors: { poll: 0, command: 0 },
+    lastPollDurationMs: null,
+    lastPollSuccessAt: null,
+    commands: {}, // <key> -> { <result>: count }
+  };
+
+  function countCommand(key, result) {
+    if (!stats.commands[key]) stats.commands[key] = {};
+    stats.commands[key][result] = (stats.commands[key][result] || 0) + 1;
+    if (result === 'failed') stats.modbusErrors.command += 1;
+  }
+
+  function publishArmed(cmd, armed) {
+    publish(mq, prefix, `cmd/${cmd.key}/armed`, armed ? 'ON' : 'OFF', true);
+  }
 
-  for (const bs of binarySensors) pubBinarySensor(bs.key, bs);
+  // Audit trail: accepted commands wait for the next poll so the entry can
+  // carry the status seen after the write; everything else is recorded at once
+  let auditAwaitingPoll = [];
 
-  if (ENABLED_COMMANDS.length > 0) {
-    for (const cmd of ENABLED_COMMANDS) {
-      pubButton(`cmd_${cmd.key}`, {
-        name: cmd.name,
-        commandTopic: cmd.topic,
-        icon: cmd.icon,
-      });
-    }
+  function writeAudit(entry) {
+    auditLog.append(entry);
+    publish(mq, prefix, 'cmd/audit', entry, true);
   }
-}
 
-/* =========================
-   MAIN
-   ========================= */
-(async () => {
-  // MQTT connect
-  const mqttOpts = (MQTT_USER || MQTT_PASS)
-    ? { username: MQTT_USER, password: MQTT_PASS }
-    : {};
-  const mq = mqtt.connect(MQTT_URL, mqttOpts);
+  function recordAudit(entry) {
+    if (entry.result === 'accepted') {
+      auditAwaitingPoll.push(entry);
+    } else {
+      writeAudit({ ...entry, status_after: null });
+    }
+  }
 
-  await new Promise((resolve, reject) => {
-    mq.once('connect', resolve);
-    mq.once('error', reject);
+  const handleCommand = createCommandHandler(bus, ctl, {
+    report: reportCommand,
+    getSnapshot: () => latestSnapshot,
+    onArmed: publishArmed,
+    audit: recordAudit,
   });
 
-  // Modbus connect
-  const mb = new ModbusRTU();
-  await mb.connectRTUBuffered(SERIAL_PORT, {
-    baudRate: BAUD,
-    parity: 'none',
-    dataBits: 8,
-    stopBits: 1,
-  });
-  mb.setID(SLAVE_ID);
-  mb.setTimeout(1000);
+  // Restored history lets alarm/engine transitions that straddle a restart be
+  // diffed against the last state seen before it (no duplicate "set" events,
+  // and a run in progress keeps its original start time).
+  const saved = store.get(ctl.nodeId);
+
+  let controllerOnline = null;
+  // Register image updated block by block (see readAndPublish)
+  const regs = {};
+  let slowReadAt = null;
+  let active = false;
+  let prevActiveAlarmKeys = new Set(saved.activeAlarmKeys || []);
+  const alarmActiveSince = new Map(Object.entries(saved.alarmActiveSince || {}));
+  let alarmHistory = Array.isArray(saved.alarmHistory) ? saved.alarmHistory.slice(-ALARM_HISTORY_SIZE) : [];
+  let prevEngineRunning = (typeof saved.engineRunning === 'boolean') ? saved.engineRunning : null;
+  let lastRunStarted = saved.lastRunStarted || null;
+  let lastRunStopped = saved.lastRunStopped || null;
+  let lastRunStartedMs = lastRunStarted ? Date.parse(lastRunStarted) : null;
+  let lastRunDurationSeconds = (typeof saved.lastRunDurationSeconds === 'number') ? saved.lastRunDurationSeconds : null;
+  // Run statistics: the run in progress, a stopped run waiting for fresh counters, the last record
+  // (a restored run integrates power again from the first poll after the restart:
+  // the load while the bridge was down is unknown)
+  let currentRun = saved.currentRun ? { ...saved.currentRun, lastSampleMs: null, lastPowerKw: null } : null;
+  let stoppedRun = saved.stoppedRun || null;
+  let lastRun = saved.lastRun || null;
+  let crankBatteryMin = null;
+  // Mains outages: the open episode, the last ended one and the counters
+  let prevMainsFailed = (typeof saved.mainsFailed === 'boolean') ? saved.mainsFailed : null;
+  let currentOutage = saved.currentOutage || null;
+  let lastOutage = saved.lastOutage || null;
+  let outageCounters = saved.outageCounters || null;
+  // Maintenance: one { done_at, since, run_hours } record per task; new tasks start counting now
+  const maintenance = {};
+  for (const task of ctl.maintenance) {
+    const record = saved.maintenance && saved.maintenance[task.key];
+    maintenance[task.key] = record || { done_at: null, since: new Date(Date.now()).toISOString(), run_hours: null };
+  }
+  const maintenanceDue = new Set();
+  // Exercise runs: schedule switch, last slot taken, the exercise in progress, the last report
+  const exerciseSaved = saved.exercise || {};
+  let exerciseEnabled = exerciseSaved.enabled !== false;
+  let exerciseLastSlotMs = (typeof exerciseSaved.lastSlotMs === 'number') ? exerciseSaved.lastSlotMs : null;
+  let exerciseRun = exerciseSaved.run || null;
+  let lastExercise = exerciseSaved.report || null;
+  const exerciseSinceMs = Date.now();
+  let lastAlarmSetAt = saved.lastAlarmSetAt || null;
+  let lastAlarmSetSummary = saved.lastAlarmSetSummary || null;
+  let lastAlarmClearedAt = saved.lastAlarmClearedAt || null;
+  let lastAlarmText = saved.lastAlarmText || null;
+
+  function toSinks(method, record) {
+    for (const sink of sinks) sink[method](ctl, record);
+  }
+
+  function persist() {
+    store.update(ctl.nodeId, {
+      activeAlarmKeys: Array.from(prevActiveAlarmKeys),
+      alarmActiveSince: Object.fromEntries(alarmActiveSince),
+      alarmHistory,
+      engineRunning: prevEngineRunning,
+      lastRunStarted,
+      lastRunStopped,
+      lastRunDurationSeconds,
+      currentRun,
+      stoppedRun,
+      lastRun,
+      mainsFailed: prevMainsFailed,
+      currentOutage,
+      lastOutage,
+      outageCounters,
+      maintenance,
+      exercise: { enabled: exerciseEnabled, lastSlotMs: exerciseLastSlotMs, run: exerciseRun, report: lastExercise },
+      lastAlarmSetAt,
+      lastAlarmSetSummary,
+      lastAlarmClearedAt,
+      lastAlarmText,
+    });
+  }
+
+  function publishMaintenance(target, runHours) {
+    const nowMs = Date.now();
+    for (const task of ctl.maintenance) {
+      const state = maintenanceStatus(task, maintenance[task.key], runHours, nowMs);
+      if (state.due && !maintenanceDue.has(task.key)) console.log(`[${ctl.slaveId}] Maintenance due: ${task.name}`);
+      if (state.due) maintenanceDue.add(task.key);
+      else maintenanceDue.delete(task.key);
+      const base = `maintenance/${task.key}`;
+      if (state.hours_remaining !== null) publish(target, prefix, `${base}/hours_remaining`, state.hours_remaining, RETAIN);
+      if (state.days_remaining !== null) publish(target, prefix, `${base}/days_remaining`, state.days_remaining, RETAIN);
+      if (state.due_date !== null) publish(target, prefix, `${base}/due_date`, state.due_date, RETAIN);
+      if (state.last_done !== null) publish(target, prefix, `${base}/last_done`, state.last_done, RETAIN);
+      publish(target, prefix, `${base}/due`, state.due, RETAIN);
+    }
+  }
 
-  console.log(`DEIF ? MQTT started (MEAS 500+ only): slave=${SLAVE_ID} port=${SERIAL_PORT} mqtt=${MQTT_URL}`);
+  function latestRunHours() {
+    return latestSnapshot ? numberAtPath(latestSnapshot.values, RUN_INPUTS.runHours) : null;
+  }
 
-  const handleCommand = createCommandHandler(mb, ENABLED_COMMANDS);
-  const cmdTopicSet = new Set(ENABLED_COMMANDS.map(c => c.topic));
+  // Maintenance completion: the token (when CMD_TOKEN is set) or JSON
+  // { "token", "done_at", "run_hours" } to record a service done earlier.
+  // Recorded in the state store and the audit trail like a command.
+  function resetMaintenance(task, topic, payload, meta) {
+    const text = String(payload).trim();
+    const cmd = { key: `maintenance/${task.key}` };
+    let token = text;
+    let doneAtMs = Date.now();
+    let runHours = latestRunHours();
+    let reason = null;
+    if (text.startsWith('{')) {
+      try {
+        const parsed = JSON.parse(text);
+        token = String(parsed.token || '');
+        if (parsed.done_at !== undefined) doneAtMs = Date.parse(parsed.done_at);
+        if (parsed.run_hours !== undefined) runHours = Number(parsed.run_hours);
+        if (!Number.isFinite(doneAtMs) || doneAtMs > Date.now()) reason = 'done_at must be a past date';
+        else if (!Number.isFinite(runHours) && runHours !== null) reason = 'run_hours must be a number';
+      } catch (err) {
+        reason = 'malformed maintenance payload';
+      }
+    }
+    if (!reason && CMD_TOKEN && token !== CMD_TOKEN) reason = 'invalid token';
 
-  if (cmdTopicSet.size > 0) {
-    mq.subscribe(Array.from(cmdTopicSet));
-    mq.on('message', (topic, message, packet) => {
-      if (!cmdTopicSet.has(topic)) return;
-      if (packet && packet.retain) return; // ignore retained commands
-      handleCommand(topic);
+    const result = reason ? 'rejected' : 'accepted';
+    if (reason) {
+      console.log(`[${ctl.slaveId}] Maintenance reset of ${task.key} rejected: ${reason}`);
+    } else {
+      const doneAt = new Date(doneAtMs).toISOString();
+      maintenance[task.key] = { done_at: doneAt, since: doneAt, run_hours: runHours };
+      persist();
+      console.log(`[${ctl.slaveId}] Maintenance done: ${task.name} (${doneAt}, ${runHours === null ? 'run hours unknown' : `${runHours} h`})`);
+      publishMaintenance(mq, latestRunHours());
+    }
+    publishCommandResult(cmd, result, reason);
+    writeAudit({
+      ts: new Date().toISOString(),
+      slave: ctl.slaveId,
+      key: cmd.key,
+      action: 'reset',
+      topic,
+      payload: CMD_TOKEN ? text.split(CMD_TOKEN).join('<token>') : text,
+      ...meta,
+      done_at: reason ? null : maintenance[task.key].done_at,
+      run_hours: reason ? null : maintenance[task.key].run_hours,
+      result,
+      reason,
+      status_before: null,
+      status_after: null,
     });
-    const enabledNames = ENABLED_COMMANDS.map(c => c.key).join(', ');
-    console.log(`Command topics enabled (${cmdTopicSet.size} topics, cooldown ${CMD_COOLDOWN_MS}ms): ${enabledNames}`);
-  } else {
-    console.log('Command topics disabled (no ENABLE_COMMAND_* flags set)');
+    return { key: cmd.key, result, reason };
+  }
+
+  const maintenanceByTopic = new Map(ctl.maintenance.map(task => [task.resetTopic, task]));
+
+  function nextExerciseSlot() {
+    if (!ctl.exercise) return null;
+    const after = exerciseLastSlotMs !== null ? exerciseLastSlotMs : exerciseSinceMs;
+    return nextExerciseAt(ctl.exercise.schedule, after, exerciseLastSlotMs);
+  }
+
+  function publishExercise(target) {
+    if (!ctl.exercise) return;
+    const next = nextExerciseSlot();
+    publish(target, prefix, 'exercise/enabled', exerciseEnabled ? 'ON' : 'OFF', true);
+    publish(target, prefix, 'exercise/running', exerciseRun !== null, RETAIN);
+    if (next !== null) publish(target, prefix, 'exercise/next', exerciseEnabled ? new Date(next).toISOString() : 'None', RETAIN);
+    if (lastExercise) publish(target, prefix, 'exercise/last_report', lastExercise, true);
   }
 
-  // Send HA discovery ONCE (retained)
-  publishHassDiscovery(mq);
+  // Schedule switch: OFF disables, ON (or the token when CMD_TOKEN is set) enables.
+  // An exercise in progress is not affected.
+  function setExerciseEnabled(topic, payload, meta) {
+    const text = String(payload).trim();
+    const cmd = { key: 'exercise' };
+    const enable = text.toUpperCase() !== 'OFF';
+    let reason = null;
+    if (enable && CMD_TOKEN && text !== CMD_TOKEN) reason = 'invalid token';
+    else if (enable && !CMD_TOKEN && text.toUpperCase() !== 'ON') reason = 'payload must be ON or OFF';
+    const result = reason ? 'rejected' : 'accepted';
+    if (reason) {
+      console.log(`[${ctl.slaveId}] Exercise schedule change rejected: ${reason}`);
+    } else {
+      exerciseEnabled = enable;
+      persist();
+      console.log(`[${ctl.slaveId}] Exercise schedule ${enable ? 'enabled' : 'disabled'}`);
+      publishExercise(mq);
+    }
+    publishCommandResult(cmd, result, reason);
+    writeAudit({
+      ts: new Date().toISOString(),
+      slave: ctl.slaveId,
+      key: cmd.key,
+      action: enable ? 'enable' : 'disable',
+      topic,
+      payload: CMD_TOKEN ? text.split(CMD_TOKEN).join('<token>') : text,
+      ...meta,
+      result,
+      reason,
+      status_before: null,
+      status_after: null,
+    });
+    return { key: cmd.key, result, reason };
+  }
 
-  // Publish static metadata once (retained)
-  publish(mq, 'device/model', DEVICE_MODEL, true);
-  publish(mq, 'device/manufacturer', DEVICE_MANUFACTURER, true);
-  publish(mq, 'device/name', DEVICE_NAME, true);
+  // Mode commands of the exercise go straight to the controller (MQTT enable flags do
+  // not apply) and are reported and audited like commands with source "exercise"
+  async function writeExerciseCommand(key) {
+    const cmd = profile.commands.find(c => c.key === key);
+    let reason = null;
+    try {
+      await bus.run(ctl.slaveId, mb => writeCommandFlag(mb, cmd.offset));
+      console.log(`[${ctl.slaveId}] Exercise: ${cmd.name} sent`);
+    } catch (err) {
+      reason = err && err.message ? err.message : String(err);
+      console.error(`[${ctl.slaveId}] Exercise: ${cmd.name} failed:`, reason);
+    }
+    const result = reason ? 'failed' : 'accepted';
+    publishCommandResult(cmd, result, reason);
+    writeAudit({
+      ts: new Date().toISOString(),
+      slave: ctl.slaveId,
+      key: cmd.key,
+      action: 'execute',
+      topic: null,
+      payload: null,
+      source: 'exercise',
+      result,
+      reason,
+      status_before: latestSnapshot ? auditStatus(latestSnapshot) : null,
+      status_after: null,
+    });
+    return reason;
+  }
 
-  let prevActiveAlarmKeys = new Set();
-  let prevEngineRunning = null;
-  let lastRunStarted = null;
-  let lastRunStopped = null;
-  let lastRunStartedMs = null;
-  let lastRunDurationSeconds = null;
-  let lastAlarmSetAt = null;
-  let lastAlarmSetSummary = null;
-  let lastAlarmClearedAt = null;
-  let lastAlarmText = null;
+  function reportExercise(report) {
+    clearTimeout(exerciseWatchdog);
+    exerciseWatchdog = null;
+    lastExercise = report;
+    exerciseRun = null;
+    persist();
+    console.log(`[${ctl.slaveId}] Exercise ${report.result}${report.reason ? `: ${report.reason}` : ''}`);
+    publishExercise(mq);
+  }
 
-  async function readAndPublish() {
-    // Read measurement table block 500..576
-    const b = await readInputBlock(mb, MEAS_START, MEAS_COUNT);
+  // The poll loop and the watchdog may both return to Auto; they share one write
+  let exerciseAutoWrite = null;
+  function writeExerciseAuto() {
+    if (!exerciseAutoWrite) {
+      exerciseAutoWrite = writeExerciseCommand(ctl.exercise.autoKey).finally(() => { exerciseAutoWrite = null; });
+    }
+    return exerciseAutoWrite;
+  }
+
+  // Runs on a timer, whether or not polls succeed, so a controller that stops answering
+  // mid-exercise is not left in Test unnoticed. Unref'd: the poll loop keeps the process up.
+  let exerciseWatchdog = null;
+  function armExerciseWatchdog(delayMs) {
+    clearTimeout(exerciseWatchdog);
+    exerciseWatchdog = setTimeout(() => {
+      exerciseWatchdogFired().catch(err => console.error(`[${ctl.slaveId}] Exercise watchdog failed:`, err));
+    }, Math.max(0, delayMs));
+    if (exerciseWatchdog.unref) exerciseWatchdog.unref();
+  }
+
+  async function exerciseWatchdogFired() {
+    exerciseWatchdog = null;
+    const run = exerciseRun;
+    if (!run) return;
+    if (run.result === null) {
+      Object.assign(run, { result: 'fail', reason: 'controller not polled successfully at the end of the exercise', endedMs: Date.now(), returnToAuto: true });
+    }
+    if (run.returnToAuto && !run.returnedToAuto) {
+      run.autoAttempts = (run.autoAttempts || 0) + 1;
+      const failed = await writeExerciseAuto();
+      if (exerciseRun !== run) return; // finished by a poll in the meantime
+      if (failed) {
+        if (run.autoAttempts < EXERCISE_AUTO_ATTEMPTS) {
+          persist();
+          armExerciseWatchdog(EXERCISE_AUTO_RETRY_MS);
+          return;
+        }
+        console.error(`[${ctl.slaveId}] Exercise: return to Auto failed ${run.autoAttempts} times, the controller may still be in Test mode`);
+        Object.assign(run, { result: 'fail', reason: `return to Auto failed (${failed}); the controller may still be in Test mode` });
+      } else {
+        run.returnedToAuto = true;
+      }
+    }
+    reportExercise(exerciseReport(run));
+  }
+
+  // Runs after every successful poll: starts a due exercise, supervises the one in
+  // progress and returns the controller to Auto (retried on the next poll if that fails)
+  async function exerciseTick() {
+    const exercise = ctl.exercise;
+    const now = Date.now();
+    if (exerciseRun) {
+      if (exerciseRun.result === null) sampleExercise(exerciseRun, profile, latestSnapshot, now, exercise);
+      if (exerciseRun.result === null) return;
+      const run = exerciseRun;
+      if (run.returnToAuto && !run.returnedToAuto) {
+        const failed = await writeExerciseAuto();
+        if (exerciseRun !== run) return; // reported by the watchdog in the meantime
+        if (failed) {
+          persist();
+          return;
+        }
+        run.returnedToAuto = true;
+      }
+      reportExercise(exerciseReport(run));
+      return;
+    }
+
+    const next = nextExerciseSlot();
+    if (next === null || now < next) return;
+    // Take the latest slot that has passed; older ones were missed
+    let slot = next;
+    for (let n = nextExerciseAt(exercise.schedule, slot, slot); n !== null && n <= now; n = nextExerciseAt(exercise.schedule, n, n)) slot = n;
+    exerciseLastSlotMs = slot;
+    persist();
+    if (!exerciseEnabled) {
+      publishExercise(mq);
+      return;
+    }
 
-    // Read alarm bitfield registers 1000..1019 (includes status at 1018-1019)
-    const alarmRegs = await readInputBlock(mb, ALARM_START, ALARM_COUNT);
+    const scheduled = new Date(slot).toISOString();
+    // Interlocks configured for the Test mode command apply to the exercise too
+    const cmd = ctl.commands.find(c => c.key === exercise.testKey);
+    const interlock = cmd ? evaluateInterlocks(cmd.requires, latestSnapshot) : null;
+    const blocked = now - slot > EXERCISE_LATE_MS
+      ? 'missed (bridge or controller unavailable at the scheduled time)'
+      : exerciseBlocker(profile, latestSnapshot) || (interlock ? `interlock: ${interlock}` : null);
+    if (blocked) {
+      reportExercise(skippedExerciseReport(scheduled, blocked));
+      return;
+    }
+    const failed = await writeExerciseCommand(exercise.testKey);
+    if (failed) {
+      reportExercise(skippedExerciseReport(scheduled, `Test mode command failed: ${failed}`));
+      return;
+    }
+    exerciseRun = startExercise(scheduled, latestSnapshot, now);
+    armExerciseWatchdog(exercise.durationMs + EXERCISE_WATCHDOG_GRACE_MS);
+    persist();
+    console.log(`[${ctl.slaveId}] Exercise started (${Math.round(exercise.durationMs / 60000)} min)`);
+    publishExercise(mq);
+  }
+
+  // A run restored from STATE_FILE gets its watchdog back
+  if (exerciseRun && ctl.exercise) {
+    armExerciseWatchdog(exerciseRun.startedMs + ctl.exercise.durationMs + EXERCISE_WATCHDOG_GRACE_MS - Date.now());
+  }
+
+  // Controller commands plus maintenance resets and the exercise schedule switch
+  async function handleTopic(topic, payload = '', meta = {}) {
+    const task = maintenanceByTopic.get(topic);
+    if (task) return resetMaintenance(task, topic, payload, meta);
+    if (ctl.exercise && topic === ctl.exercise.enableTopic) return setExerciseEnabled(topic, payload, meta);
+    return handleCommand(topic, payload, meta);
+  }
+
+  function publishAvailability() {
+    if (controllerOnline === null) return;
+    mq.publish(availabilityTopic, controllerOnline ? PAYLOAD_ONLINE : PAYLOAD_OFFLINE, { qos: 1, retain: true });
+  }
+
+  function setControllerAvailability(online) {
+    if (online === controllerOnline) return;
+    controllerOnline = online;
+    publishAvailability();
+    console.log(`[${ctl.slaveId}] Controller ${online ? 'reachable' : 'unreachable'}`);
+  }
+
+  function announce() {
+    // After a (re)connect the broker may have lost retained values: send everything on the next poll
+    if (cache) cache.reset();
 
-    const appRaw = getReg(b, R.APP_VERSION);
-    const appVersion = fmtAppVersion(appRaw);
+    // Send HA discovery (retained)
+    publishHassDiscovery(mq, ctl);
+
+    // Nothing is armed after a (re)start
+    for (const cmd of ctl.commands) {
+      if (cmd.confirm) publishArmed(cmd, false);
+    }
+
+    // Restored history (retained) so consumers see the log right after a restart
+    if (alarmHistory.length > 0) publish(mq, prefix, 'alarms/history', alarmHistory, true);
+    if (lastRun) publish(mq, prefix, 'engine/last_run', lastRun, true);
+    if (lastOutage) publish(mq, prefix, 'outages/last', lastOutage, true);
+    publishExercise(mq);
+
+    // Publish static metadata (retained)
+    publish(mq, prefix, 'device/model', ctl.model, true);
+    publish(mq, prefix, 'device/manufacturer', ctl.manufacturer, true);
+    publish(mq, prefix, 'device/profile', `${profile.id}@${profile.version}`, true);
+    publish(mq, prefix, 'device/name', ctl.deviceName, true);
+  }
 
-    const gen = readGen(b);
-    const mains = readMains(b);
-    const runHours = readRunHours(b);
+  async function readAndPublish() {
+    // Fast blocks (GC-1F/2: measurements and counters 504..576, alarm/status bits 1000..1019) are
+    // read every poll, slow ones (app version) every POLL_SLOW_MS, merged with their
+    // neighbours; both land in one register image that is decoded as a whole
+    const now = Date.now();
+    const slowDue = slowReadAt === null || now - slowReadAt >= POLL_SLOW_MS;
+    const blocks = mergeAdjacentBlocks(profile.blocks.filter(b => b.tier === 'fast' || slowDue));
+    Object.assign(regs, await bus.run(ctl.slaveId, mb => readRegisterBlocks(mb, blocks)));
+    if (slowDue) slowReadAt = now;
 
-    // Energy counter (must be non-negative for HA energy sensor)
-    const { energyKwh, energySignedKwh } = readEnergy(b);
+    // Measurements grouped by topic, e.g. { gen: {...}, mains: {...}, counters: {...}, alarms: { count, ... } },
+    // with the derived metrics added to their groups
+    const values = decodeMeasurements(profile, regs);
+    applyDerivedMetrics(ctl.derived, values, ctl.ratings);
 
     const alarms = {
-      count: getReg(b, R.ALARM_COUNT),
-      unacknowledged: getReg(b, R.ALARM_UNACK),
-      ack_active: getReg(b, R.ALARM_ACK_ACTIVE),
+      ...values.alarms,
       active: []
     };
 
     if (PUBLISH_ALARM_BITFIELDS) {
       alarms.bitfield = {};
-      for (let i = 0; i < ALARM_COUNT; i++) {
-        const regAddr = ALARM_START + i;
-        alarms.bitfield[regAddr] = toHex(alarmRegs[i]);
+      for (const regAddr of profile.bitfieldRegisters) {
+        alarms.bitfield[regAddr] = toHex(regs[regAddr]);
       }
     }
 
     // Decode active alarms with descriptions
-    alarms.active = decodeAlarms(alarmRegs);
+    alarms.active = decodeAlarms(profile, regs);
+    if (PUBLISH_ALARM_ENTITIES) alarms.bits = decodeAlarmBits(profile, regs);
 
     const currentActiveAlarmKeys = new Set();
     const activatedAlarms = [];
@@ -922,103 +3053,916 @@ function publishHassDiscovery(mq) {
       lastAlarmSetAt = nowIso;
       lastAlarmSetSummary = msg;
       lastAlarmText = `${nowText} ${msg}`;
-      publish(mq, 'alarms/last_set_at', lastAlarmSetAt, true);
-      publish(mq, 'alarms/last_set_summary', lastAlarmSetSummary, true);
-      publish(mq, 'alarms/last_text', lastAlarmText, true);
-      console.log(`Alarms set: ${msg}`);
+      publish(mq, prefix, 'alarms/last_set_at', lastAlarmSetAt, true);
+      publish(mq, prefix, 'alarms/last_set_summary', lastAlarmSetSummary, true);
+      publish(mq, prefix, 'alarms/last_text', lastAlarmText, true);
+      console.log(`[${ctl.slaveId}] Alarms set: ${msg}`);
     }
     if (clearedAlarms.length > 0) {
-      const msg = clearedAlarms.map(describeAlarmKey).join('; ');
+      const msg = clearedAlarms.map(key => describeAlarmKey(profile, key)).join('; ');
       const nowIso = new Date().toISOString();
       lastAlarmClearedAt = nowIso;
-      publish(mq, 'alarms/last_cleared_at', lastAlarmClearedAt, true);
-      console.log(`Alarms cleared: ${msg}`);
+      publish(mq, prefix, 'alarms/last_cleared_at', lastAlarmClearedAt, true);
+      console.log(`[${ctl.slaveId}] Alarms cleared: ${msg}`);
+    }
+
+    // Structured event stream: one non-retained event per transition, plus a retained ring buffer
+    const eventMs = Date.now();
+    const events = [];
+    for (const a of activatedAlarms) {
+      const key = `${a.register}:${a.bit}`;
+      alarmActiveSince.set(key, eventMs);
+      events.push(buildAlarmEvent(profile, 'set', key, eventMs));
+    }
+    for (const key of clearedAlarms) {
+      events.push(buildAlarmEvent(profile, 'clear', key, eventMs, alarmActiveSince.get(key)));
+      alarmActiveSince.delete(key);
+    }
+    if (events.length > 0) {
+      for (const e of events) {
+        publish(mq, prefix, 'alarms/events', e, false);
+        toSinks('event', { type: 'alarm', ...e });
+      }
+      alarmHistory = alarmHistory.concat(events).slice(-ALARM_HISTORY_SIZE);
+      publish(mq, prefix, 'alarms/history', alarmHistory, true);
     }
 
     prevActiveAlarmKeys = currentActiveAlarmKeys;
+    let stateChanged = activatedAlarms.length > 0 || clearedAlarms.length > 0;
     alarms.active_text = formatActiveAlarms(alarms.active);
 
-    // Decode status bits from registers 1018-1019
-    const status = decodeStatus(alarmRegs);
-    status.operating_mode = getOperatingModeText(status);
+    // Decode status bits (GC-1F/2: registers 1018-1019)
+    const status = decodeStatus(profile, regs);
+    status.operating_mode = getOperatingModeText(profile, status);
+    status.mode = getPrimaryMode(profile, status);
+    checkPendingVerifications(status);
+    latestSnapshot = { values, status, alarms };
+
+    // Engine run/stop logging based on the engine_running status bit (GC-1F/2: 1018:6)
+    const engineRunning = statusRole(profile, status, 'engine_running');
+
+    // Poll faster while something is happening (engine running, mains failure)
+    const nowActive = engineRunning || statusRole(profile, status, 'mains_failure');
+    if (nowActive !== active) {
+      active = nowActive;
+      console.log(`[${ctl.slaveId}] Polling every ${pollIntervalMs()}ms (${active ? 'engine running or mains failure' : 'idle'})`);
+    }
+
+    // A run stopped on the previous poll is finished with the counters read now
+    if (stoppedRun) {
+      lastRun = finishRun(stoppedRun.run, values, stoppedRun.stoppedMs, ctl.ratings);
+      stoppedRun = null;
+      publish(mq, prefix, 'engine/last_run', lastRun, true);
+      console.log(`[${ctl.slaveId}] Run finished (${lastRun.reason}): ${lastRun.duration_s}s, ${lastRun.energy_kwh} kWh, peak ${lastRun.pgen_kw_peak} kW`);
+      stateChanged = true;
+    }
 
-    // Engine run/stop logging based on status 1018:6 (Engine running)
-    const engineRunning = !!status['1018_6'];
     if (prevEngineRunning === null) {
       prevEngineRunning = engineRunning;
+      stateChanged = true;
     } else if (engineRunning !== prevEngineRunning) {
-      console.log(engineRunning ? 'Engine status: STARTED' : 'Engine status: STOPPED');
+      console.log(`[${ctl.slaveId}] Engine status: ${engineRunning ? 'STARTED' : 'STOPPED'}`);
       const nowIso = new Date().toISOString();
       if (engineRunning) {
         lastRunStarted = nowIso;
         lastRunStartedMs = Date.now();
-        publish(mq, 'status/last_run_started', lastRunStarted, true);
+        publish(mq, prefix, 'status/last_run_started', lastRunStarted, true);
+        toSinks('event', { type: 'engine', event: 'start', ts: nowIso, running: true });
+        currentRun = startRun(profile, status, values, lastRunStartedMs, crankBatteryMin);
       } else {
         lastRunStopped = nowIso;
         const stopMs = Date.now();
+        let durationSec = null;
         if (lastRunStartedMs !== null) {
-          const durationSec = Math.max(0, Math.round((stopMs - lastRunStartedMs) / 1000));
+          durationSec = Math.max(0, Math.round((stopMs - lastRunStartedMs) / 1000));
           lastRunDurationSeconds = durationSec;
-          publish(mq, 'status/last_run_duration_s', lastRunDurationSeconds, true);
+          publish(mq, prefix, 'status/last_run_duration_s', lastRunDurationSeconds, true);
+        }
+        publish(mq, prefix, 'status/last_run_stopped', lastRunStopped, true);
+        toSinks('event', {
+          type: 'engine',
+          event: 'stop',
+          ts: nowIso,
+          running: false,
+          started: durationSec !== null ? lastRunStarted : null,
+          duration_s: durationSec,
+        });
+        if (currentRun) {
+          sampleRun(currentRun, profile, status, values, stopMs);
+          stoppedRun = { run: currentRun, stoppedMs: stopMs };
+          currentRun = null;
         }
-        publish(mq, 'status/last_run_stopped', lastRunStopped, true);
       }
       prevEngineRunning = engineRunning;
+      stateChanged = true;
     }
 
-    const counters = {
-      ...readCounters(b),
-      run_hours: runHours,
-      energy_kwh: energyKwh,
-      energy_signed_kwh: energySignedKwh,
-    };
+    if (engineRunning) {
+      if (currentRun) sampleRun(currentRun, profile, status, values, Date.now());
+      crankBatteryMin = null;
+    } else if ((numberAtPath(values, RUN_INPUTS.rpm) || 0) > 0) {
+      // Cranking: turning but not yet reported running
+      crankBatteryMin = minOrNull(crankBatteryMin, numberAtPath(values, RUN_INPUTS.battery));
+    } else {
+      crankBatteryMin = null;
+    }
+
+    // Mains outage episodes; the first poll after startup only sets the baseline
+    // unless an outage was open before a restart
+    const mainsFailed = statusRole(profile, status, 'mains_failure');
+    outageCounters = rollOutageCounters(outageCounters, now);
+    if (mainsFailed && !currentOutage && prevMainsFailed === false) {
+      currentOutage = startOutage(now);
+      outageCounters.today += 1;
+      outageCounters.this_month += 1;
+      outageCounters.total += 1;
+      console.log(`[${ctl.slaveId}] Mains failure: outage started`);
+      toSinks('event', { type: 'mains', event: 'failure', ts: new Date(now).toISOString(), mains_failure: true });
+      stateChanged = true;
+    }
+    if (currentOutage && updateOutage(currentOutage, profile, status, now)) {
+      stateChanged = true;
+      if (currentOutage.endedMs !== null) {
+        lastOutage = outageRecord(currentOutage);
+        currentOutage = null;
+        outageCounters.total_s += lastOutage.duration_s;
+        publish(mq, prefix, 'outages/last', lastOutage, true);
+        console.log(`[${ctl.slaveId}] Back on mains: outage ${lastOutage.duration_s}s, GB closed after ${lastOutage.gb_closed_s === null ? '-' : lastOutage.gb_closed_s + 's'}`);
+        toSinks('event', { type: 'mains', event: 'restored', ts: lastOutage.ended, mains_failure: false, started: lastOutage.started, duration_s: lastOutage.duration_s });
+      }
+    }
+    if (mainsFailed !== prevMainsFailed) {
+      prevMainsFailed = mainsFailed;
+      stateChanged = true;
+    }
 
-    const rpm = getReg(b, R.RPM);
-    const batteryVoltage = readUsupply(b);
+    // Maintenance tasks start counting run hours at the first reading
+    const runHours = numberAtPath(values, RUN_INPUTS.runHours);
+    for (const record of Object.values(maintenance)) {
+      if (record.run_hours === null && runHours !== null) {
+        record.run_hours = runHours;
+        stateChanged = true;
+      }
+    }
 
-    publishFlat(mq, 'device', {
-      id: HASS_DEVICE_ID,
-      name: DEVICE_NAME,
-      manufacturer: DEVICE_MANUFACTURER,
-      model: DEVICE_MODEL,
-      app_version: appVersion,
+    if (stateChanged) persist();
+
+    publishFlat(dataMq, prefix, 'device', {
+      id: ctl.deviceId,
+      name: ctl.deviceName,
+      manufacturer: ctl.manufacturer,
+      model: ctl.model,
+      profile: `${profile.id}@${profile.version}`,
+      ...values.device,
     }, true);
-    publishFlat(mq, 'gen', gen, RETAIN);
-    publishFlat(mq, 'mains', mains, RETAIN);
-    publishFlat(mq, 'alarms', alarms, RETAIN);
-    if (lastAlarmText) publish(mq, 'alarms/last_text', lastAlarmText, RETAIN);
-    if (lastAlarmSetAt) publish(mq, 'alarms/last_set_at', lastAlarmSetAt, RETAIN);
-    if (lastAlarmSetSummary) publish(mq, 'alarms/last_set_summary', lastAlarmSetSummary, RETAIN);
-    if (lastAlarmClearedAt) publish(mq, 'alarms/last_cleared_at', lastAlarmClearedAt, RETAIN);
-    publishFlat(mq, 'counters', counters, RETAIN);
-    publishFlat(mq, 'status', status, RETAIN);
-    publish(mq, 'engine/rpm', rpm, RETAIN);
-    publish(mq, 'engine/battery', batteryVoltage, RETAIN);
-    if (lastRunStarted) publish(mq, 'engine/last_run_started', lastRunStarted, RETAIN);
-    if (lastRunStopped) publish(mq, 'engine/last_run_stopped', lastRunStopped, RETAIN);
-    if (lastRunDurationSeconds !== null) publish(mq, 'engine/last_run_duration_s', lastRunDurationSeconds, RETAIN);
-    if (lastAlarmSetAt) publish(mq, 'alarms/last_set_at', lastAlarmSetAt, RETAIN);
-    if (lastAlarmSetSummary) publish(mq, 'alarms/last_set_summary', lastAlarmSetSummary, RETAIN);
-    if (lastAlarmClearedAt) publish(mq, 'alarms/last_cleared_at', lastAlarmClearedAt, RETAIN);
-    publish(mq, 'ts', new Date().toISOString(), RETAIN);
+    for (const [group, groupValues] of Object.entries(values)) {
+      if (group !== 'device' && group !== 'alarms') publishFlat(dataMq, prefix, group, groupValues, RETAIN);
+    }
+    publishFlat(dataMq, prefix, 'alarms', alarms, RETAIN);
+    if (lastAlarmText) publish(dataMq, prefix, 'alarms/last_text', lastAlarmText, RETAIN);
+    if (lastAlarmSetAt) publish(dataMq, prefix, 'alarms/last_set_at', lastAlarmSetAt, RETAIN);
+    if (lastAlarmSetSummary) publish(dataMq, prefix, 'alarms/last_set_summary', lastAlarmSetSummary, RETAIN);
+    if (lastAlarmClearedAt) publish(dataMq, prefix, 'alarms/last_cleared_at', lastAlarmClearedAt, RETAIN);
+    publishFlat(dataMq, prefix, 'status', status, RETAIN);
+    if (lastRunStarted) publish(dataMq, prefix, 'engine/last_run_started', lastRunStarted, RETAIN);
+    if (lastRunStopped) publish(dataMq, prefix, 'engine/last_run_stopped', lastRunStopped, RETAIN);
+    if (lastRunDurationSeconds !== null) publish(dataMq, prefix, 'engine/last_run_duration_s', lastRunDurationSeconds, RETAIN);
+    if (lastRun) publish(dataMq, prefix, 'engine/last_run', lastRun, RETAIN);
+    if (lastOutage) publish(dataMq, prefix, 'outages/last', lastOutage, RETAIN);
+    publish(dataMq, prefix, 'outages/today', outageCounters.today, RETAIN);
+    publish(dataMq, prefix, 'outages/this_month', outageCounters.this_month, RETAIN);
+    publish(dataMq, prefix, 'outages/total', outageCounters.total, RETAIN);
+    publish(dataMq, prefix, 'outages/time_total_s', outageCounters.total_s, RETAIN);
+    publishMaintenance(dataMq, runHours);
+    publishExercise(dataMq);
+    if (lastAlarmSetAt) publish(dataMq, prefix, 'alarms/last_set_at', lastAlarmSetAt, RETAIN);
+    if (lastAlarmSetSummary) publish(dataMq, prefix, 'alarms/last_set_summary', lastAlarmSetSummary, RETAIN);
+    if (lastAlarmClearedAt) publish(dataMq, prefix, 'alarms/last_cleared_at', lastAlarmClearedAt, RETAIN);
+    const pollMs = Date.now();
+    publish(dataMq, prefix, 'ts', new Date(pollMs).toISOString(), RETAIN);
+    toSinks('poll', { ts: pollMs, values, status, alarms });
   }
 
-  const run = async () => {
+  async function poll() {
+    // Commands accepted before this poll started get this poll's status as "after"
+    const auditBatch = auditAwaitingPoll;
+    auditAwaitingPoll = [];
+    const startedAt = Date.now();
+    stats.polls += 1;
     try {
       await readAndPublish();
+      stats.lastPollSuccessAt = Date.now();
+      setControllerAvailability(true);
+      if (ctl.exercise) await exerciseTick();
+    } catch (err) {
+      console.error(`[${ctl.slaveId}] Poll error:`, err && err.message ? err.message : err);
+      stats.modbusErrors.poll += 1;
+      latestSnapshot = null;
+      setControllerAvailability(false);
+    }
+    stats.lastPollDurationMs = Date.now() - startedAt;
+    if (auditBatch.length > 0) {
+      const statusAfter = latestSnapshot ? auditStatus(latestSnapshot) : null;
+      for (const entry of auditBatch) writeAudit({ ...entry, status_after: statusAfter });
+    }
+  }
+
+  function pollIntervalMs() {
+    return (active || exerciseRun !== null) && POLL_ACTIVE_MS > 0 ? POLL_ACTIVE_MS : INTERVAL_MS;
+  }
+
+  // Latest decoded data and run/alarm history for the HTTP API (/api/state)
+  function describe() {
+    const modeCommands = profile.operatingMode.commands;
+    return {
+      slave: ctl.slaveId,
+      node_id: ctl.nodeId,
+      name: ctl.deviceName,
+      model: ctl.model,
+      profile: `${profile.id}@${profile.version}`,
+      topic_prefix: prefix,
+      online: controllerOnline,
+      last_poll_success_at: stats.lastPollSuccessAt !== null ? new Date(stats.lastPollSuccessAt).toISOString() : null,
+      poll_interval_ms: pollIntervalMs(),
+      values: latestSnapshot ? latestSnapshot.values : null,
+      status: latestSnapshot ? latestSnapshot.status : null,
+      alarms: latestSnapshot ? latestSnapshot.alarms : null,
+      last_run: {
+        running: prevEngineRunning,
+        started: lastRunStarted,
+        stopped: lastRunStopped,
+        duration_s: lastRunDurationSeconds,
+      },
+      last_run_stats: lastRun,
+      outages: {
+        active_since: currentOutage ? new Date(currentOutage.startedMs).toISOString() : null,
+        today: outageCounters ? outageCounters.today : 0,
+        this_month: outageCounters ? outageCounters.this_month : 0,
+        total: outageCounters ? outageCounters.total : 0,
+        total_s: outageCounters ? outageCounters.total_s : 0,
+        last: lastOutage,
+      },
+      maintenance: ctl.maintenance.map(task => ({
+        key: task.key,
+        name: task.name,
+        ...maintenanceStatus(task, maintenance[task.key], latestRunHours(), Date.now()),
+      })),
+      exercise: ctl.exercise ? {
+        enabled: exerciseEnabled,
+        schedule: ctl.exercise.schedule.text,
+        next: exerciseEnabled && nextExerciseSlot() !== null ? new Date(nextExerciseSlot()).toISOString() : null,
+        running: exerciseRun !== null,
+        started: exerciseRun ? new Date(exerciseRun.startedMs).toISOString() : null,
+        last_report: lastExercise,
+      } : null,
+      last_alarm: {
+        set_at: lastAlarmSetAt,
+        summary: lastAlarmSetSummary,
+        text: lastAlarmText,
+        cleared_at: lastAlarmClearedAt,
+      },
+      alarm_history: alarmHistory,
+      commands: ctl.commands.map(c => ({ key: c.key, name: c.name, confirm: c.confirm })),
+      mode_options: Object.keys(modeCommands).filter(option => ctl.commands.some(c => c.key === modeCommands[option])),
+    };
+  }
+
+  return {
+    ctl,
+    stats,
+    announce,
+    poll,
+    pollIntervalMs,
+    publishAvailability,
+    handleCommand: handleTopic,
+    // Latest decoded { values, status, alarms }; null before the first and after a failed poll
+    snapshot: () => latestSnapshot,
+    online: () => controllerOnline === true,
+    describe,
+  };
+}
+
+/* =========================
+   PROMETHEUS EXPORTER
+   Text exposition format (version 0.0.4) on GET /metrics. Every sample carries
+   the controller's node id and slave id; decoded values are only exported
+   while the controller answers, so Prometheus sees gaps instead of stale data.
+   ========================= */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+// Metric families in insertion order; the first HELP/TYPE given for a name wins
+function createMetricFamilies() {
+  const families = new Map();
+  return {
+    add(name, type, help, labels, value) {
+      const number = typeof value === 'boolean' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) return;
+      if (!families.has(name)) families.set(name, { type, help, samples: [] });
+      const labelText = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabelValue(v)}"`).join(',');
+      families.get(name).samples.push(`${name}${labelText ? `{${labelText}}` : ''} ${number}`);
+    },
+    render() {
+      const lines = [];
+      for (const [name, family] of families) {
+        lines.push(`# HELP ${name} ${family.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+        lines.push(`# TYPE ${name} ${family.type}`);
+        lines.push(...family.samples);
+      }
+      return `${lines.join('\n')}\n`;
+    },
+  };
+}
+
+// gen.voltage_l1n_v -> deif_gen_voltage_l1n_v
+function metricName(measurementPath) {
+  return `deif_${measurementPath.replace(/\./g, '_')}`;
+}
+
+// Scrape output for all controllers plus the shared Modbus link and MQTT client
+function renderPrometheusMetrics(units, bus, mq) {
+  const out = createMetricFamilies();
+
+  if (bus) {
+    out.add('deif_modbus_connected', 'gauge', 'Modbus link connected (1) or not (0)', {}, bus.state === 'connected');
+    out.add('deif_modbus_reconnects_total', 'counter', 'Modbus link reconnects since the bridge started', {}, bus.reconnects);
+  }
+  if (mq) out.add('deif_mqtt_connected', 'gauge', 'MQTT broker connected (1) or not (0)', {}, !!mq.connected);
+
+  for (const unit of units) {
+    const { ctl, stats } = unit;
+    const profile = ctl.profile;
+    const labels = { controller: ctl.nodeId, slave: ctl.slaveId };
+
+    out.add('deif_up', 'gauge', 'Controller answered its last poll (1) or not (0)', labels, unit.online());
+    out.add('deif_polls_total', 'counter', 'Polls attempted', labels, stats.polls);
+    for (const [operation, count] of Object.entries(stats.modbusErrors)) {
+      out.add('deif_modbus_errors_total', 'counter', 'Failed Modbus transactions by operation (poll, command)', { ...labels, operation }, count);
+    }
+    if (stats.lastPollDurationMs !== null) {
+      out.add('deif_poll_duration_seconds', 'gauge', 'Duration of the last poll', labels, stats.lastPollDurationMs / 1000);
+    }
+    if (stats.lastPollSuccessAt !== null) {
+      out.add('deif_last_successful_poll_timestamp_seconds', 'gauge', 'Unix time of the last successful poll', labels, stats.lastPollSuccessAt / 1000);
+    }
+    for (const [command, results] of Object.entries(stats.commands)) {
+      for (const [result, count] of Object.entries(results)) {
+        out.add('deif_commands_total', 'counter', 'Commands handled by result (accepted, rejected, failed, verified, timeout, armed, disarmed)', { ...labels, command, result }, count);
+      }
+    }
+
+    const snapshot = unit.snapshot();
+    if (!snapshot) continue;
+
+    out.add('deif_device_info', 'gauge', 'Controller model, profile and app version', {
+      ...labels,
+      model: ctl.model,
+      profile: `${profile.id}@${profile.version}`,
+      app_version: (snapshot.values.device && snapshot.values.device.app_version) || '',
+    }, 1);
+
+    // Profile measurements and derived metrics; non-numeric ones (app version) are left out
+    const helpByPath = new Map();
+    for (const m of [...profile.measurements, ...ctl.derived]) {
+      helpByPath.set(m.path, m.ha && m.ha.name ? m.ha.name : m.path);
+    }
+    for (const [group, groupValues] of Object.entries(snapshot.values)) {
+      for (const [name, value] of Object.entries(groupValues)) {
+        const valuePath = `${group}.${name}`;
+        out.add(metricName(valuePath), 'gauge', helpByPath.get(valuePath) || valuePath, labels, value);
+      }
+    }
+
+    for (const [key, def] of Object.entries(profile.status)) {
+      const bit = key.replace(':', '_');
+      out.add('deif_status', 'gauge', 'Controller status bit', { ...labels, bit, text: def.text }, !!snapshot.status[bit]);
+    }
+    for (const mode of profile.operatingMode.options) {
+      out.add('deif_operating_mode', 'gauge', 'Primary operating mode (1 for the current one)', { ...labels, mode }, snapshot.status.mode === mode);
+    }
+
+    const activeKeys = new Set(snapshot.alarms.active.map(a => `${a.register}:${a.bit}`));
+    out.add('deif_alarms_active', 'gauge', 'Active alarms', labels, activeKeys.size);
+    for (const [key, def] of Object.entries(profile.alarms)) {
+      out.add('deif_alarm_active', 'gauge', 'Alarm active (1) or not (0)', {
+        ...labels,
+        alarm: key,
+        code: def.code,
+        text: def.text,
+        category: def.category,
+      }, activeKeys.has(key));
+    }
+  }
+
+  return out.render();
+}
+
+function metricsRoutes(render) {
+  return [{
+    method: 'GET',
+    path: '/metrics',
+    handle: (req, res) => sendText(res, 200, render(), 'text/plain; version=0.0.4; charset=utf-8'),
+  }];
+}
+
+/* =========================
+   HTTP API AND DASHBOARD
+   Read-only view of every controller that keeps working while MQTT or HA is
+   down: GET /api/state (JSON) and a live page on GET /. Commands are posted to
+   /api/controllers/<slave>/cmd/<key> (also <key>/arm and mode) as JSON
+   { "payload": "<MQTT payload>" } and run through the controller's command handler.
+   Only same-origin JSON requests are taken: a page on another origin cannot send
+   application/json without a preflight, which the server does not answer.
+   ========================= */
+const HTTP_BODY_LIMIT = 4096;
+// Result of a handled command -> HTTP status
+const COMMAND_HTTP_STATUS = { rejected: 409, failed: 502 };
+
+function createApiRoutes(units, { bus = null, mq = null, commands = false } = {}) {
+  const unitBySlave = new Map(units.map(unit => [String(unit.ctl.slaveId), unit]));
+  return [
+    {
+      method: 'GET',
+      path: '/',
+      handle: (req, res) => sendText(res, 200, DASHBOARD_HTML, 'text/html; charset=utf-8'),
+    },
+    {
+      method: 'GET',
+      path: '/api/state',
+      handle: (req, res) => sendJson(res, 200, {
+        ts: new Date().toISOString(),
+        bridge: {
+          modbus: bus ? bus.state : null,
+          mqtt: mq ? (mq.connected ? 'connected' : 'disconnected') : null,
+          commands,
+          token_required: !!CMD_TOKEN,
+        },
+        controllers: units.map(unit => unit.describe()),
+      }),
+    },
+    {
+      method: 'POST',
+      path: /^\/api\/controllers\/(\d+)\/cmd\/(\w+(?:\/arm)?)$/,
+      handle: async (req, res, [, slave, command]) => {
+        if (!commands) return sendJson(res, 403, { error: 'HTTP commands are disabled (HTTP_COMMANDS=false)' });
+        const { origin, host } = req.headers;
+        if (origin && origin !== `http://${host}` && origin !== `https://${host}`) {
+          return sendJson(res, 403, { error: `cross-origin request from ${origin} refused` });
+        }
+        if (!/^application\/json\s*(;|$)/i.test(req.headers['content-type'] || '')) {
+          return sendJson(res, 415, { error: 'Content-Type must be application/json' });
+        }
+        const unit = unitBySlave.get(slave);
+        if (!unit) return sendJson(res, 404, { error: `unknown controller ${slave}` });
+        const payload = parseCommandBody(await readBody(req, HTTP_BODY_LIMIT));
+        if (payload === null) return sendJson(res, 400, { error: 'body must be JSON {"payload": "<MQTT payload>"}' });
+        const result = await unit.handleCommand(`${unit.ctl.topicPrefix}/cmd/${command}`, payload, {
+          source: 'http',
+          remote_address: req.socket.remoteAddress,
+        });
+        if (!result) return sendJson(res, 404, { error: `unknown or disabled command "${command}"` });
+        return sendJson(res, COMMAND_HTTP_STATUS[result.result] || 200, result);
+      },
+    },
+  ];
+}
+
+// { "payload": "<text>" } (empty body or no payload = "") -> the payload text, null when malformed
+function parseCommandBody(text) {
+  if (text.trim() === '') return '';
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch (err) {
+    return null;
+  }
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) return null;
+  if (body.payload === undefined) return '';
+  return typeof body.payload === 'string' ? body.payload : null;
+}
+
+// Refused at startup: the command endpoints have no authentication besides the token
+function validateHttpCommands(port, commands, token) {
+  if (port > 0 && commands && !token) {
+    throw new Error('HTTP_COMMANDS=true needs CMD_TOKEN: command requests are only authenticated by the token');
+  }
+}
+
+// Self-contained page (no external assets) polling /api/state every 2 s
+const DASHBOARD_HTML = `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>DEIF bridge</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 1rem; background: #f4f5f7; color: #222; }
+section { background: #fff; border-radius: 6px; padding: 1rem; margin-bottom: 1rem; box-shadow: 0 1px 2px #0002; }
+h2 { margin: 0 0 .5rem; font-size: 1.2rem; }
+h3 { margin: .75rem 0 .25rem; font-size: 1rem; }
+.grid { display: flex; flex-wrap: wrap; gap: 0 2rem; }
+table { border-collapse: collapse; }
+td { padding: .1rem .75rem .1rem 0; }
+td:last-child { text-align: right; font-variant-numeric: tabular-nums; }
+.ok { color: #2e7d32; }
+.bad { color: #c62828; font-weight: bold; }
+.muted { color: #777; font-size: .9rem; }
+button { margin: .2rem .3rem .2rem 0; }
+</style>
+</head>
+<body>
+<h1>DEIF generator bridge</h1>
+<p id="bridge" class="muted">Loading…</p>
+<p id="token-row" hidden><label>Command token <input id="token" type="password" autocomplete="off"></label></p>
+<p id="result" class="muted"></p>
+<div id="controllers"></div>
+<script>
+var GROUPS = ['gen', 'mains', 'engine', 'counters'];
+function esc(v) {
+  return String(v).replace(/[&<>"]/g, function (c) { return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]; });
+}
+function table(obj) {
+  return '<table>' + Object.keys(obj).map(function (k) {
+    return '<tr><td>' + esc(k) + '</td><td>' + esc(obj[k] === null ? '–' : obj[k]) + '</td></tr>';
+  }).join('') + '</table>';
+}
+function renderController(c) {
+  var html = '<section><h2>' + esc(c.name) + ' <span class="' + (c.online ? 'ok' : 'bad') + '">' + (c.online ? 'online' : 'unreachable') + '</span></h2>';
+  html += '<div class="muted">slave ' + c.slave + ' · ' + esc(c.profile) + ' · last poll ' + esc(c.last_poll_success_at || 'never') + '</div>';
+  if (c.status) {
+    html += '<h3>Mode: ' + esc(c.status.operating_mode) + '</h3>';
+    var active = c.alarms.active;
+    html += '<h3 class="' + (active.length ? 'bad' : 'ok') + '">' + (active.length ? active.length + ' active alarm(s)' : 'No active alarms') + '</h3>';
+    html += active.map(function (a) { return '<div class="bad">' + esc(a.code + ' ' + a.text) + '</div>'; }).join('');
+    html += '<div class="grid">';
+    GROUPS.forEach(function (g) { if (c.values[g]) html += '<div><h3>' + g + '</h3>' + table(c.values[g]) + '</div>'; });
+    var on = {};
+    Object.keys(c.status).forEach(function (k) { if (c.status[k] === true) on[k] = 'on'; });
+    html += '<div><h3>status</h3>' + table(on) + '</div></div>';
+  }
+  html += '<h3>Last run</h3>' + table(c.last_run);
+  if (c.last_run_stats) html += table(c.last_run_stats);
+  html += '<h3>Mains outages</h3>' + table({ active_since: c.outages.active_since, today: c.outages.today, this_month: c.outages.this_month, total: c.outages.total, total_s: c.outages.total_s });
+  if (c.outages.last) html += table(c.outages.last);
+  if (c.maintenance.length) {
+    var tasks = {};
+    c.maintenance.forEach(function (t) {
+      var left = [];
+      if (t.hours_remaining !== null) left.push(t.hours_remaining + ' h');
+      if (t.days_remaining !== null) left.push(t.days_remaining + ' d');
+      tasks[t.name] = (t.due ? 'DUE · ' : '') + (left.length ? left.join(' / ') + ' left' : '–');
+    });
+    html += '<h3>Maintenance</h3>' + table(tasks);
+  }
+  if (c.exercise) {
+    html += '<h3>Exercise</h3>' + table({ schedule: c.exercise.schedule + (c.exercise.enabled ? '' : ' (disabled)'), next: c.exercise.next, running_since: c.exercise.started });
+    var report = c.exercise.last_report;
+    if (report) html += table(Object.assign({}, report, { alarms_raised: report.alarms_raised.map(function (a) { return a.code + ' ' + a.text; }).join(', ') }));
+  }
+  html += '<h3>Last alarm</h3>' + table({ set: c.last_alarm.summary, at: c.last_alarm.set_at, cleared: c.last_alarm.cleared_at });
+  if (state.bridge.commands && (c.commands.length || c.mode_options.length)) {
+    html += '<h3>Commands</h3>';
+    c.commands.forEach(function (cmd) {
+      html += '<button data-slave="' + c.slave + '" data-key="' + esc(cmd.key) + '" data-confirm="' + cmd.confirm + '">' + esc(cmd.name) + '</button>';
+    });
+    c.mode_options.forEach(function (option) {
+      html += '<button data-slave="' + c.slave + '" data-mode="' + esc(option) + '">Mode ' + esc(option) + '</button>';
+    });
+  }
+  return html + '</section>';
+}
+var state = null;
+function render() {
+  var b = state.bridge;
+  document.getElementById('bridge').textContent = 'Modbus ' + b.modbus + ' · MQTT ' + b.mqtt + ' · updated ' + state.ts;
+  document.getElementById('token-row').hidden = !(b.commands && b.token_required);
+  document.getElementById('controllers').innerHTML = state.controllers.map(renderController).join('');
+}
+async function refresh() {
+  try {
+    state = await (await fetch('api/state')).json();
+    render();
+  } catch (err) {
+    document.getElementById('bridge').textContent = 'Bridge not reachable: ' + err.message;
+  }
+}
+async function post(slave, command, payload) {
+  var res = await fetch('api/controllers/' + slave + '/cmd/' + command, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ payload: payload }),
+  });
+  var body = await res.json();
+  document.getElementById('result').textContent = command + ': ' + (body.result || 'error') + (body.reason || body.error ? ' (' + (body.reason || body.error) + ')' : '');
+  return body;
+}
+document.getElementById('controllers').addEventListener('click', async function (ev) {
+  var btn = ev.target.closest('button');
+  if (!btn) return;
+  var token = document.getElementById('token').value;
+  var slave = btn.dataset.slave;
+  if (btn.dataset.mode) {
+    await post(slave, 'mode', token ? JSON.stringify({ option: btn.dataset.mode, token: token }) : btn.dataset.mode);
+  } else if (btn.dataset.confirm === 'true') {
+    var armed = await post(slave, btn.dataset.key + '/arm', token);
+    if (armed.result === 'armed' && confirm('Confirm ' + btn.textContent + '?')) await post(slave, btn.dataset.key, token);
+  } else if (confirm('Send ' + btn.textContent + '?')) {
+    await post(slave, btn.dataset.key, token);
+  }
+  refresh();
+});
+setInterval(refresh, 2000);
+refresh();
+</script>
+</body>
+</html>
+`;
+
+/* =========================
+   HTTP SERVER
+   ========================= */
+function sendText(res, status, body, contentType = 'text/plain; charset=utf-8') {
+  res.writeHead(status, { 'Content-Type': contentType, 'Cache-Control': 'no-store' });
+  res.end(body);
+}
+
+function sendJson(res, status, body) {
+  sendText(res, status, `${JSON.stringify(body)}\n`, 'application/json; charset=utf-8');
+}
+
+// Request body as text; larger bodies are drained and fail with statusCode 413
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    let size = 0;
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+      size += Buffer.byteLength(chunk);
+      if (size <= limit) body += chunk;
+    });
+    req.on('end', () => {
+      if (size > limit) reject(Object.assign(new Error(`request body exceeds ${limit} bytes`), { statusCode: 413 }));
+      else resolve(body);
+    });
+    req.on('error', reject);
+  });
+}
+
+// routes: [{ method, path (string or RegExp), handle(req, res, match) }]. Resolves with
+// the listening server; rejects when the port cannot be bound.
+function startHttpServer(port, host, routes) {
+  const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const matching = routes
+      .map(route => ({ route, match: typeof route.path === 'string' ? (pathname === route.path ? [pathname] : null) : pathname.match(route.path) }))
+      .filter(r => r.match);
+    if (matching.length === 0) return sendText(res, 404, 'Not found\n');
+    const hit = matching.find(r => r.route.method === req.method);
+    if (!hit) return sendText(res, 405, 'Method not allowed\n');
+    try {
+      await hit.route.handle(req, res, hit.match);
     } catch (err) {
-      console.error('Poll error:', err && err.message ? err.message : err);
+      console.error(`HTTP ${req.method} ${pathname} failed:`, err && err.message ? err.message : err);
+      if (!res.headersSent) sendJson(res, err.statusCode || 500, { error: err.message });
+    }
+    return undefined;
+  });
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.off('error', reject);
+      resolve(server);
+    });
+  });
+}
+
+// Maintenance counts from baselines kept in STATE_FILE; without it every restart
+// takes new baselines and tasks never fall due
+function validateStateFile(controllers, stateFile) {
+  const withTasks = controllers.filter(ctl => ctl.maintenance.length > 0);
+  if (withTasks.length > 0 && !stateFile) {
+    throw new Error(`Maintenance tasks (controller ${withTasks.map(ctl => ctl.slaveId).join(', ')}) need STATE_FILE: without it the intervals restart on every restart`);
+  }
+}
+
+/* =========================
+   MAIN
+   ========================= */
+async function main() {
+  validateTransport();
+  const controllers = loadControllers();
+  validateStateFile(controllers, STATE_FILE);
+  validateHttpCommands(HTTP_PORT, HTTP_COMMANDS, CMD_TOKEN);
+
+  // MQTT connect (Last Will marks the bridge offline if we drop unexpectedly).
+  // QoS 0 data is not queued while offline: every poll republishes it anyway.
+  const mqttOpts = {
+    ...((MQTT_USER || MQTT_PASS) ? { username: MQTT_USER, password: MQTT_PASS } : {}),
+    will: { topic: AVAILABILITY_TOPIC, payload: PAYLOAD_OFFLINE, qos: 1, retain: true },
+    reconnectPeriod: MQTT_RECONNECT_MIN_MS,
+    queueQoSZero: false,
+    resubscribe: false,
+  };
+  const mq = mqtt.connect(MQTT_URL, mqttOpts);
+
+  const bus = createModbusBus((state, reconnects) => {
+    publish(mq, TOPIC_PREFIX, 'bridge/modbus', state, true);
+    publish(mq, TOPIC_PREFIX, 'bridge/modbus_reconnects', reconnects, true);
+  });
+
+  const store = createStateStore(STATE_FILE);
+  const auditLog = createAuditLog(CMD_AUDIT_FILE);
+  const sinks = createSinks();
+  if (sinks.length > 0) console.log(`Sinks: ${sinks.map(s => s.name).join(', ')}`);
+  const units = [];
+  const handlerByTopic = new Map();
+  for (const ctl of controllers) {
+    const unit = createController(ctl, mq, bus, store, auditLog, sinks);
+    units.push(unit);
+    for (const topic of commandTopics(ctl)) handlerByTopic.set(topic, unit.handleCommand);
+
+    if (ctl.commands.length > 0) {
+      const enabledNames = ctl.commands
+        .map(c => `${c.key} (cooldown ${c.cooldownMs}ms${c.confirm ? ', confirm' : ''})`)
+        .join(', ');
+      console.log(`[${ctl.slaveId}] Command topics enabled (${ctl.commands.length} commands${CMD_TOKEN ? ', token required' : ''}): ${enabledNames}`);
+    } else {
+      console.log(`[${ctl.slaveId}] Command topics disabled (no commands enabled)`);
+    }
+    if (ctl.maintenance.length > 0) {
+      console.log(`[${ctl.slaveId}] Maintenance tasks: ${ctl.maintenance.map(t => t.key).join(', ')}`);
+    }
+    if (ctl.exercise) {
+      console.log(`[${ctl.slaveId}] Exercise schedule: ${ctl.exercise.schedule.text} (${ctl.exercise.durationMs / 60000} min)`);
+    }
+  }
+
+  mq.on('message', (topic, message, packet) => {
+    const handleCommand = handlerByTopic.get(topic);
+    if (!handleCommand) return;
+    if (packet && packet.retain) return; // ignore retained commands
+    handleCommand(topic, message.toString(), {
+      source: 'mqtt',
+      qos: packet ? packet.qos : null,
+      ...(packet && packet.properties && packet.properties.userProperties
+        ? { user_properties: packet.properties.userProperties }
+        : {}),
+    });
+  });
+
+  // Exponential backoff: runs before mqtt.js schedules its next attempt from reconnectPeriod
+  let mqttBackoffMs = MQTT_RECONNECT_MIN_MS;
+  let mqttReconnects = 0;
+  mq.prependListener('close', () => {
+    mq.options.reconnectPeriod = mqttBackoffMs;
+    mqttBackoffMs = nextBackoff(mqttBackoffMs, MQTT_RECONNECT_MAX_MS);
+  });
+  mq.on('reconnect', () => {
+    mqttReconnects += 1;
+    console.log(`MQTT reconnecting (attempt ${mqttReconnects}, next retry in ${mq.options.reconnectPeriod}ms)`);
+  });
+  mq.on('error', (err) => {
+    console.error('MQTT error:', err && err.message ? err.message : err);
+  });
+
+  // On every (re)connect: availability (the broker may have fired our will meanwhile),
+  // discovery, command subscriptions and supervisor state
+  mq.on('connect', () => {
+    mqttBackoffMs = MQTT_RECONNECT_MIN_MS;
+    mq.options.reconnectPeriod = MQTT_RECONNECT_MIN_MS;
+    console.log(`MQTT connected (${MQTT_URL})`);
+
+    mq.publish(AVAILABILITY_TOPIC, PAYLOAD_ONLINE, { qos: 1, retain: true });
+    if (handlerByTopic.size > 0) mq.subscribe(Array.from(handlerByTopic.keys()));
+    for (const unit of units) {
+      unit.announce();
+      unit.publishAvailability();
+    }
+    publish(mq, TOPIC_PREFIX, 'bridge/modbus', bus.state, true);
+    publish(mq, TOPIC_PREFIX, 'bridge/modbus_reconnects', bus.reconnects, true);
+    publish(mq, TOPIC_PREFIX, 'bridge/mqtt_reconnects', mqttReconnects, true);
+  });
+
+  // HTTP listeners; METRICS_PORT and HTTP_PORT may name the same port (one listener, host of the first)
+  const listeners = new Map(); // port -> { host, routes, paths }
+  const addListener = (port, host, routes, paths) => {
+    if (port <= 0) return;
+    const listener = listeners.get(port) || { host, routes: [], paths: [] };
+    listener.routes.push(...routes);
+    listener.paths.push(...paths);
+    listeners.set(port, listener);
+  };
+  addListener(METRICS_PORT, METRICS_HOST, metricsRoutes(() => renderPrometheusMetrics(units, bus, mq)), ['/metrics']);
+  addListener(HTTP_PORT, HTTP_HOST, createApiRoutes(units, { bus, mq, commands: HTTP_COMMANDS }), ['/', '/api/state']);
+  for (const [port, { host, routes, paths }] of listeners) {
+    await startHttpServer(port, host, routes);
+    console.log(`HTTP on http://${host}:${port} (${paths.join(', ')})`);
+  }
+  if (HTTP_PORT > 0) console.log(`HTTP commands ${HTTP_COMMANDS ? 'enabled (token required)' : 'disabled'}`);
+
+  // Modbus connect (one link shared by every controller)
+  await bus.start();
+
+  console.log(`DEIF ? MQTT started (MEAS 500+ only): slaves=${controllers.map(c => `${c.slaveId}(${c.profile.id}@${c.profile.version})`).join(',')} transport=${describeTransport()} mqtt=${MQTT_URL} poll=${INTERVAL_MS}ms${POLL_ACTIVE_MS > 0 ? `/active ${POLL_ACTIVE_MS}ms` : ''}/slow ${POLL_SLOW_MS}ms`);
+
+  // Each controller is due on its own interval (see pollIntervalMs). Controllers
+  // share the bus, so a pass polls the due ones one after another and the next
+  // pass is scheduled when it ends: a slow or reconnecting link delays polls
+  // instead of piling them up.
+  const dueAt = new Map(units.map(unit => [unit, 0]));
+  const run = async () => {
+    for (const unit of units) {
+      const startedAt = Date.now();
+      if (dueAt.get(unit) > startedAt) continue;
+      await unit.poll();
+      dueAt.set(unit, startedAt + unit.pollIntervalMs());
     }
   };
 
   if (INTERVAL_MS <= 0) {
+    // One-shot mode needs the broker: wait for it rather than poll into the void
+    if (!mq.connected) await new Promise(resolve => mq.once('connect', resolve));
     await run();
     process.exit(0);
   } else {
-    await run();
-    setInterval(run, INTERVAL_MS);
+    const loop = async () => {
+      await run();
+      setTimeout(loop, Math.max(0, Math.min(...dueAt.values()) - Date.now()));
+    };
+    await loop();
   }
-})().catch(err => {
-  console.error(err);
-  process.exit(1);
-});
+}
+
+// Decoding, discovery and the controller runtime are exported for the tests
+// (test/); running the file directly starts the bridge.
+module.exports = {
+  compileProfile,
+  loadProfile,
+  loadControllers,
+  validateSerialSettings,
+  defaultNodeId,
+  resolveCommands,
+  commandTopics,
+  u32,
+  s16,
+  fmtAppVersion,
+  decodeMeasurement,
+  decodeMeasurements,
+  selectDerivedMetrics,
+  applyDerivedMetrics,
+  runReason,
+  startRun,
+  sampleRun,
+  finishRun,
+  startOutage,
+  updateOutage,
+  outageRecord,
+  rollOutageCounters,
+  maintenanceDueAt,
+  maintenanceStatus,
+  resolveMaintenanceTasks,
+  validateStateFile,
+  parseExerciseSchedule,
+  nextExerciseAt,
+  exerciseBlocker,
+  startExercise,
+  sampleExercise,
+  exerciseReport,
+  resolveExercise,
+  decodeAlarms,
+  decodeAlarmBits,
+  buildAlarmEvent,
+  formatActiveAlarms,
+  decodeStatus,
+  statusRole,
+  getPrimaryMode,
+  getOperatingModeText,
+  readRegisterBlocks,
+  mergeAdjacentBlocks,
+  evaluateInterlocks,
+  createCommandHandler,
+  publishHassDiscovery,
+  createStateStore,
+  createAuditLog,
+  parseDeadbands,
+  createPublishCache,
+  influxLine,
+  createInfluxSink,
+  createInfluxHttpWriter,
+  createFileWriter,
+  createCsvSink,
+  createController,
+  renderPrometheusMetrics,
+  metricsRoutes,
+  createApiRoutes,
+  validateHttpCommands,
+  startHttpServer,
+};
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
+}
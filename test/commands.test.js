@@ -0,0 +1,139 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { bridge, registers, bits, createHarness, loadController } = require('./helpers');
+
+const READY = { 1018: bits(1, 6, 8), 1019: bits(1) };
+
+// Accepted commands wait up to CMD_VERIFY_TIMEOUT_MS for their status bits
+test.beforeEach((t) => t.mock.timers.enable({ apis: ['setTimeout'] }));
+
+test('a command writes its coil and reports accepted', async () => {
+  const { mq, mb, unit } = createHarness({ regs: registers({ 1019: bits(1) }) });
+  await unit.poll();
+
+  const result = await unit.handleCommand('test/deif/cmd/start', 'PRESS', { source: 'test' });
+
+  assert.deepEqual(result, { key: 'start', result: 'accepted', reason: null });
+  assert.deepEqual(mb.writes, [{ address: 1, values: [true] }]);
+  const published = JSON.parse(mq.last('test/deif/cmd/start/result'));
+  assert.equal(published.result, 'accepted');
+});
+
+test('an accepted command is verified once the status bits match', async () => {
+  const { mq, mb, unit } = createHarness({ regs: registers({ 1019: bits(1) }) });
+  await unit.poll();
+  await unit.handleCommand('test/deif/cmd/start', '');
+
+  Object.assign(mb.regs, READY);
+  await unit.poll();
+
+  const published = JSON.parse(mq.last('test/deif/cmd/start/result'));
+  assert.equal(published.result, 'verified');
+  assert.equal(typeof published.elapsed_ms, 'number');
+});
+
+test('an accepted command times out when the status bits never match', async (t) => {
+  const { mq, unit } = createHarness({ regs: registers({ 1019: bits(1) }) });
+  await unit.poll();
+  await unit.handleCommand('test/deif/cmd/start', '');
+  await unit.poll();
+  assert.equal(JSON.parse(mq.last('test/deif/cmd/start/result')).result, 'accepted');
+
+  t.mock.timers.tick(60000);
+  const published = JSON.parse(mq.last('test/deif/cmd/start/result'));
+  assert.equal(published.result, 'timeout');
+  assert.equal(published.reason, 'status did not reach {"1018_6":true} within 60000ms');
+});
+
+test('repeating a command within the cooldown is rejected', async () => {
+  const { mb, unit } = createHarness({ regs: registers(READY) });
+  await unit.poll();
+
+  assert.equal((await unit.handleCommand('test/deif/cmd/stop', '')).result, 'accepted');
+  const second = await unit.handleCommand('test/deif/cmd/stop', '');
+  assert.deepEqual(second, { key: 'stop', result: 'rejected', reason: 'cooldown active' });
+  assert.equal(mb.writes.length, 1);
+});
+
+test('interlocks block commands against the latest poll', async () => {
+  const { mb, unit } = createHarness({ regs: registers({ 1018: bits(1), 1019: bits(1) }) });
+
+  // No successful poll yet
+  const unknown = await unit.handleCommand('test/deif/cmd/gb_on', '');
+  assert.equal(unknown.reason, 'interlock: controller state unknown (no successful poll)');
+
+  await unit.poll();
+  const stopped = await unit.handleCommand('test/deif/cmd/gb_on', '');
+  assert.deepEqual(stopped, { key: 'gb_on', result: 'rejected', reason: 'interlock: engine not running' });
+
+  mb.regs[559] = 1;
+  await unit.poll();
+  const unacked = await unit.handleCommand('test/deif/cmd/start', '');
+  assert.equal(unacked.reason, 'interlock: unacknowledged alarms present');
+  assert.deepEqual(mb.writes, []);
+
+  Object.assign(mb.regs, READY, { 559: 0 });
+  await unit.poll();
+  assert.equal((await unit.handleCommand('test/deif/cmd/gb_on', '')).result, 'accepted');
+  assert.deepEqual(mb.writes, [{ address: 2, values: [true] }]);
+});
+
+test('the mode select runs the matching mode command', async () => {
+  const { mq, mb, unit } = createHarness({ regs: registers({ 1019: bits(1) }) });
+  await unit.poll();
+
+  const result = await unit.handleCommand('test/deif/cmd/mode', 'Auto');
+  assert.equal(result.key, 'mode_auto');
+  assert.equal(result.result, 'accepted');
+  assert.deepEqual(mb.writes, [{ address: 30, values: [true] }]);
+  assert.equal(JSON.parse(mq.last('test/deif/cmd/mode_auto/result')).result, 'accepted');
+
+  const testMode = await unit.handleCommand('test/deif/cmd/mode', 'Test');
+  assert.deepEqual(testMode, { key: 'mode', result: 'rejected', reason: 'command mode_test not enabled' });
+  const off = await unit.handleCommand('test/deif/cmd/mode', 'OFF');
+  assert.equal(off.reason, 'mode "OFF" cannot be selected');
+  assert.equal(mb.writes.length, 1);
+});
+
+test('a failed coil write is reported as failed', async () => {
+  const { mq, mb, unit } = createHarness({ regs: registers(READY) });
+  await unit.poll();
+
+  mb.fail = new Error('Timed out');
+  const result = await unit.handleCommand('test/deif/cmd/alarm_ack', '');
+  assert.deepEqual(result, { key: 'alarm_ack', result: 'failed', reason: 'Timed out' });
+  assert.equal(JSON.parse(mq.last('test/deif/cmd/alarm_ack/result')).result, 'failed');
+});
+
+test('unknown topics are ignored', async () => {
+  const { mb, unit } = createHarness();
+  assert.equal(await unit.handleCommand('test/deif/cmd/mb_on', ''), undefined);
+  assert.deepEqual(mb.writes, []);
+});
+
+test('createCommandHandler audits every handled message', async () => {
+  const ctl = loadController();
+  const writes = [];
+  const bus = { run: async (slaveId, fn) => fn({ writeCoils: async (address, values) => writes.push({ slaveId, address, values }) }) };
+  const entries = [];
+  const handle = bridge.createCommandHandler(bus, ctl, { audit: entry => entries.push(entry) });
+
+  await handle('test/deif/cmd/alarm_ack', 'PRESS', { source: 'test' });
+
+  assert.deepEqual(writes, [{ slaveId: 1, address: 10, values: [true] }]);
+  assert.equal(entries.length, 1);
+  assert.equal(entries[0].key, 'alarm_ack');
+  assert.equal(entries[0].source, 'test');
+  assert.equal(entries[0].result, 'accepted');
+  assert.equal(entries[0].status_before, null);
+});
+
+test('evaluateInterlocks checks equals, min and max rules', () => {
+  const snapshot = { status: { '1018_6': true }, alarms: { unacknowledged: 2 } };
+  assert.equal(bridge.evaluateInterlocks([], null), null);
+  assert.equal(bridge.evaluateInterlocks([{ path: 'status.1018_6', equals: true }], snapshot), null);
+  assert.equal(bridge.evaluateInterlocks([{ path: 'alarms.unacknowledged', max: 0, reason: 'unacked' }], snapshot), 'unacked');
+  assert.equal(bridge.evaluateInterlocks([{ path: 'alarms.unacknowledged', min: 3 }], snapshot), 'alarms.unacknowledged is 2');
+});
@@ -0,0 +1,233 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { bridge, profile, registers, bits, createHarness } = require('./helpers');
+
+const ENGINE_RUNNING = { 1018: bits(6, 8), 1019: bits(3) };
+const ENGINE_STOPPED = { 1018: bits(1), 1019: bits(3) };
+
+test('a poll reads the profile blocks and publishes per-metric topics', async () => {
+  const { mq, bus, unit } = createHarness({
+    regs: registers({ 504: 231, 507: 501, 519: 42, 536: 0, 537: 1500, 576: 1500, ...ENGINE_RUNNING }),
+  });
+
+  await unit.poll();
+
+  assert.deepEqual(bus.slaveIds, [1]);
+  assert.equal(mq.last('test/deif/gen/voltage_l1n_v'), '231');
+  assert.equal(mq.last('test/deif/gen/frequency_hz'), '50.1');
+  assert.equal(mq.last('test/deif/gen/pgen_kw'), '42');
+  assert.equal(mq.last('test/deif/counters/energy_kwh'), '1500');
+  assert.equal(mq.last('test/deif/engine/rpm'), '1500');
+  assert.equal(mq.last('test/deif/status/1018_6'), 'true');
+  assert.equal(mq.last('test/deif/status/1018_0'), 'false');
+  assert.equal(mq.last('test/deif/status/operating_mode'), 'Auto');
+  assert.equal(mq.last('test/deif/status/mode'), 'Auto');
+  assert.equal(mq.last('test/deif/alarms/active_text'), 'No active alarms');
+  assert.equal(mq.last('test/deif/alarms/bits/1013_9'), 'false');
+  assert.equal(mq.last('test/deif/device/profile'), `gc-1f2@${profile.version}`);
+  assert.equal(mq.last('test/deif/controller/availability'), 'online');
+  assert.ok(mq.last('test/deif/ts'));
+  // Bitfields are off unless PUBLISH_ALARM_BITFIELDS is set
+  assert.equal(mq.messages.some(m => m.topic.startsWith('test/deif/alarms/bitfield')), false);
+});
+
+test('announce publishes discovery and static device metadata', () => {
+  const { mq, unit } = createHarness();
+  unit.announce();
+
+  assert.equal(mq.last('test/deif/device/model'), 'DEIF GC-1F/2');
+  assert.equal(mq.last('test/deif/device/manufacturer'), 'DEIF');
+  assert.equal(mq.last('test/deif/device/name'), 'DEIF GC-1F/2 (1)');
+  assert.ok(mq.messages.some(m => m.topic === 'homeassistant/sensor/deif-test-1/gen_voltage_l1n/config'));
+});
+
+test('alarm activation and clearing publish events, history and last alarm', async () => {
+  const { mq, mb, unit } = createHarness();
+
+  await unit.poll();
+  assert.deepEqual(mq.payloads('test/deif/alarms/events'), []);
+
+  mb.regs[1013] = bits(9);
+  mb.regs[558] = 1;
+  mq.clear();
+  await unit.poll();
+
+  const [setEvent] = mq.payloads('test/deif/alarms/events').map(p => JSON.parse(p));
+  assert.equal(setEvent.event, 'set');
+  assert.equal(setEvent.key, '1013:9');
+  assert.equal(setEvent.code, '4510');
+  assert.equal(setEvent.category, 'analogue');
+  assert.equal(mq.last('test/deif/alarms/bits/1013_9'), 'true');
+  assert.equal(mq.last('test/deif/alarms/count'), '1');
+  assert.equal(mq.last('test/deif/alarms/active_text'), '4510 Overspeed 1');
+  assert.equal(mq.last('test/deif/alarms/last_set_summary'), '1013:9 (4510 Overspeed 1)');
+  assert.match(mq.last('test/deif/alarms/last_text'), /^\d{4}\/\d{2}\/\d{2} \d{2}:\d{2}:\d{2} 1013:9 \(4510 Overspeed 1\)$/);
+  const active = JSON.parse(mq.last('test/deif/alarms/active'));
+  assert.deepEqual(active.map(a => `${a.register}:${a.bit}`), ['1013:9']);
+
+  // Still active: no new event
+  mq.clear();
+  await unit.poll();
+  assert.deepEqual(mq.payloads('test/deif/alarms/events'), []);
+
+  mb.regs[1013] = 0;
+  mb.regs[558] = 0;
+  mq.clear();
+  await unit.poll();
+
+  const [clearEvent] = mq.payloads('test/deif/alarms/events').map(p => JSON.parse(p));
+  assert.equal(clearEvent.event, 'clear');
+  assert.equal(clearEvent.key, '1013:9');
+  assert.equal(clearEvent.active_since, setEvent.ts);
+  assert.equal(typeof clearEvent.active_s, 'number');
+  assert.ok(mq.last('test/deif/alarms/last_cleared_at'));
+  assert.equal(mq.last('test/deif/alarms/bits/1013_9'), 'false');
+
+  const history = JSON.parse(mq.last('test/deif/alarms/history'));
+  assert.deepEqual(history.map(e => e.event), ['set', 'clear']);
+});
+
+test('engine start and stop are tracked from the engine_running bit', async () => {
+  const { mq, mb, unit } = createHarness({ regs: registers(ENGINE_STOPPED) });
+
+  await unit.poll();
+  assert.equal(mq.last('test/deif/status/last_run_started'), undefined);
+
+  Object.assign(mb.regs, ENGINE_RUNNING);
+  await unit.poll();
+  const started = mq.last('test/deif/status/last_run_started');
+  assert.ok(started);
+  assert.equal(mq.last('test/deif/engine/last_run_started'), started);
+  assert.equal(mq.last('test/deif/engine/last_run_stopped'), undefined);
+
+  Object.assign(mb.regs, ENGINE_STOPPED);
+  await unit.poll();
+  assert.ok(mq.last('test/deif/status/last_run_stopped'));
+  assert.equal(mq.last('test/deif/engine/last_run_duration_s'), '0');
+});
+
+test('the first poll after startup does not count as an engine start', async () => {
+  const { mq, unit } = createHarness({ regs: registers(ENGINE_RUNNING) });
+  await unit.poll();
+  assert.equal(mq.last('test/deif/status/last_run_started'), undefined);
+});
+
+test('a failed poll marks the controller unreachable', async () => {
+  const { mq, mb, unit } = createHarness();
+
+  await unit.poll();
+  assert.equal(mq.last('test/deif/controller/availability'), 'online');
+
+  mb.fail = new Error('Timed out');
+  mq.clear();
+  await unit.poll();
+  assert.deepEqual(mq.payloads('test/deif/controller/availability'), ['offline']);
+  assert.equal(mq.last('test/deif/ts'), undefined);
+
+  mb.fail = null;
+  await unit.poll();
+  assert.equal(mq.last('test/deif/controller/availability'), 'online');
+});
+
+test('alarms still active after a restart are not reported again', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'deif-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'state.json');
+  const regs = registers({ 1013: bits(9), ...ENGINE_RUNNING });
+
+  const first = createHarness({ regs, store: bridge.createStateStore(file) });
+  await first.unit.poll();
+  await first.unit.poll();
+  assert.equal(first.mq.payloads('test/deif/alarms/events').length, 1);
+  await first.store.update('flush', {});
+
+  const second = createHarness({ regs: registers({ 1013: bits(9), 1000: bits(0), ...ENGINE_RUNNING }), store: bridge.createStateStore(file) });
+  second.unit.announce();
+  assert.equal(JSON.parse(second.mq.last('test/deif/alarms/history')).length, 1);
+
+  await second.unit.poll();
+  const events = second.mq.payloads('test/deif/alarms/events').map(p => JSON.parse(p));
+  assert.deepEqual(events.map(e => `${e.event} ${e.key}`), ['set 1000:0']);
+});
+
+test('slow blocks are read on the first poll and then every POLL_SLOW_MS', async (t) => {
+  let now = Date.now();
+  t.mock.method(Date, 'now', () => now);
+  const { mq, mb, unit } = createHarness({ regs: registers({ 500: 1102, 504: 230, 566: 7 }) });
+
+  // Slow blocks are read together with the fast blocks next to them
+  await unit.poll();
+  assert.deepEqual(mb.reads, [{ start: 500, count: 77 }, { start: 1000, count: 20 }]);
+
+  // Slow values keep their last reading in between; the counters are fast
+  mb.reads.length = 0;
+  Object.assign(mb.regs, { 500: 1103, 566: 8 });
+  now += 59999;
+  await unit.poll();
+  assert.deepEqual(mb.reads, [{ start: 504, count: 73 }, { start: 1000, count: 20 }]);
+  assert.equal(mq.last('test/deif/device/app_version'), '1.1.02');
+  assert.equal(mq.last('test/deif/counters/start_attempts'), '8');
+
+  mb.reads.length = 0;
+  now += 1;
+  await unit.poll();
+  assert.deepEqual(mb.reads.map(r => r.start), [500, 1000]);
+  assert.equal(mq.last('test/deif/device/app_version'), '1.1.03');
+});
+
+test('mergeAdjacentBlocks joins blocks without a gap, up to 125 registers', () => {
+  const block = (start, end) => ({ name: `${start}`, start, end, count: end - start + 1 });
+  assert.deepEqual(
+    bridge.mergeAdjacentBlocks([block(567, 576), block(500, 503), block(504, 560), block(1000, 1019)]).map(b => [b.start, b.count]),
+    [[500, 61], [567, 10], [1000, 20]],
+  );
+  assert.deepEqual(bridge.mergeAdjacentBlocks([block(0, 99), block(100, 130)]).map(b => b.start), [0, 100]);
+});
+
+test('polling speeds up while the engine runs or mains has failed', async () => {
+  const { mb, unit } = createHarness({ regs: registers(ENGINE_STOPPED) });
+  await unit.poll();
+  assert.equal(unit.pollIntervalMs(), 5000);
+
+  Object.assign(mb.regs, ENGINE_RUNNING);
+  await unit.poll();
+  assert.equal(unit.pollIntervalMs(), 1000);
+
+  Object.assign(mb.regs, ENGINE_STOPPED, { 1018: bits(0) });
+  await unit.poll();
+  assert.equal(unit.pollIntervalMs(), 1000);
+
+  // A failed poll keeps the last known rate
+  mb.fail = new Error('Timed out');
+  await unit.poll();
+  assert.equal(unit.pollIntervalMs(), 1000);
+
+  mb.fail = null;
+  Object.assign(mb.regs, ENGINE_STOPPED);
+  await unit.poll();
+  assert.equal(unit.pollIntervalMs(), 5000);
+});
+
+test('compileProfile keeps alarm and status bits out of slow blocks', () => {
+  const raw = JSON.parse(JSON.stringify(require('../profiles/gc-1f2.json')));
+  raw.blocks.find(b => b.name === 'alarms').tier = 'slow';
+  assert.throws(() => bridge.compileProfile('test', raw), /register 1000 is in a slow block/);
+
+  raw.blocks.find(b => b.name === 'alarms').tier = 'sometimes';
+  assert.throws(() => bridge.compileProfile('test', raw), /unknown tier "sometimes"/);
+});
+
+test('serial line settings are checked before the port is opened', () => {
+  const serial = { baud: 9600, parity: 'none', dataBits: 8, stopBits: 1 };
+  bridge.validateSerialSettings(serial);
+  bridge.validateSerialSettings({ ...serial, parity: 'even', dataBits: 7, stopBits: 2 });
+  assert.throws(() => bridge.validateSerialSettings({ ...serial, parity: 'n' }), /Invalid DEIF_PARITY "n" \(expected none, even, odd, mark or space\)/);
+  assert.throws(() => bridge.validateSerialSettings({ ...serial, dataBits: 9 }), /Invalid DEIF_DATA_BITS "9" \(expected 7 or 8\)/);
+  assert.throws(() => bridge.validateSerialSettings({ ...serial, stopBits: NaN }), /Invalid DEIF_STOP_BITS "NaN"/);
+  assert.throws(() => bridge.validateSerialSettings({ ...serial, baud: 0 }), /Invalid DEIF_BAUD/);
+});
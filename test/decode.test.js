@@ -0,0 +1,187 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { bridge, profile, registers, bits } = require('./helpers');
+
+test('u32 joins high and low words unsigned', () => {
+  assert.equal(bridge.u32(0x0001, 0x0002), 65538);
+  assert.equal(bridge.u32(0xffff, 0xffff), 4294967295);
+  assert.equal(bridge.u32(0x8000, 0), 2147483648);
+});
+
+test('s16 converts two\'s complement', () => {
+  assert.equal(bridge.s16(0), 0);
+  assert.equal(bridge.s16(0x7fff), 32767);
+  assert.equal(bridge.s16(0x8000), -32768);
+  assert.equal(bridge.s16(0xffff), -1);
+  assert.equal(bridge.s16(0xffce), -50);
+});
+
+test('fmtAppVersion renders X.Y.ZZ', () => {
+  assert.equal(bridge.fmtAppVersion(1102), '1.1.02');
+  assert.equal(bridge.fmtAppVersion(215), '0.2.15');
+});
+
+test('generator and mains measurements are scaled per profile', () => {
+  const values = bridge.decodeMeasurements(profile, registers({
+    500: 1102,
+    504: 231, 505: 229, 506: 230,
+    507: 501,
+    513: 12, 514: 13, 515: 14,
+    519: 0xfff6,   // -10 kW (reverse power)
+    538: 0xffa6,   // -0.90
+    542: 232,
+    545: 499,
+  }));
+
+  assert.equal(values.device.app_version, '1.1.02');
+  assert.deepEqual(
+    [values.gen.voltage_l1n_v, values.gen.voltage_l2n_v, values.gen.voltage_l3n_v],
+    [231, 229, 230],
+  );
+  assert.equal(values.gen.frequency_hz, 50.1);
+  assert.deepEqual(
+    [values.gen.current_l1_a, values.gen.current_l2_a, values.gen.current_l3_a],
+    [12, 13, 14],
+  );
+  assert.equal(values.gen.pgen_kw, -10);
+  assert.equal(values.gen.cos_phi, -0.9);
+  assert.equal(values.mains.voltage_l1n_v, 232);
+  assert.equal(values.mains.frequency_hz, 49.9);
+});
+
+test('energy and run hours are 32-bit counters, high word first', () => {
+  const values = bridge.decodeMeasurements(profile, registers({
+    536: 0x0001, 537: 0x86a0,   // 100000 kWh
+    554: 0x0000, 555: 0x04d2,   // 1234 h
+    567: 276,
+    576: 1500,
+  }));
+
+  assert.equal(values.counters.energy_kwh, 100000);
+  assert.equal(values.counters.energy_signed_kwh, -100000);
+  assert.equal(values.counters.run_hours, 1234);
+  assert.equal(values.engine.battery, 27.6);
+  assert.equal(values.engine.rpm, 1500);
+});
+
+test('decodeMeasurement honours low-word-first and signed 32-bit types', () => {
+  const regs = { 600: 0xfffe, 601: 0xffff };
+  assert.equal(bridge.decodeMeasurement({ register: 600, type: 's32', wordOrder: 'lo_hi', divisor: 1 }, regs), -2);
+  assert.equal(bridge.decodeMeasurement({ register: 600, type: 'u32', wordOrder: 'lo_hi', divisor: 1 }, regs), 4294967294);
+  assert.equal(bridge.decodeMeasurement({ register: 600, type: 'u16', divisor: 1000, decimals: 2 }, regs), 65.53);
+});
+
+test('decodeAlarms lists active alarms with code, text and category', () => {
+  const active = bridge.decodeAlarms(profile, registers({
+    1013: bits(9),
+    1018: bits(6),       // status bits are not alarms
+  }));
+
+  assert.deepEqual(active, [
+    { register: 1013, bit: 9, code: '4510', text: 'Overspeed 1', category: 'analogue' },
+  ]);
+  assert.deepEqual(bridge.decodeAlarms(profile, registers()), []);
+});
+
+test('decodeAlarms ignores registers and bits the profile does not define', () => {
+  assert.equal(profile.alarmRegisters.includes(1004), false);
+  assert.deepEqual(bridge.decodeAlarms(profile, registers({ 1004: 0xffff })), []);
+  assert.equal(profile.alarms['1005:15'], undefined);
+  assert.deepEqual(bridge.decodeAlarms(profile, registers({ 1005: bits(15) })), []);
+});
+
+test('decodeAlarmBits reports every profile alarm', () => {
+  const alarmBits = bridge.decodeAlarmBits(profile, registers({ 1013: bits(9) }));
+  assert.equal(Object.keys(alarmBits).length, Object.keys(profile.alarms).length);
+  assert.equal(alarmBits['1013_9'], true);
+  assert.equal(Object.values(alarmBits).filter(Boolean).length, 1);
+});
+
+test('formatActiveAlarms joins code and text per line', () => {
+  assert.equal(bridge.formatActiveAlarms([]), 'No active alarms');
+  assert.equal(bridge.formatActiveAlarms([
+    { code: '4510', text: 'Overspeed 1' },
+    { code: '1000', text: 'G -P> 1' },
+  ]), '4510 Overspeed 1\n1000 G -P> 1');
+});
+
+test('buildAlarmEvent describes set and clear transitions', () => {
+  const setAt = Date.parse('2025-01-01T10:00:00Z');
+  const clearAt = setAt + 42400;
+
+  assert.deepEqual(bridge.buildAlarmEvent(profile, 'set', '1013:9', setAt), {
+    event: 'set',
+    key: '1013:9',
+    register: 1013,
+    bit: 9,
+    code: '4510',
+    text: 'Overspeed 1',
+    category: 'analogue',
+    ts: '2025-01-01T10:00:00.000Z',
+  });
+
+  const clear = bridge.buildAlarmEvent(profile, 'clear', '1013:9', clearAt, setAt);
+  assert.equal(clear.active_since, '2025-01-01T10:00:00.000Z');
+  assert.equal(clear.active_s, 42);
+
+  const unknownStart = bridge.buildAlarmEvent(profile, 'clear', '1013:9', clearAt);
+  assert.equal(unknownStart.active_since, null);
+  assert.equal(unknownStart.active_s, null);
+});
+
+test('decodeStatus maps every profile status bit to <register>_<bit>', () => {
+  const status = bridge.decodeStatus(profile, registers({
+    1018: bits(1, 6, 8),
+    1019: bits(3, 6),
+  }));
+
+  assert.equal(status['1018_0'], false);
+  assert.equal(status['1018_1'], true);
+  assert.equal(status['1018_4'], false);
+  assert.equal(status['1018_6'], true);
+  assert.equal(status['1018_8'], true);
+  assert.equal(status['1019_3'], true);
+  assert.equal(status['1019_6'], true);
+  assert.equal(Object.keys(status).length, Object.keys(profile.status).length);
+  assert.equal(bridge.statusRole(profile, status, 'engine_running'), true);
+  assert.equal(bridge.statusRole(profile, status, 'mains_failure'), false);
+  assert.equal(bridge.statusRole(profile, status, 'no_such_role'), false);
+});
+
+test('operating mode text follows the profile priority and modifiers', () => {
+  const modeText = values => bridge.getOperatingModeText(profile, bridge.decodeStatus(profile, registers(values)));
+
+  assert.equal(modeText({ 1019: bits(3) }), 'Auto');
+  assert.equal(modeText({ 1019: bits(3, 6) }), 'Auto (AMF)');
+  assert.equal(modeText({ 1019: bits(3, 6, 10, 15) }), 'Auto (AMF, Load Takeover, AMF Active)');
+  assert.equal(modeText({ 1019: bits(1, 3) }), 'Manual');
+  assert.equal(modeText({ 1019: bits(3, 4) }), 'Test');
+  assert.equal(modeText({ 1019: bits(0, 1) }), 'OFF');
+  assert.equal(modeText({}), 'Unknown');
+  assert.equal(bridge.getPrimaryMode(profile, bridge.decodeStatus(profile, registers({ 1019: bits(4, 6) }))), 'Test');
+});
+
+test('readRegisterBlocks reads every profile block from the client', async () => {
+  const requests = [];
+  const mb = {
+    async readInputRegisters(start, count) {
+      requests.push([start, count]);
+      return { data: Array.from({ length: count }, (_, i) => start + i) };
+    },
+  };
+
+  const regs = await bridge.readRegisterBlocks(mb, profile.blocks);
+  assert.deepEqual(requests, profile.blocks.map(b => [b.start, b.count]));
+  assert.equal(regs[500], 500);
+  assert.equal(regs[576], 576);
+  assert.equal(regs[1019], 1019);
+  assert.equal(regs[577], undefined);
+});
+
+test('compileProfile rejects measurements outside the read blocks', () => {
+  const raw = JSON.parse(JSON.stringify(require('../profiles/gc-1f2.json')));
+  raw.measurements.push({ path: 'engine.oil_pressure', register: 700 });
+  assert.throws(() => bridge.compileProfile('test', raw), /register 700 is outside the read blocks/);
+});
@@ -0,0 +1,88 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { bridge, profile, registers, createHarness, createMqttStub, loadController } = require('./helpers');
+
+const RATINGS = { ratedKw: 80, ratedKva: 100, nominalFrequency: 50 };
+
+function derive(regValues, ratings = RATINGS) {
+  const values = bridge.decodeMeasurements(profile, registers(regValues));
+  return bridge.applyDerivedMetrics(bridge.selectDerivedMetrics(profile, ratings), values, ratings);
+}
+
+test('line-to-line voltages are estimated from phase voltages', () => {
+  const { gen } = derive({ 504: 230, 505: 230, 506: 230 });
+  assert.equal(gen.voltage_l1l2_v, 398.4);
+  assert.equal(gen.voltage_l2l3_v, 398.4);
+  assert.equal(gen.voltage_l3l1_v, 398.4);
+
+  const unbalanced = derive({ 504: 220, 505: 240, 506: 230 }).gen;
+  assert.equal(unbalanced.voltage_l1l2_v, 398.5);
+});
+
+test('averages, totals and imbalance per source', () => {
+  const { gen, mains } = derive({
+    504: 220, 505: 240, 506: 230,
+    513: 90, 514: 100, 515: 110,
+    542: 231, 543: 231, 544: 228,
+  });
+  assert.equal(gen.voltage_avg_v, 230);
+  assert.equal(gen.voltage_imbalance_pct, 4.3);
+  assert.equal(gen.current_avg_a, 100);
+  assert.equal(gen.current_total_a, 300);
+  assert.equal(gen.current_imbalance_pct, 10);
+  assert.equal(mains.voltage_avg_v, 230);
+  assert.equal(mains.voltage_imbalance_pct, 0.9);
+  // The profile has no mains currents
+  assert.equal(mains.current_avg_a, undefined);
+});
+
+test('a dead source has zero imbalance and no frequency deviation', () => {
+  const { gen } = derive({});
+  assert.equal(gen.voltage_imbalance_pct, 0);
+  assert.equal(gen.current_imbalance_pct, 0);
+  assert.equal(gen.frequency_deviation_hz, undefined);
+  assert.equal(gen.voltage_diff_mains_v, undefined);
+  assert.equal(gen.frequency_diff_mains_hz, undefined);
+});
+
+test('frequency deviation and mains comparison', () => {
+  const { gen, mains } = derive({
+    504: 232, 505: 232, 506: 232, 507: 502,
+    542: 229, 543: 229, 544: 229, 545: 499,
+  });
+  assert.equal(gen.frequency_deviation_hz, 0.2);
+  assert.equal(mains.frequency_deviation_hz, -0.1);
+  assert.equal(gen.voltage_diff_mains_v, 3);
+  assert.equal(gen.frequency_diff_mains_hz, 0.3);
+
+  const us = derive({ 507: 601 }, { ...RATINGS, nominalFrequency: 60 });
+  assert.equal(us.gen.frequency_deviation_hz, 0.1);
+});
+
+test('load percentage needs a rating', () => {
+  const loaded = derive({ 519: 60, 527: 75 });
+  assert.equal(loaded.gen.load_kw_pct, 75);
+  assert.equal(loaded.gen.load_kva_pct, 75);
+
+  const unrated = derive({ 519: 60, 527: 75 }, { ratedKw: null, ratedKva: null, nominalFrequency: 50 });
+  assert.equal(unrated.gen.load_kw_pct, undefined);
+  assert.equal(unrated.gen.load_kva_pct, undefined);
+});
+
+test('derived metrics are published with the measurements and discovered', async () => {
+  const { mq, unit } = createHarness({ regs: registers({ 504: 230, 505: 230, 506: 230, 513: 10, 514: 10, 515: 10 }) });
+  await unit.poll();
+  assert.equal(mq.last('test/deif/gen/voltage_l1l2_v'), '398.4');
+  assert.equal(mq.last('test/deif/gen/current_total_a'), '30');
+
+  const discovery = createMqttStub();
+  const ctl = loadController();
+  bridge.publishHassDiscovery(discovery, ctl);
+  const imbalance = JSON.parse(discovery.last('homeassistant/sensor/deif-test-1/gen_voltage_imbalance/config'));
+  assert.equal(imbalance.stat_t, 'test/deif/gen/voltage_imbalance_pct');
+  assert.equal(imbalance.unit_of_meas, '%');
+  // No rating configured in the test environment
+  assert.equal(discovery.last('homeassistant/sensor/deif-test-1/gen_load_kw_pct/config'), undefined);
+});
@@ -0,0 +1,139 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { bridge, profile, createMqttStub, loadController } = require('./helpers');
+
+function discover() {
+  const ctl = loadController();
+  const mq = createMqttStub();
+  bridge.publishHassDiscovery(mq, ctl);
+  const configs = new Map(mq.messages.map(m => [m.topic, JSON.parse(m.payload)]));
+  return { ctl, mq, configs };
+}
+
+test('every discovery config is retained and tied to the controller device', () => {
+  const { mq } = discover();
+  assert.ok(mq.messages.length > 0);
+  for (const m of mq.messages) {
+    assert.match(m.topic, /^homeassistant\/(sensor|binary_sensor|button|select|switch|device_automation)\/deif-test-1\/[a-z0-9_]+\/config$/);
+    assert.equal(m.retain, true, m.topic);
+    const payload = JSON.parse(m.payload);
+    assert.deepEqual(payload.device, {
+      identifiers: ['deif-test-1'],
+      name: 'DEIF GC-1F/2 (1)',
+      manufacturer: 'DEIF',
+      model: 'DEIF GC-1F/2',
+    });
+  }
+});
+
+test('unique ids are not reused', () => {
+  const { configs } = discover();
+  const ids = Array.from(configs.values()).map(c => c.uniq_id).filter(Boolean);
+  assert.equal(new Set(ids).size, ids.length);
+});
+
+test('measurement sensors point at their per-metric topics', () => {
+  const { configs } = discover();
+
+  const voltage = configs.get('homeassistant/sensor/deif-test-1/gen_voltage_l1n/config');
+  assert.equal(voltage.stat_t, 'test/deif/gen/voltage_l1n_v');
+  assert.equal(voltage.unit_of_meas, 'V');
+  assert.equal(voltage.dev_cla, 'voltage');
+  assert.equal(voltage.uniq_id, 'deif-test-1-gen_voltage_l1n');
+  assert.deepEqual(voltage.avty, [
+    { t: 'test/deif/availability' },
+    { t: 'test/deif/controller/availability' },
+  ]);
+  assert.equal(voltage.avty_mode, 'all');
+
+  for (const m of profile.measurements.filter(x => x.ha)) {
+    const cfg = configs.get(`homeassistant/sensor/deif-test-1/${m.ha.key}/config`);
+    assert.ok(cfg, `sensor for ${m.path}`);
+    assert.equal(cfg.stat_t, `test/deif/${m.path.replace('.', '/')}`);
+  }
+});
+
+test('status bits become binary sensors', () => {
+  const { configs } = discover();
+
+  const running = configs.get('homeassistant/binary_sensor/deif-test-1/status_engine_running/config');
+  assert.equal(running.stat_t, 'test/deif/status/1018_6');
+  assert.equal(running.dev_cla, 'running');
+
+  const unack = configs.get('homeassistant/binary_sensor/deif-test-1/has_unack_alarms/config');
+  assert.equal(unack.stat_t, 'test/deif/alarms/unacknowledged');
+
+  const connected = configs.get('homeassistant/binary_sensor/deif-test-1/controller_connected/config');
+  assert.equal(connected.stat_t, 'test/deif/controller/availability');
+  assert.deepEqual(connected.avty, [{ t: 'test/deif/availability' }]);
+});
+
+test('each profile alarm gets a binary sensor and set/clear triggers', () => {
+  const { configs } = discover();
+
+  const sensor = configs.get('homeassistant/binary_sensor/deif-test-1/alarm_analogue_1013_9/config');
+  assert.equal(sensor.name, 'Analogue: 4510 Overspeed 1');
+  assert.equal(sensor.stat_t, 'test/deif/alarms/bits/1013_9');
+  assert.equal(sensor.dev_cla, 'problem');
+
+  const set = configs.get('homeassistant/device_automation/deif-test-1/alarm_analogue_1013_9_set/config');
+  assert.deepEqual(
+    { atype: set.atype, t: set.t, pl: set.pl, type: set.type, stype: set.stype },
+    {
+      atype: 'trigger',
+      t: 'test/deif/alarms/events',
+      pl: '1013:9:set',
+      type: 'alarm_activated',
+      stype: 'Analogue: 4510 Overspeed 1',
+    },
+  );
+  const clear = configs.get('homeassistant/device_automation/deif-test-1/alarm_analogue_1013_9_clear/config');
+  assert.equal(clear.pl, '1013:9:clear');
+  assert.equal(clear.type, 'alarm_cleared');
+
+  const triggers = Array.from(configs.keys()).filter(t => t.startsWith('homeassistant/device_automation/'));
+  assert.equal(triggers.length, Object.keys(profile.alarms).length * 2);
+});
+
+test('enabled commands get buttons and result sensors, others do not', () => {
+  const { ctl, configs } = discover();
+  assert.deepEqual(ctl.commands.map(c => c.key).sort(), ['alarm_ack', 'gb_on', 'mode_auto', 'mode_manual', 'start', 'stop']);
+
+  const start = configs.get('homeassistant/button/deif-test-1/cmd_start/config');
+  assert.equal(start.cmd_t, 'test/deif/cmd/start');
+  assert.equal(start.name, 'Start');
+
+  const result = configs.get('homeassistant/sensor/deif-test-1/cmd_start_result/config');
+  assert.equal(result.stat_t, 'test/deif/cmd/start/result');
+
+  assert.equal(configs.has('homeassistant/button/deif-test-1/cmd_mb_on/config'), false);
+  assert.equal(configs.has('homeassistant/switch/deif-test-1/cmd_start_arm/config'), false);
+});
+
+test('mode select lists the profile options', () => {
+  const { configs } = discover();
+  const select = configs.get('homeassistant/select/deif-test-1/mode_select/config');
+  assert.equal(select.cmd_t, 'test/deif/cmd/mode');
+  assert.equal(select.stat_t, 'test/deif/status/mode');
+  assert.deepEqual(select.options, ['OFF', 'Manual', 'Auto', 'Test']);
+});
+
+test('commandTopics covers buttons and the mode select', () => {
+  const ctl = loadController();
+  assert.deepEqual(bridge.commandTopics(ctl).sort(), [
+    'test/deif/cmd/alarm_ack',
+    'test/deif/cmd/gb_on',
+    'test/deif/cmd/mode',
+    'test/deif/cmd/mode_auto',
+    'test/deif/cmd/mode_manual',
+    'test/deif/cmd/start',
+    'test/deif/cmd/stop',
+  ]);
+});
+
+test('the default node id is derived from the profile id', () => {
+  assert.equal(bridge.defaultNodeId(profile, 3), 'deif-gc1f2-3');
+  assert.equal(bridge.defaultNodeId({ ...profile, id: 'AGC-150_v2' }, 12), 'deif-agc150v2-12');
+});
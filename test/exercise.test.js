@@ -0,0 +1,225 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { bridge, profile, registers, bits, createHarness, loadController } = require('./helpers');
+
+const IN_AUTO = { 567: 252, 1018: bits(1), 1019: bits(3) };
+
+// Local times, as schedules are
+const at = (d, h, m = 0, s = 0) => new Date(2026, 4, d, h, m, s).getTime();
+
+function controllerWithExercise(schedule = 'every 7 days at 10:00') {
+  const ctl = loadController();
+  ctl.exercise = bridge.resolveExercise('DEIF_CONTROLLERS[0]', { schedule, durationMin: 15, startTimeoutS: 60 }, profile, ctl.topicPrefix);
+  return ctl;
+}
+
+// Mocked clock; set before the controller is created, which takes its first slot from it
+function useClock(t, startMs) {
+  const clock = { now: startMs };
+  t.mock.method(Date, 'now', () => clock.now);
+  return clock;
+}
+
+// Advances the mocked clock and timers together and lets timer callbacks finish
+async function elapse(t, clock, ms) {
+  clock.now += ms;
+  t.mock.timers.tick(ms);
+  for (let i = 0; i < 5; i++) await new Promise(resolve => setImmediate(resolve));
+}
+
+// One poll per entry: [seconds since the previous poll, registers to apply]
+async function runSteps(clock, unit, mb, steps) {
+  for (const [afterS, regs = {}] of steps) {
+    clock.now += afterS * 1000;
+    Object.assign(mb.regs, regs);
+    await unit.poll();
+  }
+}
+
+test('schedules parse and give the next slot', () => {
+  const weekly = bridge.parseExerciseSchedule('EXERCISE_SCHEDULE', 'every 7 days at 10:00');
+  assert.deepEqual(weekly.every, { days: 7, hour: 10, minute: 0 });
+  // First slot at the next 10:00, later ones 7 days after the previous slot
+  assert.equal(bridge.nextExerciseAt(weekly, at(4, 11)), at(5, 10));
+  assert.equal(bridge.nextExerciseAt(weekly, at(4, 9)), at(4, 10));
+  assert.equal(bridge.nextExerciseAt(weekly, at(5, 10), at(5, 10)), at(12, 10));
+
+  // Weekdays at 09:30; 2026-05-08 is a Friday
+  const cron = bridge.parseExerciseSchedule('EXERCISE_SCHEDULE', '30 9 * * 1-5');
+  assert.equal(bridge.nextExerciseAt(cron, at(8, 9, 30)), at(11, 9, 30));
+  assert.equal(bridge.nextExerciseAt(cron, at(8, 9, 29)), at(8, 9, 30));
+  const monthly = bridge.parseExerciseSchedule('EXERCISE_SCHEDULE', '0 */6 1 * *');
+  assert.equal(bridge.nextExerciseAt(monthly, at(1, 7)), at(1, 12));
+  assert.equal(bridge.nextExerciseAt(monthly, at(2, 0)), new Date(2026, 5, 1).getTime());
+  assert.equal(bridge.nextExerciseAt(bridge.parseExerciseSchedule('S', '0 0 31 2 *'), at(1, 0)), null);
+
+  const check = (text, message) => assert.throws(() => bridge.parseExerciseSchedule('EXERCISE_SCHEDULE', text), message);
+  check('every 0 days at 10:00', /EXERCISE_SCHEDULE: invalid schedule/);
+  check('weekly', /must be "every <N> days at HH:MM" or a 5-field cron expression/);
+  check('60 * * * *', /minute "60" is out of range 0-59 in "60 \* \* \* \*"/);
+  check('0 9 * * mon', /invalid day of week "mon"/);
+  assert.throws(() => bridge.resolveExercise('DEIF_CONTROLLERS[0]', { schedule: '0 9 * * *', durationMin: 0 }, profile, 'p'), /DEIF_CONTROLLERS\[0\].exercise: durationMin must be a positive number/);
+  assert.equal(bridge.resolveExercise('', undefined, profile, 'p'), null);
+});
+
+test('an exercise switches to Test, watches the start and returns to Auto with a report', async (t) => {
+  const clock = useClock(t, at(4, 9, 59));
+  const { mq, mb, store, unit } = createHarness({ ctl: controllerWithExercise(), regs: registers(IN_AUTO) });
+  await runSteps(clock, unit, mb, [[0]]);
+  assert.equal(mq.last('test/deif/exercise/next'), new Date(at(4, 10)).toISOString());
+  assert.equal(mq.last('test/deif/exercise/enabled'), 'ON');
+  assert.equal(mb.writes.length, 0);
+
+  await runSteps(clock, unit, mb, [
+    [65], // slot reached: Test mode command
+    [1, { 1019: bits(4), 567: 198, 576: 300 }], // cranking
+    [5, { 1018: bits(1, 6), 567: 240 }], // running
+    [3, { 1018: bits(1, 6, 8), 567: 246 }], // Hz/V OK
+  ]);
+  assert.deepEqual(mb.writes, [{ address: 31, values: [true] }]);
+  assert.equal(mq.last('test/deif/exercise/running'), 'true');
+  assert.equal(store.get('deif-test-1').exercise.run.testSeen, true);
+
+  await runSteps(clock, unit, mb, [[600], [300]]);
+  assert.deepEqual(mb.writes.map(w => w.address), [31, 30]);
+  const report = JSON.parse(mq.last('test/deif/exercise/last_report'));
+  assert.deepEqual(report, {
+    scheduled: new Date(at(4, 10)).toISOString(),
+    started: new Date(at(4, 10, 0, 5)).toISOString(),
+    ended: new Date(at(4, 10, 15, 14)).toISOString(),
+    result: 'pass',
+    reason: null,
+    duration_s: 909,
+    engine_running_s: 6,
+    gen_ok_s: 9,
+    battery_v_before: 25.2,
+    battery_v_min: 19.8,
+    battery_dip_v: 5.4,
+    alarms_raised: [],
+    returned_to_auto: true,
+  });
+  assert.equal(mq.messages.find(m => m.topic === 'test/deif/exercise/last_report').retain, true);
+  assert.equal(mq.last('test/deif/exercise/running'), 'false');
+  assert.equal(mq.last('test/deif/exercise/next'), new Date(at(11, 10)).toISOString());
+  const audit = JSON.parse(mq.last('test/deif/cmd/audit'));
+  assert.equal(audit.key, 'mode_auto');
+  assert.equal(audit.source, 'exercise');
+  assert.equal(unit.describe().exercise.last_report.result, 'pass');
+});
+
+test('an exercise is skipped while alarms are active and aborted on mains failure', async (t) => {
+  const clock = useClock(t, at(4, 9, 59));
+  const { mq, mb, unit } = createHarness({ ctl: controllerWithExercise(), regs: registers({ ...IN_AUTO, 1000: bits(3) }) });
+  await runSteps(clock, unit, mb, [[0], [65]]);
+  assert.equal(mb.writes.length, 0);
+  let report = JSON.parse(mq.last('test/deif/exercise/last_report'));
+  assert.equal(report.result, 'skipped');
+  assert.equal(report.reason, '1 alarm(s) active');
+
+  // Next week: mains fails two minutes into the run
+  await runSteps(clock, unit, mb, [
+    [0, { 1000: 0 }],
+    [7 * 86400, {}],
+    [2, { 1019: bits(4), 1018: bits(1, 6, 8) }],
+    [120, { 1018: bits(0, 6, 8) }],
+  ]);
+  assert.deepEqual(mb.writes.map(w => w.address), [31, 30]);
+  report = JSON.parse(mq.last('test/deif/exercise/last_report'));
+  assert.equal(report.result, 'aborted');
+  assert.equal(report.reason, 'mains failure during the exercise');
+  assert.equal(report.returned_to_auto, true);
+});
+
+test('the watchdog returns to Auto on its own when polls fail during an exercise', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const clock = useClock(t, at(4, 9, 59));
+  const { mq, mb, unit } = createHarness({ ctl: controllerWithExercise(), regs: registers(IN_AUTO) });
+  await runSteps(clock, unit, mb, [[0], [65], [10, { 1019: bits(4), 1018: bits(1, 6, 8) }]]);
+  assert.deepEqual(mb.writes.map(w => w.address), [31]);
+
+  // The controller stops answering for the rest of the run
+  mb.fail = new Error('Timed out');
+  await runSteps(clock, unit, mb, [[60]]);
+  await elapse(t, clock, 15 * 60000);
+  assert.equal(mq.last('test/deif/exercise/running'), 'true');
+
+  // One minute past the planned end: Auto is retried every 30 s, then the run is reported
+  await elapse(t, clock, 60000);
+  for (let i = 0; i < 4; i++) await elapse(t, clock, 30000);
+  assert.deepEqual(mb.writes.map(w => w.address), [31]);
+  const report = JSON.parse(mq.last('test/deif/exercise/last_report'));
+  assert.equal(report.result, 'fail');
+  assert.equal(report.reason, 'return to Auto failed (Timed out); the controller may still be in Test mode');
+  assert.equal(report.returned_to_auto, false);
+  assert.equal(mq.last('test/deif/exercise/running'), 'false');
+  assert.equal(JSON.parse(mq.last('test/deif/cmd/mode_auto/result')).result, 'failed');
+});
+
+test('the watchdog reports a run the polls did not finish once Auto is written', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const clock = useClock(t, at(4, 9, 59));
+  const { mq, mb, unit } = createHarness({ ctl: controllerWithExercise(), regs: registers(IN_AUTO) });
+  await runSteps(clock, unit, mb, [[0], [65], [10, { 1019: bits(4), 1018: bits(1, 6, 8) }]]);
+  mb.fail = new Error('Timed out');
+  await runSteps(clock, unit, mb, [[60]]);
+
+  // The link is back just before the watchdog, but no poll has run yet
+  mb.fail = null;
+  await elapse(t, clock, 16 * 60000);
+  assert.deepEqual(mb.writes.map(w => w.address), [31, 30]);
+  const report = JSON.parse(mq.last('test/deif/exercise/last_report'));
+  assert.equal(report.result, 'fail');
+  assert.equal(report.reason, 'controller not polled successfully at the end of the exercise');
+  assert.equal(report.returned_to_auto, true);
+});
+
+test('a new alarm fails the exercise; a manual mode change aborts it without Auto', () => {
+  const exercise = { durationMs: 900000, startTimeoutMs: 60000 };
+  const snapshot = (r1018, r1019, r1000 = 0) => {
+    const regs = { 1000: r1000, 1018: r1018, 1019: r1019 };
+    return { values: {}, status: bridge.decodeStatus(profile, regs), alarms: { active: bridge.decodeAlarms(profile, regs) } };
+  };
+  let run = bridge.startExercise('s', snapshot(bits(1), bits(3)), 0);
+  bridge.sampleExercise(run, profile, snapshot(bits(1, 6, 8), bits(4)), 10000, exercise);
+  bridge.sampleExercise(run, profile, snapshot(bits(1, 6, 8), bits(4), bits(3)), 20000, exercise);
+  assert.equal(run.result, 'fail');
+  assert.equal(run.reason, 'alarm raised: 1030 G I> 1');
+
+  run = bridge.startExercise('s', snapshot(bits(1), bits(3)), 0);
+  bridge.sampleExercise(run, profile, snapshot(bits(1, 6, 8), bits(4)), 10000, exercise);
+  bridge.sampleExercise(run, profile, snapshot(bits(1, 6, 8), bits(1)), 20000, exercise);
+  assert.equal(run.result, 'aborted');
+  assert.equal(run.returnToAuto, false);
+
+  run = bridge.startExercise('s', snapshot(bits(1), bits(3)), 0);
+  bridge.sampleExercise(run, profile, snapshot(bits(1, 6), bits(4)), 60000, exercise);
+  assert.equal(run.reason, 'Hz/V OK not reached within 60s');
+});
+
+test('the schedule switch disables exercises and is announced', async (t) => {
+  const clock = useClock(t, at(4, 9, 59));
+  const { mq, mb, store, unit } = createHarness({ ctl: controllerWithExercise(), regs: registers(IN_AUTO) });
+  unit.announce();
+  const config = JSON.parse(mq.last('homeassistant/switch/deif-test-1/exercise_enabled/config'));
+  assert.equal(config.cmd_t, 'test/deif/cmd/exercise/enabled');
+  assert.equal(config.stat_t, 'test/deif/exercise/enabled');
+  assert.equal(JSON.parse(mq.last('homeassistant/sensor/deif-test-1/exercise_next/config')).dev_cla, 'timestamp');
+  assert.equal(bridge.commandTopics(unit.ctl).at(-1), 'test/deif/cmd/exercise/enabled');
+
+  const result = await unit.handleCommand('test/deif/cmd/exercise/enabled', 'OFF', { source: 'mqtt' });
+  assert.deepEqual(result, { key: 'exercise', result: 'accepted', reason: null });
+  assert.equal(mq.last('test/deif/exercise/enabled'), 'OFF');
+  assert.equal(store.get('deif-test-1').exercise.enabled, false);
+  assert.equal(JSON.parse(mq.last('test/deif/cmd/audit')).action, 'disable');
+
+  // The slot passes without a run or a report
+  await runSteps(clock, unit, mb, [[0], [65]]);
+  assert.equal(mb.writes.length, 0);
+  assert.equal(mq.last('test/deif/exercise/last_report'), undefined);
+
+  assert.equal((await unit.handleCommand('test/deif/cmd/exercise/enabled', 'maybe')).result, 'rejected');
+  assert.equal((await unit.handleCommand('test/deif/cmd/exercise/enabled', 'ON')).result, 'accepted');
+  assert.equal(mq.last('test/deif/exercise/next'), new Date(at(11, 10)).toISOString());
+});
@@ -0,0 +1,155 @@
+'use strict';
+
+// Shared setup for the bridge tests. The bridge reads its configuration from
+// the environment when it is loaded, so pin everything that matters here
+// (before any .env is applied) and require it through this module.
+Object.assign(process.env, {
+  DEIF_PROFILE: 'gc-1f2',
+  DEIF_SLAVE: '1',
+  DEIF_CONTROLLERS: '',
+  TOPIC_PREFIX: 'test/deif',
+  HASS_DISCOVERY_PREFIX: 'homeassistant',
+  HASS_NODE_ID: 'deif-test-1',
+  HASS_DEVICE_ID: '',
+  DEVICE_MODEL: '',
+  DEVICE_MANUFACTURER: '',
+  DEVICE_NAME: '',
+  RETAIN: 'true',
+  PUBLISH_ON_CHANGE: 'true',
+  PUBLISH_HEARTBEAT_MS: '300000',
+  PUBLISH_DEADBANDS: '',
+  ALARM_HISTORY_SIZE: '50',
+  STATE_FILE: '',
+  CMD_AUDIT_FILE: '',
+  CMD_TOKEN: '',
+  CMD_CONFIRM: '',
+  CMD_INTERLOCKS: '',
+  CMD_COOLDOWN_MS: '5000',
+  CMD_VERIFY_TIMEOUT_MS: '60000',
+  FREQ_DIVISOR: '',
+  FREQ_DECIMALS: '',
+  PUBLISH_ALARM_BITFIELDS: 'false',
+  PUBLISH_ALARM_ENTITIES: 'true',
+  PUBLISH_DERIVED_METRICS: 'true',
+  RATED_KW: '',
+  RATED_KVA: '',
+  NOMINAL_FREQUENCY_HZ: '50',
+  FUEL_L_PER_KWH: '',
+  FUEL_IDLE_LPH: '',
+  MAINTENANCE_TASKS: '',
+  EXERCISE_SCHEDULE: '',
+  EXERCISE_DURATION_MIN: '15',
+  EXERCISE_START_TIMEOUT_S: '60',
+  INTERVAL_MS: '5000',
+  POLL_ACTIVE_MS: '1000',
+  POLL_SLOW_MS: '60000',
+  ENABLE_COMMAND_ALARM_ACK: 'true',
+  ENABLE_COMMAND_START: 'true',
+  ENABLE_COMMAND_STOP: 'true',
+  ENABLE_COMMAND_GB_ON: 'true',
+  ENABLE_COMMAND_MANUAL_MODE: 'true',
+  ENABLE_COMMAND_AUTO_MODE: 'true',
+});
+
+const bridge = require('../deif_to_mqtt');
+
+const profile = bridge.loadProfile('gc-1f2');
+
+// Register image for every profile block (all zero), with `values` ({ <address>: <value> }) applied
+function registers(values = {}) {
+  const regs = {};
+  for (const block of profile.blocks) {
+    for (let addr = block.start; addr <= block.end; addr++) regs[addr] = 0;
+  }
+  return Object.assign(regs, values);
+}
+
+// Register value with the given bits set, e.g. bits(6, 8) for 1018 = engine running + Hz/V OK
+function bits(...numbers) {
+  return numbers.reduce((acc, bit) => acc | (1 << bit), 0);
+}
+
+// In-memory MQTT client: records every publish
+function createMqttStub() {
+  const messages = [];
+  return {
+    messages,
+    publish(topic, payload, opts = {}) {
+      messages.push({ topic, payload: String(payload), retain: !!opts.retain });
+    },
+    // Payloads published on `topic`, oldest first
+    payloads(topic) {
+      return messages.filter(m => m.topic === topic).map(m => m.payload);
+    },
+    last(topic) {
+      const all = this.payloads(topic);
+      return all.length > 0 ? all[all.length - 1] : undefined;
+    },
+    clear() {
+      messages.length = 0;
+    },
+  };
+}
+
+// Modbus client stub serving FC04 from `regs` and recording FC04 reads and FC0F writes;
+// set `fail` to an Error to make the next transactions throw it
+function createModbusStub(regs = registers()) {
+  const stub = {
+    regs,
+    reads: [],
+    writes: [],
+    fail: null,
+    async readInputRegisters(start, count) {
+      if (stub.fail) throw stub.fail;
+      stub.reads.push({ start, count });
+      const data = [];
+      for (let i = 0; i < count; i++) data.push(stub.regs[start + i] || 0);
+      return { data, buffer: Buffer.alloc(count * 2) };
+    },
+    async writeCoils(address, values) {
+      if (stub.fail) throw stub.fail;
+      stub.writes.push({ address, values });
+    },
+  };
+  return stub;
+}
+
+// Stand-in for createModbusBus(): runs transactions directly on the stub
+function createBus(mb) {
+  return {
+    state: 'connected',
+    reconnects: 0,
+    slaveIds: [],
+    async run(slaveId, fn) {
+      this.slaveIds.push(slaveId);
+      return fn(mb);
+    },
+  };
+}
+
+function loadController() {
+  const [ctl] = bridge.loadControllers();
+  return ctl;
+}
+
+// A controller runtime wired to stubs; `ctl` defaults to the env controller, `store` to an
+// in-memory state store, `sinks` to none
+function createHarness({ ctl = loadController(), regs = registers(), store = bridge.createStateStore(''), sinks = [] } = {}) {
+  const mq = createMqttStub();
+  const mb = createModbusStub(regs);
+  const bus = createBus(mb);
+  const unit = bridge.createController(ctl, mq, bus, store, bridge.createAuditLog(''), sinks);
+  return { ctl, mq, mb, bus, store, unit };
+}
+
+module.exports = {
+  bridge,
+  profile,
+  registers,
+  bits,
+  createMqttStub,
+  createModbusStub,
+  createBus,
+  loadController,
+  createHarness,
+};
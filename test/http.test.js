@@ -0,0 +1,119 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { bridge, registers, bits, createHarness } = require('./helpers');
+
+// POST options for a command request as the dashboard sends it
+const command = (payload, headers = {}) => ({
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', ...headers },
+  body: JSON.stringify({ payload }),
+});
+
+// Serves the API routes of one harness controller on a free port
+async function startApi(t, options = {}) {
+  const harness = createHarness({ regs: registers({ 504: 231, 1013: bits(9), 1018: bits(6, 8), 1019: bits(1, 3) }) });
+  const routes = bridge.createApiRoutes([harness.unit], { bus: { state: 'connected' }, mq: { connected: false }, ...options });
+  const server = await bridge.startHttpServer(0, '127.0.0.1', routes);
+  t.after(() => server.close());
+  return { ...harness, base: `http://127.0.0.1:${server.address().port}` };
+}
+
+test('GET /api/state returns the latest data, alarms and last-run info', async (t) => {
+  const { unit, base } = await startApi(t);
+  await unit.poll();
+
+  const res = await fetch(`${base}/api/state`);
+  assert.equal(res.status, 200);
+  const state = await res.json();
+  assert.deepEqual(state.bridge, { modbus: 'connected', mqtt: 'disconnected', commands: false, token_required: false });
+
+  const [ctl] = state.controllers;
+  assert.equal(ctl.slave, 1);
+  assert.equal(ctl.online, true);
+  assert.equal(ctl.values.gen.voltage_l1n_v, 231);
+  assert.equal(ctl.status['1018_6'], true);
+  assert.equal(ctl.status.operating_mode, 'Manual');
+  assert.deepEqual(ctl.alarms.active.map(a => a.code), ['4510']);
+  assert.equal(ctl.last_run.running, true);
+  assert.equal(ctl.last_alarm.summary, '1013:9 (4510 Overspeed 1)');
+  assert.ok(ctl.commands.some(c => c.key === 'start'));
+  assert.deepEqual(ctl.mode_options.sort(), ['Auto', 'Manual']);
+});
+
+test('the dashboard page is served on /', async (t) => {
+  const { base } = await startApi(t);
+  const res = await fetch(`${base}/`);
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^text\/html/);
+  assert.match(await res.text(), /fetch\('api\/state'\)/);
+
+  assert.equal((await fetch(`${base}/nope`)).status, 404);
+  assert.equal((await fetch(`${base}/api/state`, { method: 'DELETE' })).status, 405);
+});
+
+test('command endpoints are refused unless HTTP commands are enabled', async (t) => {
+  const { mb, base } = await startApi(t);
+  const res = await fetch(`${base}/api/controllers/1/cmd/alarm_ack`, command(''));
+  assert.equal(res.status, 403);
+  assert.deepEqual(mb.writes, []);
+});
+
+test('HTTP commands run through the command handler and its guards', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const { unit, mb, mq, base } = await startApi(t, { commands: true });
+  await unit.poll();
+
+  const accepted = await fetch(`${base}/api/controllers/1/cmd/alarm_ack`, command('PRESS'));
+  assert.equal(accepted.status, 200);
+  assert.deepEqual(await accepted.json(), { key: 'alarm_ack', result: 'accepted', reason: null });
+  assert.deepEqual(mb.writes, [{ address: 10, values: [true] }]);
+
+  // Same cooldown as over MQTT
+  const again = await fetch(`${base}/api/controllers/1/cmd/alarm_ack`, command(''));
+  assert.equal(again.status, 409);
+  assert.equal((await again.json()).reason, 'cooldown active');
+
+  const mode = await fetch(`${base}/api/controllers/1/cmd/mode`, command('Auto', { Origin: base }));
+  assert.equal((await mode.json()).key, 'mode_auto');
+
+  assert.equal((await fetch(`${base}/api/controllers/1/cmd/mb_on`, command(''))).status, 404);
+  assert.equal((await fetch(`${base}/api/controllers/7/cmd/start`, command(''))).status, 404);
+  assert.equal((await fetch(`${base}/api/controllers/1/cmd/start`, command('x'.repeat(5000)))).status, 413);
+
+  // The audit trail records where the command came from
+  await unit.poll();
+  const audit = mq.payloads('test/deif/cmd/audit').map(p => JSON.parse(p));
+  assert.deepEqual(audit.map(e => `${e.key} ${e.result} ${e.source}`), [
+    'alarm_ack rejected http',
+    'alarm_ack accepted http',
+    'mode_auto accepted http',
+  ]);
+  assert.equal(audit[0].remote_address, '127.0.0.1');
+});
+
+test('HTTP commands only take same-origin JSON requests', async (t) => {
+  const { mb, base } = await startApi(t, { commands: true });
+  const url = `${base}/api/controllers/1/cmd/alarm_ack`;
+
+  // What a form or a no-preflight fetch from another page can send
+  const plain = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'text/plain' }, body: '{"payload":""}' });
+  assert.equal(plain.status, 415);
+  const foreign = await fetch(url, command('', { Origin: 'http://evil.example' }));
+  assert.equal(foreign.status, 403);
+  assert.match((await foreign.json()).error, /cross-origin request from http:\/\/evil.example refused/);
+  // The preflight is not answered, so browsers never send the cross-origin POST
+  assert.equal((await fetch(url, { method: 'OPTIONS' })).status, 405);
+
+  const malformed = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '"PRESS"' });
+  assert.equal(malformed.status, 400);
+  assert.deepEqual(mb.writes, []);
+});
+
+test('HTTP commands cannot be enabled without CMD_TOKEN', () => {
+  assert.throws(() => bridge.validateHttpCommands(8080, true, ''), /HTTP_COMMANDS=true needs CMD_TOKEN/);
+  bridge.validateHttpCommands(8080, true, 'secret');
+  bridge.validateHttpCommands(8080, false, '');
+  bridge.validateHttpCommands(0, true, '');
+});
@@ -0,0 +1,119 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { bridge, registers, createHarness, loadController } = require('./helpers');
+
+const TASKS = [
+  { key: 'oil', name: 'Oil change', hours: 250, months: 12 },
+  { key: 'battery', name: 'Battery check', days: 90 },
+];
+
+function controllerWithTasks(tasks = TASKS) {
+  const ctl = loadController();
+  ctl.maintenance = bridge.resolveMaintenanceTasks('MAINTENANCE_TASKS', tasks, ctl.topicPrefix);
+  return ctl;
+}
+
+test('resolveMaintenanceTasks validates keys and intervals', () => {
+  const [oil] = bridge.resolveMaintenanceTasks('MAINTENANCE_TASKS', JSON.stringify(TASKS), 'test/deif');
+  assert.deepEqual(oil, { key: 'oil', name: 'Oil change', hours: 250, days: null, months: 12, resetTopic: 'test/deif/cmd/maintenance/oil/reset' });
+  assert.deepEqual(bridge.resolveMaintenanceTasks('MAINTENANCE_TASKS', '', 'test/deif'), []);
+
+  const check = (tasks, message) => assert.throws(() => bridge.resolveMaintenanceTasks('MAINTENANCE_TASKS', tasks, 'p'), message);
+  check('[', /MAINTENANCE_TASKS is not valid JSON/);
+  check([{ key: 'Oil Change', hours: 1 }], /task key "Oil Change" must be/);
+  check([{ key: 'oil', hours: 1 }, { key: 'oil', days: 1 }], /duplicate task "oil"/);
+  check([{ key: 'oil' }], /"oil" needs hours, days or months/);
+  check([{ key: 'oil', hours: -5 }], /"oil".hours must be a positive number/);
+  check([{ key: 'oil', days: 30, months: 1 }], /days or months, not both/);
+});
+
+test('monthly intervals keep the day of month, clamped to shorter months', () => {
+  const at = (y, m, d) => new Date(y, m - 1, d, 9, 30).getTime();
+  assert.equal(bridge.maintenanceDueAt({ months: 1 }, at(2026, 1, 31)), at(2026, 2, 28));
+  assert.equal(bridge.maintenanceDueAt({ months: 12 }, at(2026, 3, 15)), at(2027, 3, 15));
+  assert.equal(bridge.maintenanceDueAt({ days: 2 }, at(2026, 3, 15)), at(2026, 3, 15) + 2 * 86400000);
+  assert.equal(bridge.maintenanceDueAt({ hours: 100 }, at(2026, 3, 15)), null);
+});
+
+test('tasks count run hours and calendar days and fall due', async (t) => {
+  let now = Date.parse('2026-05-04T10:00:00Z');
+  t.mock.method(Date, 'now', () => now);
+  const { mq, mb, unit } = createHarness({ ctl: controllerWithTasks(), regs: registers({ 555: 1000 }) });
+
+  await unit.poll();
+  assert.equal(mq.last('test/deif/maintenance/oil/hours_remaining'), '250');
+  assert.equal(mq.last('test/deif/maintenance/oil/days_remaining'), '365');
+  assert.equal(mq.last('test/deif/maintenance/oil/due'), 'false');
+  assert.equal(mq.last('test/deif/maintenance/battery/hours_remaining'), undefined);
+  assert.equal(mq.last('test/deif/maintenance/battery/days_remaining'), '90');
+  assert.equal(mq.last('test/deif/maintenance/battery/last_done'), undefined);
+
+  // 240 run hours later: 10 left
+  mb.regs[555] = 1240;
+  now += 60000;
+  await unit.poll();
+  assert.equal(mq.last('test/deif/maintenance/oil/hours_remaining'), '10');
+
+  mb.regs[555] = 1251;
+  now += 91 * 86400000;
+  await unit.poll();
+  assert.equal(mq.last('test/deif/maintenance/oil/hours_remaining'), '-1');
+  assert.equal(mq.last('test/deif/maintenance/oil/due'), 'true');
+  assert.equal(mq.last('test/deif/maintenance/battery/days_remaining'), '-1');
+  assert.equal(mq.last('test/deif/maintenance/battery/due'), 'true');
+  assert.deepEqual(unit.describe().maintenance.map(m => `${m.key} ${m.due}`), ['oil true', 'battery true']);
+});
+
+test('a reset records the completion persistently and restarts the interval', async (t) => {
+  let now = Date.parse('2026-05-04T10:00:00Z');
+  t.mock.method(Date, 'now', () => now);
+  const { mq, mb, store, unit } = createHarness({ ctl: controllerWithTasks(), regs: registers({ 555: 1000 }) });
+  await unit.poll();
+  mb.regs[555] = 1300;
+  now += 60000;
+  await unit.poll();
+  assert.equal(mq.last('test/deif/maintenance/oil/due'), 'true');
+
+  const result = await unit.handleCommand('test/deif/cmd/maintenance/oil/reset', '', { source: 'mqtt' });
+  assert.deepEqual(result, { key: 'maintenance/oil', result: 'accepted', reason: null });
+  assert.equal(mq.last('test/deif/maintenance/oil/last_done'), '2026-05-04T10:01:00.000Z');
+  assert.equal(mq.last('test/deif/maintenance/oil/hours_remaining'), '250');
+  assert.equal(mq.last('test/deif/maintenance/oil/due'), 'false');
+  assert.equal(JSON.parse(mq.last('test/deif/cmd/maintenance/oil/result')).result, 'accepted');
+  assert.deepEqual(store.get('deif-test-1').maintenance.oil, { done_at: '2026-05-04T10:01:00.000Z', since: '2026-05-04T10:01:00.000Z', run_hours: 1300 });
+  const audit = JSON.parse(mq.last('test/deif/cmd/audit'));
+  assert.equal(audit.action, 'reset');
+  assert.equal(audit.key, 'maintenance/oil');
+  assert.equal(audit.run_hours, 1300);
+
+  // Recording a service done earlier, at a given counter reading
+  await unit.handleCommand('test/deif/cmd/maintenance/battery/reset', '{"done_at":"2026-04-04T00:00:00Z","run_hours":1200}');
+  assert.equal(mq.last('test/deif/maintenance/battery/last_done'), '2026-04-04T00:00:00.000Z');
+  assert.equal(mq.last('test/deif/maintenance/battery/days_remaining'), '59.6');
+
+  const future = await unit.handleCommand('test/deif/cmd/maintenance/oil/reset', '{"done_at":"2027-01-01"}');
+  assert.deepEqual(future, { key: 'maintenance/oil', result: 'rejected', reason: 'done_at must be a past date' });
+  assert.equal(store.get('deif-test-1').maintenance.oil.run_hours, 1300);
+});
+
+test('maintenance entities are announced per task', () => {
+  const { mq, unit } = createHarness({ ctl: controllerWithTasks() });
+  unit.announce();
+  const button = JSON.parse(mq.last('homeassistant/button/deif-test-1/maintenance_oil_reset/config'));
+  assert.equal(button.name, 'Oil change Done');
+  assert.equal(button.cmd_t, 'test/deif/cmd/maintenance/oil/reset');
+  const due = JSON.parse(mq.last('homeassistant/binary_sensor/deif-test-1/maintenance_battery_due/config'));
+  assert.equal(due.stat_t, 'test/deif/maintenance/battery/due');
+  assert.equal(due.dev_cla, 'problem');
+  assert.ok(mq.last('homeassistant/sensor/deif-test-1/maintenance_oil_hours_remaining/config'));
+  assert.equal(mq.last('homeassistant/sensor/deif-test-1/maintenance_battery_hours_remaining/config'), undefined);
+  assert.deepEqual(bridge.commandTopics(unit.ctl).slice(-2), ['test/deif/cmd/maintenance/oil/reset', 'test/deif/cmd/maintenance/battery/reset']);
+});
+
+test('maintenance tasks require STATE_FILE', () => {
+  assert.throws(() => bridge.validateStateFile([controllerWithTasks()], ''), /Maintenance tasks \(controller 1\) need STATE_FILE/);
+  bridge.validateStateFile([controllerWithTasks()], '/data/state.json');
+  bridge.validateStateFile([loadController()], '');
+});
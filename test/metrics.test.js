@@ -0,0 +1,83 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { bridge, registers, bits, createHarness } = require('./helpers');
+
+const LABELS = 'controller="deif-test-1",slave="1"';
+
+// Value of the sample with exactly this name and label set
+function sample(text, series) {
+  const line = text.split('\n').find(l => l.startsWith(`${series} `));
+  return line === undefined ? undefined : Number(line.slice(series.length + 1));
+}
+
+test('measurements, status bits and alarms are exported per controller', async () => {
+  const { unit } = createHarness({
+    regs: registers({ 500: 1102, 504: 231, 507: 501, 1013: bits(9), 1018: bits(6, 8), 1019: bits(3) }),
+  });
+  await unit.poll();
+
+  const text = bridge.renderPrometheusMetrics([unit]);
+  assert.match(text, /^# HELP deif_gen_voltage_l1n_v Generator Voltage L1-N\n# TYPE deif_gen_voltage_l1n_v gauge$/m);
+  assert.equal(sample(text, `deif_gen_voltage_l1n_v{${LABELS}}`), 231);
+  assert.equal(sample(text, `deif_gen_frequency_hz{${LABELS}}`), 50.1);
+  assert.equal(sample(text, `deif_counters_energy_kwh{${LABELS}}`), 0);
+  assert.equal(sample(text, `deif_up{${LABELS}}`), 1);
+  assert.equal(sample(text, `deif_status{${LABELS},bit="1018_6",text="Engine running"}`), 1);
+  assert.equal(sample(text, `deif_status{${LABELS},bit="1018_0",text="Mains failure"}`), 0);
+  assert.equal(sample(text, `deif_operating_mode{${LABELS},mode="Auto"}`), 1);
+  assert.equal(sample(text, `deif_operating_mode{${LABELS},mode="Manual"}`), 0);
+  assert.equal(sample(text, `deif_alarm_active{${LABELS},alarm="1013:9",code="4510",text="Overspeed 1",category="analogue"}`), 1);
+  assert.equal(sample(text, `deif_alarms_active{${LABELS}}`), 1);
+  assert.match(text, /^deif_device_info\{controller="deif-test-1",slave="1",model="DEIF GC-1F\/2",profile="gc-1f2@[\d.]+",app_version="1\.1\.02"\} 1$/m);
+  // Derived metrics are exported with the measurements, strings are not
+  assert.equal(sample(text, `deif_gen_voltage_avg_v{${LABELS}}`), 77);
+  assert.doesNotMatch(text, /deif_device_app_version/);
+});
+
+test('bridge self-metrics track polls, Modbus errors and commands', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const { mb, unit } = createHarness({ regs: registers({ 1019: bits(1) }) });
+  const bus = { state: 'connected', reconnects: 2 };
+
+  await unit.poll();
+  const afterFirst = bridge.renderPrometheusMetrics([unit], bus, { connected: true });
+  assert.equal(sample(afterFirst, `deif_polls_total{${LABELS}}`), 1);
+  assert.ok(sample(afterFirst, `deif_poll_duration_seconds{${LABELS}}`) >= 0);
+  assert.ok(sample(afterFirst, `deif_last_successful_poll_timestamp_seconds{${LABELS}}`) > 1.6e9);
+  assert.equal(sample(afterFirst, 'deif_modbus_connected'), 1);
+  assert.equal(sample(afterFirst, 'deif_modbus_reconnects_total'), 2);
+  assert.equal(sample(afterFirst, 'deif_mqtt_connected'), 1);
+
+  await unit.handleCommand('test/deif/cmd/start', '');
+  await unit.handleCommand('test/deif/cmd/start', '');
+  mb.fail = new Error('Timed out');
+  await unit.handleCommand('test/deif/cmd/alarm_ack', '');
+  await unit.poll();
+
+  const text = bridge.renderPrometheusMetrics([unit]);
+  assert.equal(sample(text, `deif_commands_total{${LABELS},command="start",result="accepted"}`), 1);
+  assert.equal(sample(text, `deif_commands_total{${LABELS},command="start",result="rejected"}`), 1);
+  assert.equal(sample(text, `deif_commands_total{${LABELS},command="alarm_ack",result="failed"}`), 1);
+  assert.equal(sample(text, `deif_modbus_errors_total{${LABELS},operation="poll"}`), 1);
+  assert.equal(sample(text, `deif_modbus_errors_total{${LABELS},operation="command"}`), 1);
+  assert.equal(sample(text, `deif_polls_total{${LABELS}}`), 2);
+  // No stale values while the controller does not answer
+  assert.equal(sample(text, `deif_up{${LABELS}}`), 0);
+  assert.doesNotMatch(text, /deif_gen_voltage_l1n_v/);
+  assert.doesNotMatch(text, /deif_alarm_active/);
+});
+
+test('the metrics server answers GET /metrics and 404s anything else', async (t) => {
+  const server = await bridge.startHttpServer(0, '127.0.0.1', bridge.metricsRoutes(() => 'deif_up 1\n'));
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const res = await fetch(`${base}/metrics`);
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^text\/plain; version=0\.0\.4/);
+  assert.equal(await res.text(), 'deif_up 1\n');
+
+  assert.equal((await fetch(`${base}/`)).status, 404);
+});
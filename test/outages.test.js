@@ -0,0 +1,116 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { bridge, registers, bits, createHarness } = require('./helpers');
+
+const ON_MAINS = { 1018: bits(1), 1019: bits(3) };
+
+// Steps an AMF sequence one poll per entry: [seconds since the previous poll, 1018, 1019]
+async function runSequence(t, unit, mb, steps, startMs = Date.parse('2026-05-04T10:00:00Z')) {
+  let now = startMs;
+  t.mock.method(Date, 'now', () => now);
+  for (const [afterS, r1018, r1019 = bits(3)] of steps) {
+    now += afterS * 1000;
+    Object.assign(mb.regs, { 1018: r1018, 1019: r1019 });
+    await unit.poll();
+  }
+}
+
+test('a mains outage records AMF transfer and return-to-mains times', async (t) => {
+  const { mq, mb, unit } = createHarness({ regs: registers(ON_MAINS) });
+  await runSequence(t, unit, mb, [
+    [0, bits(1)],
+    [2, bits(0)], // mains failure, MB opens
+    [6, bits(0, 6)], // engine running
+    [3, bits(0, 6, 8)], // Hz/V OK
+    [1, bits(0, 4, 6, 8), bits(3, 15)], // GB closed, AMF active
+  ]);
+  assert.equal(mq.last('test/deif/outages/today'), '1');
+  assert.equal(mq.last('test/deif/outages/last'), undefined);
+  assert.ok(unit.describe().outages.active_since);
+
+  await runSequence(t, unit, mb, [
+    [600, bits(4, 6, 8)], // mains back
+    [1, bits(0, 4, 6, 8)], // short dip: same outage
+    [9, bits(4, 6, 8)],
+    [60, bits(6, 8)], // GB open
+    [2, bits(1, 6, 8)], // MB closed: back on mains
+  ], Date.parse('2026-05-04T10:00:12Z'));
+
+  const outage = JSON.parse(mq.last('test/deif/outages/last'));
+  assert.deepEqual(outage, {
+    started: '2026-05-04T10:00:02.000Z',
+    mains_restored: '2026-05-04T10:10:22.000Z',
+    ended: '2026-05-04T10:11:24.000Z',
+    duration_s: 620,
+    engine_running_s: 6,
+    gen_ok_s: 9,
+    gb_closed_s: 10,
+    return_to_mains_s: 62,
+    amf_active: true,
+  });
+  assert.equal(mq.messages.find(m => m.topic === 'test/deif/outages/last').retain, true);
+  assert.equal(mq.last('test/deif/outages/today'), '1');
+  assert.equal(mq.last('test/deif/outages/this_month'), '1');
+  assert.equal(mq.last('test/deif/outages/total'), '1');
+  assert.equal(mq.last('test/deif/outages/time_total_s'), '620');
+  assert.equal(unit.describe().outages.active_since, null);
+});
+
+test('a mains blip without a transfer ends when mains returns', async (t) => {
+  const { mq, mb, unit } = createHarness({ regs: registers(ON_MAINS) });
+  // Mains failure with the MB held closed (e.g. AMF delay not yet elapsed)
+  await runSequence(t, unit, mb, [[0, bits(1)], [1, bits(0, 1)], [2, bits(1)]]);
+
+  const outage = JSON.parse(mq.last('test/deif/outages/last'));
+  assert.equal(outage.duration_s, 2);
+  assert.equal(outage.return_to_mains_s, 0);
+  assert.equal(outage.engine_running_s, null);
+  assert.equal(outage.gb_closed_s, null);
+  assert.equal(outage.amf_active, false);
+});
+
+test('mains already failed at startup is not counted; an open outage survives a restart', async (t) => {
+  const first = createHarness({ regs: registers({ 1018: bits(0), 1019: bits(3) }) });
+  await first.unit.poll();
+  assert.equal(first.mq.last('test/deif/outages/total'), '0');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'deif-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'state.json');
+  const before = createHarness({ regs: registers(ON_MAINS), store: bridge.createStateStore(file) });
+  await runSequence(t, before.unit, before.mb, [[0, bits(1)], [1, bits(0)], [5, bits(0, 6)]]);
+  await before.store.update('flush', {});
+
+  const after = createHarness({ regs: registers(ON_MAINS), store: bridge.createStateStore(file) });
+  await runSequence(t, after.unit, after.mb, [[0, bits(0, 4, 6, 8)], [30, bits(1)]], Date.parse('2026-05-04T10:00:16Z'));
+  const outage = JSON.parse(after.mq.last('test/deif/outages/last'));
+  assert.equal(outage.engine_running_s, 5);
+  assert.equal(outage.gb_closed_s, 15);
+  assert.equal(outage.duration_s, 45);
+  assert.equal(after.mq.last('test/deif/outages/total'), '1');
+});
+
+test('outage counters restart at local midnight and at the start of a month', () => {
+  const at = (iso) => new Date(iso).getTime();
+  const counters = bridge.rollOutageCounters(null, at('2026-05-31T12:00:00'));
+  Object.assign(counters, { today: 2, this_month: 5, total: 9, total_s: 300 });
+
+  bridge.rollOutageCounters(counters, at('2026-05-31T23:59:00'));
+  assert.equal(counters.today, 2);
+  bridge.rollOutageCounters(counters, at('2026-06-01T00:01:00'));
+  assert.deepEqual(counters, { day: '2026-06-01', today: 0, month: '2026-06', this_month: 0, total: 9, total_s: 300 });
+});
+
+test('outage sensors are announced for profiles with a mains failure bit', () => {
+  const { mq, unit } = createHarness();
+  unit.announce();
+  const config = JSON.parse(mq.last('homeassistant/sensor/deif-test-1/last_outage_transfer/config'));
+  assert.equal(config.stat_t, 'test/deif/outages/last');
+  assert.equal(config.val_tpl, '{{ value_json.gb_closed_s }}');
+  assert.equal(JSON.parse(mq.last('homeassistant/sensor/deif-test-1/outages_today/config')).stat_cla, 'total_increasing');
+});
@@ -0,0 +1,122 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { bridge, registers, bits, createMqttStub, createHarness } = require('./helpers');
+
+function createCache(t, options) {
+  let now = 1000000;
+  t.mock.method(Date, 'now', () => now);
+  const mq = createMqttStub();
+  const cache = bridge.createPublishCache(mq, 'test/deif', options);
+  return {
+    mq,
+    cache,
+    advance(ms) { now += ms; },
+    send(topic, payload) { cache.publish(`test/deif/${topic}`, payload, { qos: 0, retain: true }); },
+    sent(topic) { return mq.payloads(`test/deif/${topic}`); },
+  };
+}
+
+test('parseDeadbands accepts absolute and percent values', () => {
+  assert.deepEqual(bridge.parseDeadbands('X', '{"gen.frequency_hz":0.05,"gen.*":"2%","*":" 1.5 % "}'), {
+    'gen.frequency_hz': { abs: 0.05 },
+    'gen.*': { pct: 2 },
+    '*': { pct: 1.5 },
+  });
+  assert.deepEqual(bridge.parseDeadbands('X', ''), {});
+  assert.throws(() => bridge.parseDeadbands('X', '{"gen.pgen_kw":"two"}'), /X: deadband for "gen.pgen_kw"/);
+  assert.throws(() => bridge.parseDeadbands('X', '{"gen.pgen_kw":-1}'), /X: deadband/);
+  assert.throws(() => bridge.parseDeadbands('X', '[1]'), /X must be an object/);
+  assert.throws(() => bridge.parseDeadbands('X', '{'), /X is not valid JSON/);
+});
+
+test('unchanged payloads are only sent again on the heartbeat', (t) => {
+  const c = createCache(t, { heartbeatMs: 60000 });
+  c.send('gen/voltage_l1n_v', 230);
+  c.send('gen/voltage_l1n_v', 230);
+  c.advance(59999);
+  c.send('gen/voltage_l1n_v', 230);
+  assert.deepEqual(c.sent('gen/voltage_l1n_v'), ['230']);
+
+  c.advance(1);
+  c.send('gen/voltage_l1n_v', 230);
+  assert.deepEqual(c.sent('gen/voltage_l1n_v'), ['230', '230']);
+  assert.equal(c.mq.messages[1].retain, true);
+});
+
+test('without deadbands every change goes out', (t) => {
+  const c = createCache(t, { heartbeatMs: 0 });
+  for (const v of [230, 231, 231, 230]) c.send('gen/voltage_l1n_v', v);
+  c.send('device/model', 'GC-1F/2');
+  c.send('device/model', 'GC-1F/2');
+  c.advance(3600000);
+  c.send('device/model', 'GC-1F/2');
+  assert.deepEqual(c.sent('gen/voltage_l1n_v'), ['230', '231', '230']);
+  assert.deepEqual(c.sent('device/model'), ['GC-1F/2']);
+});
+
+test('absolute deadbands compare against the last sent value', (t) => {
+  const c = createCache(t, { heartbeatMs: 0, deadbands: { 'gen.frequency_hz': { abs: 0.1 } } });
+  for (const v of [50, 50.1, 50.05, 49.95, 49.89, 49.9]) c.send('gen/frequency_hz', v);
+  // 50.1/50.05/49.95 stay within 0.1 of 50; 49.89 does not
+  assert.deepEqual(c.sent('gen/frequency_hz'), ['50', '49.89']);
+});
+
+test('percent deadbands and wildcards', (t) => {
+  const c = createCache(t, {
+    heartbeatMs: 0,
+    deadbands: { 'gen.*': { pct: 5 }, '*': { abs: 100 }, 'gen.rpm_exact': { abs: 0 } },
+  });
+  for (const v of [100, 104, 106, 0, 1]) c.send('gen/pgen_kw', v);
+  assert.deepEqual(c.sent('gen/pgen_kw'), ['100', '106', '0', '1']);
+
+  for (const v of [1000, 1050, 1101]) c.send('counters/energy_kwh', v);
+  assert.deepEqual(c.sent('counters/energy_kwh'), ['1000', '1101']);
+
+  for (const v of [1500, 1501]) c.send('gen/rpm_exact', v);
+  assert.deepEqual(c.sent('gen/rpm_exact'), ['1500', '1501']);
+});
+
+test('alarms and status ignore deadbands', (t) => {
+  const c = createCache(t, { heartbeatMs: 0, deadbands: { '*': { abs: 10 } } });
+  for (const v of [0, 1, 0]) c.send('alarms/count', v);
+  for (const v of [false, true]) c.send('status/1018_6', v);
+  assert.deepEqual(c.sent('alarms/count'), ['0', '1', '0']);
+  assert.deepEqual(c.sent('status/1018_6'), ['false', 'true']);
+});
+
+test('reset sends everything again', (t) => {
+  const c = createCache(t, { heartbeatMs: 0 });
+  c.send('gen/voltage_l1n_v', 230);
+  c.cache.reset();
+  c.send('gen/voltage_l1n_v', 230);
+  assert.deepEqual(c.sent('gen/voltage_l1n_v'), ['230', '230']);
+});
+
+test('a poll with unchanged registers only republishes the timestamp', async () => {
+  const { mq, mb, unit } = createHarness({ regs: registers({ 504: 230, 1018: bits(6), 1019: bits(3) }) });
+  await unit.poll();
+  assert.ok(mq.messages.length > 50);
+
+  mq.clear();
+  await unit.poll();
+  assert.deepEqual(mq.messages.map(m => m.topic), ['test/deif/ts']);
+
+  mb.regs[504] = 231;
+  mb.regs[1018] = 0;
+  mq.clear();
+  await unit.poll();
+  const topics = mq.messages.map(m => m.topic);
+  assert.ok(topics.includes('test/deif/gen/voltage_l1n_v'));
+  assert.ok(topics.includes('test/deif/status/1018_6'));
+  assert.ok(topics.includes('test/deif/engine/last_run_stopped'));
+  assert.equal(topics.includes('test/deif/device/model'), false);
+
+  // Reconnect: announce() makes the next poll send every value again
+  unit.announce();
+  mq.clear();
+  await unit.poll();
+  assert.equal(mq.last('test/deif/device/model'), 'DEIF GC-1F/2');
+  assert.equal(mq.last('test/deif/gen/voltage_l1n_v'), '231');
+});
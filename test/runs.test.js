@@ -0,0 +1,130 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { bridge, profile, registers, bits, createHarness } = require('./helpers');
+
+const ENGINE_STOPPED = { 1018: bits(1), 1019: bits(3) };
+
+test('an engine run publishes a statistics record on the poll after the stop', async (t) => {
+  let now = Date.parse('2026-05-04T10:00:00Z');
+  t.mock.method(Date, 'now', () => now);
+  const { mq, mb, unit } = createHarness({ regs: registers({ 537: 1000, 555: 20, 567: 252, ...ENGINE_STOPPED }) });
+  await unit.poll();
+
+  // Cranking in Test mode: turning, battery sagging, not yet running
+  Object.assign(mb.regs, { 576: 300, 567: 198, 1019: bits(4) });
+  now += 1000;
+  await unit.poll();
+
+  // Running, Hz/V not yet OK: the run-up frequency does not count
+  Object.assign(mb.regs, { 576: 1500, 567: 245, 1018: bits(6), 507: 380, 504: 150 });
+  now += 1000;
+  await unit.poll();
+
+  Object.assign(mb.regs, { 1018: bits(6, 8), 507: 501, 504: 230, 505: 231, 506: 229, 519: 40 });
+  now += 1000;
+  await unit.poll();
+  Object.assign(mb.regs, { 507: 499, 504: 232, 519: 80 });
+  now += 1800000;
+  await unit.poll();
+
+  Object.assign(mb.regs, { 576: 0, 519: 0, 507: 0, 504: 0, 505: 0, 506: 0, ...ENGINE_STOPPED, 1019: bits(4) });
+  now += 1800000;
+  await unit.poll();
+  assert.equal(mq.last('test/deif/engine/last_run'), undefined);
+
+  Object.assign(mb.regs, { 537: 1060, 555: 21 });
+  now += 1000;
+  await unit.poll();
+
+  const run = JSON.parse(mq.last('test/deif/engine/last_run'));
+  assert.equal(run.reason, 'test');
+  assert.equal(run.started, '2026-05-04T10:00:02.000Z');
+  assert.equal(run.duration_s, 3601);
+  assert.equal(run.energy_kwh, 60);
+  assert.equal(run.run_hours, 1);
+  // 40 kW for 30 min, then 80 kW for 30 min
+  assert.equal(run.energy_integrated_kwh, 60);
+  assert.equal(run.pgen_kw_peak, 80);
+  assert.equal(run.pgen_kw_avg, 60);
+  assert.equal(run.frequency_hz_min, 49.9);
+  assert.equal(run.frequency_hz_max, 50.1);
+  assert.equal(run.voltage_v_min, 229);
+  assert.equal(run.voltage_v_max, 232);
+  assert.equal(run.battery_v_min_cranking, 19.8);
+  assert.equal(run.fuel_l, null);
+  assert.equal(mq.messages.find(m => m.topic === 'test/deif/engine/last_run').retain, true);
+
+  // Kept across polls and re-announced
+  assert.equal(unit.describe().last_run_stats.energy_kwh, 60);
+  mq.clear();
+  unit.announce();
+  assert.equal(JSON.parse(mq.last('test/deif/engine/last_run')).energy_kwh, 60);
+});
+
+test('a run restored after a restart does not count the downtime as energy', async (t) => {
+  let now = Date.parse('2026-05-04T10:00:00Z');
+  t.mock.method(Date, 'now', () => now);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'deif-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'state.json');
+  const RUNNING = { 576: 1500, 1018: bits(6, 8), 1019: bits(4), 519: 100 };
+
+  const before = createHarness({ regs: registers(ENGINE_STOPPED), store: bridge.createStateStore(file) });
+  await before.unit.poll();
+  Object.assign(before.mb.regs, RUNNING);
+  now += 1000;
+  await before.unit.poll();
+  now += 1800000;
+  await before.unit.poll();
+  await before.store.update('flush', {});
+
+  // Down for an hour; 100 kW for another 30 min after the restart
+  now += 3600000;
+  const after = createHarness({ regs: registers(RUNNING), store: bridge.createStateStore(file) });
+  await after.unit.poll();
+  now += 1800000;
+  await after.unit.poll();
+  Object.assign(after.mb.regs, { 576: 0, 519: 0, ...ENGINE_STOPPED });
+  await after.unit.poll();
+  now += 1000;
+  await after.unit.poll();
+  assert.equal(JSON.parse(after.mq.last('test/deif/engine/last_run')).energy_integrated_kwh, 100);
+});
+
+test('runReason prefers AMF over the operating mode', () => {
+  const status = (r1018, r1019) => bridge.decodeStatus(profile, { 1018: r1018, 1019: r1019 });
+  assert.equal(bridge.runReason(profile, status(bits(6), bits(1))), 'manual');
+  assert.equal(bridge.runReason(profile, status(bits(6), bits(3))), 'auto');
+  assert.equal(bridge.runReason(profile, status(bits(0, 6), bits(3))), 'amf');
+  assert.equal(bridge.runReason(profile, status(bits(6), bits(3, 15))), 'amf');
+});
+
+test('the fuel estimate combines produced energy and idle consumption', () => {
+  const run = bridge.startRun(profile, {}, {}, 0);
+  bridge.sampleRun(run, profile, {}, { gen: { pgen_kw: 100 } }, 0);
+  bridge.sampleRun(run, profile, {}, { gen: { pgen_kw: 100 } }, 1800000);
+  const record = bridge.finishRun(run, {}, 3600000, { fuelLPerKwh: 0.25, fuelIdleLph: 2 });
+  assert.equal(record.energy_integrated_kwh, 50);
+  assert.equal(record.energy_kwh, null);
+  assert.equal(record.fuel_l, 14.5);
+});
+
+test('run statistics sensors are announced, fuel only with a fuel rate', () => {
+  const { mq, ctl, unit } = createHarness();
+  unit.announce();
+  const config = JSON.parse(mq.last('homeassistant/sensor/deif-test-1/last_run_energy/config'));
+  assert.equal(config.stat_t, 'test/deif/engine/last_run');
+  assert.equal(config.val_tpl, '{{ value_json.energy_kwh }}');
+  assert.equal(config.unit_of_meas, 'kWh');
+  assert.equal(mq.last('homeassistant/sensor/deif-test-1/last_run_fuel/config'), undefined);
+
+  ctl.ratings.fuelLPerKwh = 0.3;
+  mq.clear();
+  unit.announce();
+  assert.ok(mq.last('homeassistant/sensor/deif-test-1/last_run_fuel/config'));
+});
@@ -0,0 +1,165 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { bridge, profile, registers, bits, createHarness, loadController } = require('./helpers');
+
+const ENGINE_RUNNING = { 1018: bits(6, 8), 1019: bits(3) };
+const ENGINE_STOPPED = { 1018: bits(1), 1019: bits(3) };
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'deif-sinks-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// Influx sink whose lines are collected instead of written
+function collectingInfluxSink() {
+  const lines = [];
+  return { lines, sink: bridge.createInfluxSink('test', async (batch) => { lines.push(...batch); }) };
+}
+
+test('influxLine escapes names, tags and strings and skips empty values', () => {
+  assert.equal(
+    bridge.influxLine('deif_gen', { controller: 'gen 1,a', slave: 1, empty: '' }, { 'v=1': 230.5, ok: true, text: 'say "hi"\\', none: null }, 1700000000123),
+    'deif_gen,controller=gen\\ 1\\,a,slave=1 v\\=1=230.5,ok=true,text="say \\"hi\\"\\\\" 1700000000123000000',
+  );
+  assert.equal(bridge.influxLine('deif_gen', {}, { none: null, nan: NaN }, 0), null);
+});
+
+test('the Influx sink writes one line per group, status and alarms every poll', async () => {
+  const { lines, sink } = collectingInfluxSink();
+  const { unit } = createHarness({ regs: registers({ 500: 1102, 504: 231, 1013: bits(9), ...ENGINE_RUNNING }), sinks: [sink] });
+  await unit.poll();
+
+  const byMeasurement = Object.fromEntries(lines.map(l => [l.split(',')[0], l]));
+  assert.match(byMeasurement.deif_gen, /^deif_gen,controller=deif-test-1,slave=1 voltage_l1n_v=231,.*voltage_avg_v=77,.* \d+000000$/);
+  assert.match(byMeasurement.deif_device, / app_version="1\.1\.02" /);
+  assert.match(byMeasurement.deif_status, /1018_6=true,.*operating_mode="Auto"/);
+  assert.match(byMeasurement.deif_alarms, /count=0,unacknowledged=0,ack_active=0,active=1 /);
+  assert.match(byMeasurement.deif_events, /^deif_events,controller=deif-test-1,slave=1,type=alarm,event=set key="1013:9",register=1013,bit=9,code="4510",text="Overspeed 1",category="analogue" /);
+});
+
+test('engine runs are exported as start and stop annotations', async () => {
+  const { lines, sink } = collectingInfluxSink();
+  const { mb, unit } = createHarness({ regs: registers(ENGINE_STOPPED), sinks: [sink] });
+  await unit.poll();
+  Object.assign(mb.regs, ENGINE_RUNNING);
+  await unit.poll();
+  Object.assign(mb.regs, ENGINE_STOPPED);
+  await unit.poll();
+
+  const events = lines.filter(l => l.startsWith('deif_events'));
+  assert.equal(events.length, 2);
+  assert.match(events[0], /type=engine,event=start running=true /);
+  assert.match(events[1], /type=engine,event=stop running=false,started="[^"]+",duration_s=0 /);
+});
+
+test('mains outages are exported as failure and restored annotations', async (t) => {
+  let now = Date.parse('2026-05-04T10:00:00Z');
+  t.mock.method(Date, 'now', () => now);
+  const { lines, sink } = collectingInfluxSink();
+  const { mb, unit } = createHarness({ regs: registers(ENGINE_STOPPED), sinks: [sink] });
+  await unit.poll();
+  mb.regs[1018] = bits(0);
+  now += 1000;
+  await unit.poll();
+  mb.regs[1018] = bits(1);
+  now += 2000;
+  await unit.poll();
+
+  const events = lines.filter(l => l.startsWith('deif_events'));
+  assert.equal(events.length, 2);
+  assert.match(events[0], /type=mains,event=failure mains_failure=true /);
+  assert.match(events[1], /type=mains,event=restored mains_failure=false,started="2026-05-04T10:00:01.000Z",duration_s=2 /);
+});
+
+test('the Influx HTTP writer authenticates and retries buffered lines', async (t) => {
+  const requests = [];
+  let status = 503;
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, auth: req.headers.authorization, body });
+      res.writeHead(status);
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  const write = bridge.createInfluxHttpWriter(`http://127.0.0.1:${server.address().port}/api/v2/write?org=o&bucket=b`, 'secret', 3);
+
+  await write(['a 1', 'b 2']);
+  status = 204;
+  await write(['c 3', 'd 4']);
+  await write(['e 5']);
+  assert.deepEqual(requests.map(r => r.body), ['a 1\nb 2', 'b 2\nc 3\nd 4', 'e 5']);
+  assert.equal(requests[0].url, '/api/v2/write?org=o&bucket=b');
+  assert.equal(requests[0].auth, 'Token secret');
+
+  // Invalid data is dropped instead of retried forever
+  status = 400;
+  await write(['bad']);
+  status = 204;
+  await write(['f 6']);
+  assert.deepEqual(requests.slice(-2).map(r => r.body), ['bad', 'f 6']);
+});
+
+test('the file writer appends line protocol', async (t) => {
+  const file = path.join(tempDir(t), 'sub', 'deif.lp');
+  const write = bridge.createFileWriter(file);
+  write(['a 1']);
+  await write(['b 2', 'c 3']);
+  assert.equal(fs.readFileSync(file, 'utf8'), 'a 1\nb 2\nc 3\n');
+});
+
+test('the CSV sink writes register-ordered columns into daily files', async (t) => {
+  const dir = tempDir(t);
+  const sink = bridge.createCsvSink(dir);
+  const { unit } = createHarness({ regs: registers({ 504: 231, 1013: bits(9), ...ENGINE_RUNNING }), sinks: [sink] });
+  await unit.poll();
+  await sink.poll(unit.ctl, { ts: Date.now() + 86400000, values: {}, status: {}, alarms: { active: [] } });
+
+  const files = fs.readdirSync(dir).sort();
+  assert.equal(files.length, 3);
+  const [today, tomorrow] = files.filter(f => !f.includes('events'));
+  assert.match(today, /^deif-test-1_\d{4}-\d{2}-\d{2}\.csv$/);
+  assert.notEqual(today, tomorrow);
+
+  const [header, row] = fs.readFileSync(path.join(dir, today), 'utf8').trim().split('\n');
+  const columns = header.split(',');
+  assert.deepEqual(columns.slice(0, 3), ['ts', 'device.app_version', 'gen.voltage_l1n_v']);
+  assert.deepEqual(columns.slice(1, profile.measurements.length + 1), profile.measurements.map(m => m.path));
+  assert.ok(columns.includes('gen.voltage_avg_v'));
+  assert.deepEqual(columns.slice(-2), ['status.operating_mode', 'alarms.active']);
+  const record = Object.fromEntries(columns.map((c, i) => [c, row.split(',')[i]]));
+  assert.equal(record['gen.voltage_l1n_v'], '231');
+  assert.equal(record['status.1018_6'], '1');
+  assert.equal(record['status.operating_mode'], 'Auto');
+  assert.equal(record['alarms.active'], '1013:9');
+  assert.equal(fs.readFileSync(path.join(dir, tomorrow), 'utf8').split('\n')[0], header);
+
+  const events = fs.readFileSync(path.join(dir, files.find(f => f.includes('events'))), 'utf8').trim().split('\n');
+  assert.equal(events[0], 'ts,type,event,key,code,text,category,active_since,active_s,started,duration_s');
+  assert.match(events[1], /^[^,]+,alarm,set,1013:9,4510,Overspeed 1,analogue,,,,$/);
+});
+
+test('the CSV sink starts a new file when the columns changed and prunes old days', async (t) => {
+  const dir = tempDir(t);
+  const ctl = loadController();
+  const record = { ts: Date.parse('2026-03-10T12:00:00'), values: {}, status: {}, alarms: { active: [] } };
+  fs.writeFileSync(path.join(dir, 'deif-test-1_2026-03-10.csv'), 'ts,old\n');
+  fs.writeFileSync(path.join(dir, 'deif-test-1_2026-03-01.csv'), 'old\n');
+  fs.writeFileSync(path.join(dir, 'deif-test-1_events_2026-03-02_2.csv'), 'old\n');
+  fs.writeFileSync(path.join(dir, 'other_2026-03-01.csv'), 'old\n');
+
+  await bridge.createCsvSink(dir, { retentionDays: 7 }).poll(ctl, record);
+
+  assert.deepEqual(fs.readdirSync(dir).sort(), ['deif-test-1_2026-03-10.csv', 'deif-test-1_2026-03-10_2.csv', 'other_2026-03-01.csv']);
+  assert.equal(fs.readFileSync(path.join(dir, 'deif-test-1_2026-03-10.csv'), 'utf8'), 'ts,old\n');
+});